@@ -7,7 +7,24 @@ const config = {
   mockUser: {
     id: 'user_001',
     name: 'Test User',
-    email: 'testuser@example.com'
+    email: 'testuser@example.com',
+    role: 'TRADER'
+  },
+
+  // Extra mock users by bearer token, so orders from different users can meet in the order book
+  additionalMockUsers: {
+    'mock-token-2': {
+      id: 'user_002',
+      name: 'Second Test User',
+      email: 'testuser2@example.com',
+      role: 'TRADER'
+    },
+    'mock-admin-token': {
+      id: 'admin_001',
+      name: 'Admin User',
+      email: 'admin@example.com',
+      role: 'ADMIN'
+    }
   },
 
   // Trading configuration
@@ -15,8 +32,143 @@ const config = {
     maxOrderQuantity: 10000,
     minOrderQuantity: 1,
     supportedOrderTypes: ['BUY', 'SELL'],
-    supportedOrderStyles: ['MARKET', 'LIMIT'],
-    supportedOrderStates: ['NEW', 'PLACED', 'EXECUTED', 'CANCELLED']
+    supportedOrderStyles: ['MARKET', 'LIMIT', 'SL', 'SL-M', 'TRAILING_STOP'],
+    supportedOrderStates: ['NEW', 'PLACED', 'PARTIALLY_FILLED', 'EXECUTED', 'CANCELLED', 'REJECTED', 'EXPIRED'],
+    supportedValidities: ['DAY', 'IOC', 'GTC', 'GTD'],
+    defaultValidity: 'DAY',
+    // Liquidity provider mode: orders the book cannot fill trade against the simulated LTP.
+    // Set LIQUIDITY_PROVIDER=false to trade only between users in the order book
+    liquidityProvider: process.env.LIQUIDITY_PROVIDER !== 'false',
+    // Simulated liquidity: the most shares a single liquidity provider fill can cover
+    maxFillQuantity: 1000,
+    // MARKET fills from the liquidity provider land within this percentage either side of the LTP
+    maxSlippagePercent: 0.1
+  },
+
+  // Cash funds configuration
+  funds: {
+    // Balance credited to a new account so the demo user can trade right away
+    openingBalance: 1000000,
+    // Extra margin blocked on MARKET BUY orders to absorb price movement
+    marketOrderBuffer: 0.02
+  },
+
+  // Market session configuration (times are in IST)
+  market: {
+    utcOffsetMinutes: 330,
+    sessions: {
+      preOpen: { start: '09:00', end: '09:15' },
+      normal: { start: '09:15', end: '15:30' },
+      postClose: { start: '15:40', end: '16:00' }
+    },
+    // Days of the week the exchange trades on (0 = Sunday)
+    tradingDays: [1, 2, 3, 4, 5],
+    // Exchange holidays (YYYY-MM-DD, IST); set MARKET_HOLIDAYS to a comma-separated list to replace them
+    holidays: process.env.MARKET_HOLIDAYS ?
+      process.env.MARKET_HOLIDAYS.split(',').map(date => date.trim()) :
+      ['2026-01-26', '2026-05-01', '2026-10-02', '2026-12-25'],
+    // Set MARKET_ALWAYS_OPEN=true to trade around the clock (demos and testing)
+    alwaysOpen: process.env.MARKET_ALWAYS_OPEN === 'true'
+  },
+
+  // Intraday (MIS) positions
+  intraday: {
+    // Open MIS positions are squared off from this time (IST); new MIS orders are refused after it
+    squareOffTime: process.env.MIS_SQUARE_OFF_TIME || '15:20'
+  },
+
+  // Intraday (MIS) margin: orders and positions block value / leverage instead of the full value
+  margin: {
+    // Leverage per instrument; instruments not listed trade MIS without leverage
+    leverage: {
+      RELIANCE: 5,
+      TCS: 5,
+      INFY: 5,
+      HDFC: 4,
+      ICICIBANK: 4
+    },
+    defaultLeverage: 1,
+    // Time a margin call stays a warning before the user's intraday positions are liquidated
+    liquidationGraceMs: 60 * 1000
+  },
+
+  // Brokerage, taxes and fees charged on every trade; rates are percentages of the trade value,
+  // per product (CNC delivery, MIS intraday) and per side where they differ
+  charges: {
+    // Brokerage is capped per order across all of its fills; delivery trades pay none
+    brokerage: {
+      CNC: { percent: 0, maxPerOrder: 0 },
+      MIS: { percent: 0.03, maxPerOrder: 20 }
+    },
+    // Securities transaction tax: both sides on delivery, the sell side only on intraday
+    stt: {
+      CNC: { BUY: 0.1, SELL: 0.1 },
+      MIS: { BUY: 0, SELL: 0.025 }
+    },
+    // Stamp duty is paid by the buyer
+    stampDuty: {
+      CNC: { BUY: 0.015, SELL: 0 },
+      MIS: { BUY: 0.003, SELL: 0 }
+    },
+    exchangeTransactionPercent: 0.00297,
+    // SEBI turnover fee of ₹10 per crore
+    sebiFeePercent: 0.0001,
+    // GST on brokerage, exchange transaction charges and the SEBI fee
+    gstPercent: 18
+  },
+
+  // Pre-trade risk limits (order quantity and value limits come from trading and LIMITS);
+  // an admin can override any of them per user
+  risk: {
+    maxOpenOrders: 100,
+    maxPositionQuantity: 10000,
+    // Priced orders must sit within this percentage of the last traded price
+    priceBandPercent: 10,
+    // Once the day's realized loss reaches this amount, only orders that reduce a position are accepted
+    dailyLossLimit: 100000
+  },
+
+  // Idempotency keys for mutating requests
+  idempotency: {
+    headerName: 'Idempotency-Key',
+    maxKeyLength: 255,
+    // How long a key is remembered and its response replayed
+    retentionMs: 24 * 60 * 60 * 1000
+  },
+
+  // Good-till-triggered rules
+  gtt: {
+    // Rules without an explicit expiry stay active this long
+    defaultExpiryDays: 365
+  },
+
+  // Algo (TWAP/VWAP) parent orders
+  algo: {
+    defaultSlices: 10,
+    // Share of the day's volume traded in each half hour of the normal session, from the open;
+    // VWAP slices are weighted by the bucket they fall in
+    vwapVolumeProfile: [12, 9, 7, 6, 6, 5, 5, 5, 6, 7, 8, 10, 14],
+    vwapBucketMinutes: 30
+  },
+
+  // Market simulation configuration
+  // In simulation mode (SIMULATION_MODE=true, or SIMULATION_SEED set) every random number (price ticks,
+  // fill slippage) comes from a generator seeded with `seed`, so the same seed and the same requests
+  // always give the same price paths and fills. Otherwise Math.random is used
+  simulation: {
+    enabled: process.env.SIMULATION_MODE === 'true' || process.env.SIMULATION_SEED !== undefined,
+    seed: process.env.SIMULATION_SEED !== undefined ? parseInt(process.env.SIMULATION_SEED, 10) : 1
+  },
+
+  // Background job configuration
+  scheduler: {
+    expirySweepIntervalMs: 60 * 1000,
+    marketSessionCheckIntervalMs: 15 * 1000,
+    squareOffCheckIntervalMs: 30 * 1000,
+    marginCheckIntervalMs: 15 * 1000,
+    sipCheckIntervalMs: 60 * 1000,
+    algoCheckIntervalMs: 5 * 1000,
+    idempotencyCleanupIntervalMs: 60 * 60 * 1000
   }
 };
 
@@ -0,0 +1,113 @@
+const fundsService = require('../services/fundsService');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { HTTP_STATUS, MESSAGES } = require('../utils/constants');
+
+class FundsController {
+  /**
+   * Get funds summary for the authenticated user
+   * @route GET /api/v1/funds
+   */
+  getFunds = asyncHandler(async (req, res) => {
+    const userId = req.user.id;
+
+    const funds = fundsService.getFunds(userId);
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: MESSAGES.SUCCESS.DATA_RETRIEVED,
+      data: {
+        funds
+      },
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  /**
+   * Deposit funds
+   * @route POST /api/v1/funds/deposit
+   */
+  deposit = asyncHandler(async (req, res) => {
+    const userId = req.user.id;
+    const { amount } = req.body;
+
+    const transaction = fundsService.deposit(userId, amount);
+
+    res.status(HTTP_STATUS.CREATED).json({
+      success: true,
+      message: MESSAGES.SUCCESS.FUNDS_DEPOSITED,
+      data: {
+        transaction,
+        funds: fundsService.getFunds(userId)
+      },
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  /**
+   * Withdraw funds
+   * @route POST /api/v1/funds/withdraw
+   */
+  withdraw = asyncHandler(async (req, res) => {
+    const userId = req.user.id;
+    const { amount } = req.body;
+
+    const transaction = fundsService.withdraw(userId, amount);
+
+    res.status(HTTP_STATUS.CREATED).json({
+      success: true,
+      message: MESSAGES.SUCCESS.FUNDS_WITHDRAWN,
+      data: {
+        transaction,
+        funds: fundsService.getFunds(userId)
+      },
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  /**
+   * Get funds ledger
+   * @route GET /api/v1/funds/ledger
+   */
+  getLedger = asyncHandler(async (req, res) => {
+    const userId = req.user.id;
+    const options = {
+      type: req.query.type,
+      page: req.query.page,
+      limit: req.query.limit
+    };
+
+    // Remove undefined options
+    Object.keys(options).forEach(key => {
+      if (options[key] === undefined) {
+        delete options[key];
+      }
+    });
+
+    const result = fundsService.getLedger(userId, options);
+
+    // Handle paginated response
+    if (result.data && result.pagination) {
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        message: MESSAGES.SUCCESS.DATA_RETRIEVED,
+        data: {
+          transactions: result.data,
+          pagination: result.pagination
+        },
+        timestamp: new Date().toISOString()
+      });
+    } else {
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        message: MESSAGES.SUCCESS.DATA_RETRIEVED,
+        data: {
+          transactions: result,
+          total: result.length
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+  });
+}
+
+module.exports = new FundsController();
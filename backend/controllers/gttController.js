@@ -0,0 +1,95 @@
+const gttService = require('../services/gttService');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { HTTP_STATUS, MESSAGES } = require('../utils/constants');
+
+class GttController {
+  /**
+   * Create a GTT rule
+   * @route POST /api/v1/gtt
+   */
+  createRule = asyncHandler(async (req, res) => {
+    const rule = gttService.createRule(req.user.id, req.body);
+
+    res.status(HTTP_STATUS.CREATED).json({
+      success: true,
+      message: MESSAGES.SUCCESS.GTT_CREATED,
+      data: {
+        rule
+      },
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  /**
+   * Get all GTT rules for the authenticated user
+   * @route GET /api/v1/gtt
+   */
+  getAllRules = asyncHandler(async (req, res) => {
+    const { status, symbol } = req.query;
+
+    const rules = gttService.getAllRules(req.user.id, { status, symbol });
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: MESSAGES.SUCCESS.DATA_RETRIEVED,
+      data: {
+        rules,
+        total: rules.length
+      },
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  /**
+   * Get a GTT rule with its trigger log
+   * @route GET /api/v1/gtt/:gttId
+   */
+  getRule = asyncHandler(async (req, res) => {
+    const rule = gttService.getRule(req.params.gttId, req.user.id);
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: MESSAGES.SUCCESS.DATA_RETRIEVED,
+      data: {
+        rule
+      },
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  /**
+   * Modify an active GTT rule
+   * @route PUT /api/v1/gtt/:gttId
+   */
+  modifyRule = asyncHandler(async (req, res) => {
+    const rule = gttService.modifyRule(req.params.gttId, req.user.id, req.body);
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: MESSAGES.SUCCESS.GTT_MODIFIED,
+      data: {
+        rule
+      },
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  /**
+   * Cancel an active GTT rule
+   * @route DELETE /api/v1/gtt/:gttId
+   */
+  cancelRule = asyncHandler(async (req, res) => {
+    const rule = gttService.cancelRule(req.params.gttId, req.user.id);
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: MESSAGES.SUCCESS.GTT_CANCELLED,
+      data: {
+        rule
+      },
+      timestamp: new Date().toISOString()
+    });
+  });
+}
+
+module.exports = new GttController();
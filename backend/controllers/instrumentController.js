@@ -1,4 +1,5 @@
 const instrumentService = require('../services/instrumentService');
+const orderBookService = require('../services/orderBookService');
 const { asyncHandler } = require('../middleware/errorHandler');
 const { HTTP_STATUS, MESSAGES } = require('../utils/constants');
 
@@ -101,6 +102,26 @@ class InstrumentController {
     });
   });
 
+  /**
+   * Get order book depth for an instrument
+   * @route GET /api/v1/instruments/:symbol/orderbook
+   */
+  getOrderBook = asyncHandler(async (req, res) => {
+    const { symbol } = req.params;
+    const { levels } = req.query;
+
+    const orderBook = orderBookService.getDepth(symbol.toUpperCase(), parseInt(levels) || 5);
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: MESSAGES.SUCCESS.DATA_RETRIEVED,
+      data: {
+        orderBook
+      },
+      timestamp: new Date().toISOString()
+    });
+  });
+
   /**
    * Get market statistics
    * @route GET /api/v1/instruments/stats
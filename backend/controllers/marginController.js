@@ -0,0 +1,24 @@
+const marginService = require('../services/marginService');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { HTTP_STATUS, MESSAGES } = require('../utils/constants');
+
+class MarginController {
+  /**
+   * Get used and available margin for the authenticated user
+   * @route GET /api/v1/margins
+   */
+  getMargins = asyncHandler(async (req, res) => {
+    const margins = marginService.getMargins(req.user.id);
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: MESSAGES.SUCCESS.DATA_RETRIEVED,
+      data: {
+        margins
+      },
+      timestamp: new Date().toISOString()
+    });
+  });
+}
+
+module.exports = new MarginController();
@@ -0,0 +1,24 @@
+const marketService = require('../services/marketService');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { HTTP_STATUS, MESSAGES } = require('../utils/constants');
+
+class MarketController {
+  /**
+   * Get the current market session
+   * @route GET /api/v1/market/status
+   */
+  getStatus = asyncHandler(async (req, res) => {
+    const status = marketService.getStatus();
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: MESSAGES.SUCCESS.DATA_RETRIEVED,
+      data: {
+        market: status
+      },
+      timestamp: new Date().toISOString()
+    });
+  });
+}
+
+module.exports = new MarketController();
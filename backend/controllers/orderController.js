@@ -1,6 +1,8 @@
 const orderService = require('../services/orderService');
+const basketService = require('../services/basketService');
+const algoService = require('../services/algoService');
 const { asyncHandler } = require('../middleware/errorHandler');
-const { HTTP_STATUS, MESSAGES } = require('../utils/constants');
+const { HTTP_STATUS, MESSAGES, OPEN_ORDER_STATUSES } = require('../utils/constants');
 
 class OrderController {
   /**
@@ -17,7 +19,7 @@ class OrderController {
 
     res.status(HTTP_STATUS.CREATED).json({
       success: true,
-      message: MESSAGES.SUCCESS.ORDER_CREATED,
+      message: orderService.isQueuedAfterMarketOrder(order) ? MESSAGES.SUCCESS.ORDER_QUEUED : MESSAGES.SUCCESS.ORDER_CREATED,
       data: {
         order
       },
@@ -25,6 +27,216 @@ class OrderController {
     });
   });
 
+  /**
+   * Place a bracket order (entry with target and stop-loss legs)
+   * @route POST /api/v1/orders/bracket
+   */
+  placeBracketOrder = asyncHandler(async (req, res) => {
+    const bracketData = {
+      ...req.body,
+      userId: req.user.id
+    };
+
+    const { order, legs } = await orderService.placeBracketOrder(bracketData);
+
+    res.status(HTTP_STATUS.CREATED).json({
+      success: true,
+      message: MESSAGES.SUCCESS.BRACKET_ORDER_CREATED,
+      data: {
+        order,
+        legs
+      },
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  /**
+   * Preview an order without placing it
+   * @route POST /api/v1/orders/preview
+   */
+  previewOrder = asyncHandler(async (req, res) => {
+    const preview = orderService.previewOrder({
+      ...req.body,
+      userId: req.user.id
+    });
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: MESSAGES.SUCCESS.ORDER_PREVIEWED,
+      data: preview,
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  /**
+   * Start a TWAP or VWAP algo order
+   * @route POST /api/v1/orders/algo
+   */
+  placeAlgoOrder = asyncHandler(async (req, res) => {
+    const order = await algoService.placeAlgoOrder({
+      ...req.body,
+      userId: req.user.id
+    });
+
+    res.status(HTTP_STATUS.CREATED).json({
+      success: true,
+      message: MESSAGES.SUCCESS.ALGO_ORDER_CREATED,
+      data: {
+        order,
+        progress: algoService.getAlgoProgress(order.id, req.user.id)
+      },
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  /**
+   * Get the progress of an algo order
+   * @route GET /api/v1/orders/:orderId/algo
+   */
+  getAlgoProgress = asyncHandler(async (req, res) => {
+    const progress = algoService.getAlgoProgress(req.params.orderId, req.user.id);
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: MESSAGES.SUCCESS.DATA_RETRIEVED,
+      data: progress,
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  /**
+   * Pause an algo order
+   * @route PUT /api/v1/orders/:orderId/algo/pause
+   */
+  pauseAlgoOrder = asyncHandler(async (req, res) => {
+    const progress = algoService.pauseAlgo(req.params.orderId, req.user.id);
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: MESSAGES.SUCCESS.ALGO_ORDER_PAUSED,
+      data: progress,
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  /**
+   * Resume a paused algo order
+   * @route PUT /api/v1/orders/:orderId/algo/resume
+   */
+  resumeAlgoOrder = asyncHandler(async (req, res) => {
+    const progress = algoService.resumeAlgo(req.params.orderId, req.user.id);
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: MESSAGES.SUCCESS.ALGO_ORDER_RESUMED,
+      data: progress,
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  /**
+   * Place a basket of orders
+   * @route POST /api/v1/orders/basket
+   */
+  placeBasketOrder = asyncHandler(async (req, res) => {
+    const { basket, reason, legs } = await basketService.placeBasket(req.user.id, req.body);
+
+    if (!basket) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: reason || 'No orders in the basket could be placed',
+        data: {
+          legs
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.status(HTTP_STATUS.CREATED).json({
+      success: true,
+      message: MESSAGES.SUCCESS.BASKET_ORDER_CREATED,
+      data: {
+        basket,
+        legs
+      },
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  /**
+   * Get all baskets for the user
+   * @route GET /api/v1/orders/basket
+   */
+  getAllBaskets = asyncHandler(async (req, res) => {
+    const baskets = basketService.getAllBaskets(req.user.id);
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: MESSAGES.SUCCESS.DATA_RETRIEVED,
+      data: {
+        baskets,
+        total: baskets.length
+      },
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  /**
+   * Get a basket with its orders
+   * @route GET /api/v1/orders/basket/:basketId
+   */
+  getBasket = asyncHandler(async (req, res) => {
+    const { basket, orders } = basketService.getBasket(req.params.basketId, req.user.id);
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: MESSAGES.SUCCESS.DATA_RETRIEVED,
+      data: {
+        basket,
+        orders
+      },
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  /**
+   * Cancel every working order of a basket
+   * @route PUT /api/v1/orders/basket/:basketId/cancel
+   */
+  cancelBasket = asyncHandler(async (req, res) => {
+    const { basket, cancelledOrders } = await basketService.cancelBasket(req.params.basketId, req.user.id);
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: MESSAGES.SUCCESS.BASKET_CANCELLED,
+      data: {
+        basket,
+        cancelledOrders,
+        cancelledCount: cancelledOrders.length
+      },
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  /**
+   * Cancel every working order of the user, optionally filtered by symbol, side and style
+   * @route POST /api/v1/orders/cancel-all
+   */
+  cancelAllOrders = asyncHandler(async (req, res) => {
+    const { cancelledOrders, failedOrders } = await orderService.cancelAllOrders(req.user.id, req.body);
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: MESSAGES.SUCCESS.ORDERS_CANCELLED,
+      data: {
+        cancelledOrders,
+        cancelledCount: cancelledOrders.length,
+        failedOrders
+      },
+      timestamp: new Date().toISOString()
+    });
+  });
+
   /**
    * Get order by ID
    * @route GET /api/v1/orders/:orderId
@@ -43,11 +255,16 @@ class OrderController {
       });
     }
 
+    // Include linked bracket orders, if any
+    const linkedOrders = order.legType ? orderService.getLinkedOrders(orderId) : null;
+
     res.status(HTTP_STATUS.OK).json({
       success: true,
       message: MESSAGES.SUCCESS.DATA_RETRIEVED,
       data: {
-        order
+        order,
+        quantities: orderService.getQuantityBreakdown(order),
+        ...(linkedOrders && { linkedOrders })
       },
       timestamp: new Date().toISOString()
     });
@@ -94,7 +311,7 @@ class OrderController {
     const { orderId } = req.params;
     const userId = req.user.id;
 
-    const cancelledOrder = orderService.cancelOrder(orderId, userId);
+    const cancelledOrder = await orderService.cancelOrder(orderId, userId);
 
     res.status(HTTP_STATUS.OK).json({
       success: true,
@@ -134,7 +351,7 @@ class OrderController {
     const userId = req.user.id;
 
     // Validate status
-    const validStatuses = ['NEW', 'PLACED', 'EXECUTED', 'CANCELLED'];
+    const validStatuses = ['NEW', 'PLACED', 'PARTIALLY_FILLED', 'EXECUTED', 'CANCELLED', 'REJECTED', 'EXPIRED'];
     if (!validStatuses.includes(status.toUpperCase())) {
       return res.status(HTTP_STATUS.BAD_REQUEST).json({
         success: false,
@@ -186,7 +403,7 @@ class OrderController {
   getPendingOrders = asyncHandler(async (req, res) => {
     const userId = req.user.id;
     
-    const orders = orderService.getAllOrders(userId, { status: 'PLACED' });
+    const orders = orderService.getAllOrders(userId, { status: OPEN_ORDER_STATUSES });
 
     res.status(HTTP_STATUS.OK).json({
       success: true,
@@ -238,55 +455,58 @@ class OrderController {
   });
 
   /**
-   * Modify order (limited to pending orders)
+   * Modify a working order in place
    * @route PUT /api/v1/orders/:orderId
    */
   modifyOrder = asyncHandler(async (req, res) => {
     const { orderId } = req.params;
-    const { price, quantity } = req.body;
     const userId = req.user.id;
 
-    // Get existing order
-    const existingOrder = orderService.getOrderById(orderId);
+    const { order, amendment } = await orderService.modifyOrder(orderId, userId, req.body);
 
-    // Verify order belongs to user
-    if (existingOrder.userId !== userId) {
-      return res.status(HTTP_STATUS.FORBIDDEN).json({
-        success: false,
-        message: 'Access denied to this order',
-        timestamp: new Date().toISOString()
-      });
-    }
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: MESSAGES.SUCCESS.ORDER_MODIFIED,
+      data: {
+        order,
+        amendment
+      },
+      timestamp: new Date().toISOString()
+    });
+  });
 
-    // Check if order can be modified
-    if (existingOrder.status !== 'PLACED') {
-      return res.status(HTTP_STATUS.BAD_REQUEST).json({
-        success: false,
-        message: 'Only pending orders can be modified',
-        timestamp: new Date().toISOString()
-      });
-    }
+  /**
+   * Get amendment history of an order
+   * @route GET /api/v1/orders/:orderId/history
+   */
+  getOrderHistory = asyncHandler(async (req, res) => {
+    const { orderId } = req.params;
+    const userId = req.user.id;
 
-    // For simplicity, we'll cancel the old order and create a new one
-    orderService.cancelOrder(orderId, userId);
+    const history = orderService.getOrderHistory(orderId, userId);
 
-    // Create new order with modified data
-    const newOrderData = {
-      ...existingOrder,
-      price: price || existingOrder.price,
-      quantity: quantity || existingOrder.quantity,
-      userId
-    };
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: MESSAGES.SUCCESS.DATA_RETRIEVED,
+      data: history,
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  /**
+   * Get status timeline of an order
+   * @route GET /api/v1/orders/:orderId/timeline
+   */
+  getOrderTimeline = asyncHandler(async (req, res) => {
+    const { orderId } = req.params;
+    const userId = req.user.id;
 
-    const modifiedOrder = await orderService.placeOrder(newOrderData);
+    const timeline = orderService.getOrderTimeline(orderId, userId);
 
     res.status(HTTP_STATUS.OK).json({
       success: true,
-      message: 'Order modified successfully',
-      data: {
-        originalOrderId: orderId,
-        newOrder: modifiedOrder
-      },
+      message: MESSAGES.SUCCESS.DATA_RETRIEVED,
+      data: timeline,
       timestamp: new Date().toISOString()
     });
   });
@@ -1,4 +1,5 @@
 const portfolioService = require('../services/portfolioService');
+const positionService = require('../services/positionService');
 const { asyncHandler } = require('../middleware/errorHandler');
 const { HTTP_STATUS, MESSAGES } = require('../utils/constants');
 
@@ -22,6 +23,21 @@ class PortfolioController {
     });
   });
 
+  /**
+   * Get intraday (MIS) positions, kept apart from delivery holdings
+   * @route GET /api/v1/portfolio/positions
+   */
+  getPositions = asyncHandler(async (req, res) => {
+    const positions = positionService.getPositions(req.user.id);
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: MESSAGES.SUCCESS.DATA_RETRIEVED,
+      data: positions,
+      timestamp: new Date().toISOString()
+    });
+  });
+
   /**
    * Get portfolio holding for a specific symbol
    * @route GET /api/v1/portfolio/:symbol
@@ -0,0 +1,176 @@
+const riskService = require('../services/riskService');
+const orderService = require('../services/orderService');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { HTTP_STATUS, MESSAGES } = require('../utils/constants');
+
+class RiskController {
+  /**
+   * Get the risk limits and usage of the authenticated user
+   * @route GET /api/v1/risk/limits
+   */
+  getMyLimits = asyncHandler(async (req, res) => {
+    const risk = riskService.getRiskProfile(req.user.id);
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: MESSAGES.SUCCESS.DATA_RETRIEVED,
+      data: {
+        risk
+      },
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  /**
+   * Get the risk limits and usage of any user
+   * @route GET /api/v1/admin/risk-limits/:userId
+   */
+  getUserLimits = asyncHandler(async (req, res) => {
+    const risk = riskService.getRiskProfile(req.params.userId);
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: MESSAGES.SUCCESS.DATA_RETRIEVED,
+      data: {
+        risk
+      },
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  /**
+   * Override risk limits for a user
+   * @route PUT /api/v1/admin/risk-limits/:userId
+   */
+  setUserLimits = asyncHandler(async (req, res) => {
+    const risk = riskService.setUserLimits(req.params.userId, req.body, req.user.id);
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: MESSAGES.SUCCESS.RISK_LIMITS_UPDATED,
+      data: {
+        risk
+      },
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  /**
+   * Activate a kill switch, blocking new orders until it is reset
+   * Users switch off their own trading; admins target a user by path
+   * @route PUT /api/v1/risk/kill-switch
+   * @route PUT /api/v1/admin/kill-switch/:userId
+   */
+  activateKillSwitch = asyncHandler(async (req, res) => {
+    const userId = req.params.userId || req.user.id;
+    const { reason, cancelOpenOrders } = req.body;
+
+    const killSwitch = riskService.activateKillSwitch(userId, { reason, actor: req.user.id });
+    const { cancelledOrders, failedOrders } = cancelOpenOrders ?
+      await orderService.cancelAllOrders(userId, {}, `Kill switch: ${killSwitch.reason}`) :
+      { cancelledOrders: [], failedOrders: [] };
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: MESSAGES.SUCCESS.KILL_SWITCH_ACTIVATED,
+      data: {
+        killSwitch,
+        cancelledOrders,
+        cancelledCount: cancelledOrders.length,
+        failedOrders
+      },
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  /**
+   * Reset a kill switch so new orders are accepted again
+   * @route DELETE /api/v1/risk/kill-switch
+   * @route DELETE /api/v1/admin/kill-switch/:userId
+   */
+  resetKillSwitch = asyncHandler(async (req, res) => {
+    const userId = req.params.userId || req.user.id;
+
+    const killSwitch = riskService.resetKillSwitch(userId, req.user.id);
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: MESSAGES.SUCCESS.KILL_SWITCH_RESET,
+      data: {
+        killSwitch
+      },
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  /**
+   * Get the global trading halt, if any
+   * @route GET /api/v1/admin/halt
+   */
+  getTradingHalt = asyncHandler(async (req, res) => {
+    const halt = riskService.getTradingHalt();
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: MESSAGES.SUCCESS.DATA_RETRIEVED,
+      data: {
+        halted: !!halt,
+        halt
+      },
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  /**
+   * Halt trading for every user
+   * @route PUT /api/v1/admin/halt
+   */
+  haltTrading = asyncHandler(async (req, res) => {
+    const halt = riskService.haltTrading(req.user.id, req.body.reason);
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: MESSAGES.SUCCESS.TRADING_HALTED,
+      data: {
+        halt
+      },
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  /**
+   * Lift the global trading halt
+   * @route DELETE /api/v1/admin/halt
+   */
+  resumeTrading = asyncHandler(async (req, res) => {
+    const halt = riskService.resumeTrading(req.user.id);
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: MESSAGES.SUCCESS.TRADING_RESUMED,
+      data: {
+        halt
+      },
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  /**
+   * Reset a user's risk limits to the defaults
+   * @route DELETE /api/v1/admin/risk-limits/:userId
+   */
+  resetUserLimits = asyncHandler(async (req, res) => {
+    const risk = riskService.resetUserLimits(req.params.userId);
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: MESSAGES.SUCCESS.RISK_LIMITS_RESET,
+      data: {
+        risk
+      },
+      timestamp: new Date().toISOString()
+    });
+  });
+}
+
+module.exports = new RiskController();
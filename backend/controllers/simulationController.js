@@ -0,0 +1,41 @@
+const simulationService = require('../services/simulationService');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { HTTP_STATUS, MESSAGES } = require('../utils/constants');
+
+class SimulationController {
+  /**
+   * Get the state of the market simulation
+   * @route GET /api/v1/admin/simulation
+   */
+  getStatus = asyncHandler(async (req, res) => {
+    const simulation = simulationService.getStatus();
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: MESSAGES.SUCCESS.DATA_RETRIEVED,
+      data: {
+        simulation
+      },
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  /**
+   * Restart the simulation from a seed
+   * @route POST /api/v1/admin/simulation/reset
+   */
+  reset = asyncHandler(async (req, res) => {
+    const simulation = simulationService.reset(req.body.seed);
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: MESSAGES.SUCCESS.SIMULATION_RESET,
+      data: {
+        simulation
+      },
+      timestamp: new Date().toISOString()
+    });
+  });
+}
+
+module.exports = new SimulationController();
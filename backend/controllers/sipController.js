@@ -0,0 +1,112 @@
+const sipService = require('../services/sipService');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { HTTP_STATUS, MESSAGES } = require('../utils/constants');
+
+class SipController {
+  /**
+   * Create a SIP
+   * @route POST /api/v1/sips
+   */
+  createSip = asyncHandler(async (req, res) => {
+    const sip = sipService.createSip(req.user.id, req.body);
+
+    res.status(HTTP_STATUS.CREATED).json({
+      success: true,
+      message: MESSAGES.SUCCESS.SIP_CREATED,
+      data: {
+        sip
+      },
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  /**
+   * Get all SIPs for the authenticated user
+   * @route GET /api/v1/sips
+   */
+  getAllSips = asyncHandler(async (req, res) => {
+    const { status, symbol } = req.query;
+
+    const sips = sipService.getAllSips(req.user.id, { status, symbol });
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: MESSAGES.SUCCESS.DATA_RETRIEVED,
+      data: {
+        sips,
+        total: sips.length
+      },
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  /**
+   * Get a SIP with its instalment history
+   * @route GET /api/v1/sips/:sipId
+   */
+  getSip = asyncHandler(async (req, res) => {
+    const sip = sipService.getSip(req.params.sipId, req.user.id);
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: MESSAGES.SUCCESS.DATA_RETRIEVED,
+      data: {
+        sip
+      },
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  /**
+   * Pause an active SIP
+   * @route POST /api/v1/sips/:sipId/pause
+   */
+  pauseSip = asyncHandler(async (req, res) => {
+    const sip = sipService.pauseSip(req.params.sipId, req.user.id);
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: MESSAGES.SUCCESS.SIP_PAUSED,
+      data: {
+        sip
+      },
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  /**
+   * Resume a paused SIP
+   * @route POST /api/v1/sips/:sipId/resume
+   */
+  resumeSip = asyncHandler(async (req, res) => {
+    const sip = sipService.resumeSip(req.params.sipId, req.user.id);
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: MESSAGES.SUCCESS.SIP_RESUMED,
+      data: {
+        sip
+      },
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  /**
+   * Cancel a SIP
+   * @route DELETE /api/v1/sips/:sipId
+   */
+  cancelSip = asyncHandler(async (req, res) => {
+    const sip = sipService.cancelSip(req.params.sipId, req.user.id);
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: MESSAGES.SUCCESS.SIP_CANCELLED,
+      data: {
+        sip
+      },
+      timestamp: new Date().toISOString()
+    });
+  });
+}
+
+module.exports = new SipController();
@@ -84,6 +84,7 @@ class TradeController {
     const userId = req.user.id;
     
     const trades = tradeService.getTradesByOrderId(orderId, userId);
+    const filledQuantity = trades.reduce((sum, trade) => sum + trade.quantity, 0);
 
     res.status(HTTP_STATUS.OK).json({
       success: true,
@@ -91,6 +92,7 @@ class TradeController {
       data: {
         trades,
         total: trades.length,
+        filledQuantity,
         orderId
       },
       timestamp: new Date().toISOString()
@@ -8,6 +8,24 @@ class MemoryStore {
     this.orders = new Map();
     this.trades = new Map();
     this.portfolio = new Map();
+    this.positions = new Map();
+    this.orderAmendments = new Map();
+    this.orderTransitions = new Map();
+    this.fundAccounts = new Map();
+    this.fundTransactions = new Map();
+    this.orderBooks = new Map();
+    this.idempotencyRecords = new Map();
+    this.baskets = new Map();
+    this.gttRules = new Map();
+    this.sips = new Map();
+    this.riskLimits = new Map();
+    this.killSwitches = new Map();
+    this.marginCalls = new Map();
+    // Global trading halt set by an admin (null when trading is allowed)
+    this.tradingHalt = null;
+
+    // Undo log of the transaction in progress (null when none is active)
+    this.transactionLog = null;
     
     // Initialize with sample data
     this.initializeSampleData();
@@ -84,6 +102,75 @@ class MemoryStore {
     return false;
   }
 
+  // Order book operations
+  // Each book keeps resting limit orders (bids, asks) and dormant stop orders
+  // (buyStops, sellStops) in price-time priority, plus open market orders
+  // and the trailing stops whose trigger follows the price
+  getOrderBook(symbol) {
+    if (!this.orderBooks.has(symbol)) {
+      this.orderBooks.set(symbol, {
+        symbol,
+        bids: [],
+        asks: [],
+        buyStops: [],
+        sellStops: [],
+        marketOrders: new Set(),
+        trailingStops: new Set(),
+        entries: new Map()
+      });
+    }
+    return this.orderBooks.get(symbol);
+  }
+
+  // Transaction operations
+  // Changes made between begin and rollback are undone; records keep their identity
+  beginTransaction() {
+    if (this.transactionLog) {
+      throw new Error('A transaction is already in progress');
+    }
+    this.transactionLog = [];
+  }
+
+  commitTransaction() {
+    this.transactionLog = null;
+  }
+
+  rollbackTransaction() {
+    const log = this.transactionLog || [];
+    this.transactionLog = null;
+    log.reverse().forEach(undo => undo());
+  }
+
+  trackChange(store, key) {
+    if (!this.transactionLog) {
+      return;
+    }
+
+    if (!store.has(key)) {
+      this.transactionLog.push(() => store.delete(key));
+      return;
+    }
+
+    const record = store.get(key);
+    const snapshot = { ...record };
+    this.transactionLog.push(() => {
+      Object.keys(record).forEach(field => delete record[field]);
+      Object.assign(record, snapshot);
+      store.set(key, record);
+    });
+  }
+
+  // Like trackChange, for stores whose values are replaced instead of changed in place
+  trackReplacement(store, key) {
+    if (!this.transactionLog) {
+      return;
+    }
+
+    const hadKey = store.has(key);
+    const previous = store.get(key);
+    this.transactionLog.push(() => (hadKey ? store.set(key, previous) : store.delete(key)));
+  }
+
   // Order operations
   createOrder(orderData) {
     const orderId = uuidv4();
@@ -93,6 +180,7 @@ class MemoryStore {
       createdAt: new Date(),
       updatedAt: new Date()
     };
+    this.trackChange(this.orders, orderId);
     this.orders.set(orderId, order);
     return order;
   }
@@ -104,6 +192,7 @@ class MemoryStore {
   updateOrderStatus(orderId, status, executionData = {}) {
     const order = this.orders.get(orderId);
     if (order) {
+      this.trackChange(this.orders, orderId);
       order.status = status;
       order.updatedAt = new Date();
       if (executionData.executedPrice) {
@@ -112,12 +201,54 @@ class MemoryStore {
       if (executionData.executedQuantity) {
         order.executedQuantity = executionData.executedQuantity;
       }
+      if (executionData.remainingQuantity !== undefined) {
+        order.remainingQuantity = executionData.remainingQuantity;
+      }
+      if (executionData.cancelledQuantity !== undefined) {
+        order.cancelledQuantity = executionData.cancelledQuantity;
+      }
       this.orders.set(orderId, order);
       return order;
     }
     return null;
   }
 
+  updateOrder(orderId, updates) {
+    const order = this.orders.get(orderId);
+    if (order) {
+      this.trackChange(this.orders, orderId);
+      Object.assign(order, updates, { updatedAt: new Date() });
+      this.orders.set(orderId, order);
+      return order;
+    }
+    return null;
+  }
+
+  getChildOrders(parentOrderId) {
+    return Array.from(this.orders.values()).filter(order => order.parentOrderId === parentOrderId);
+  }
+
+  addOrderAmendment(orderId, amendment) {
+    const amendments = this.orderAmendments.get(orderId) || [];
+    amendments.push(amendment);
+    this.orderAmendments.set(orderId, amendments);
+    return amendment;
+  }
+
+  addOrderTransition(orderId, transition) {
+    this.trackReplacement(this.orderTransitions, orderId);
+    this.orderTransitions.set(orderId, [...(this.orderTransitions.get(orderId) || []), transition]);
+    return transition;
+  }
+
+  getOrderTransitions(orderId) {
+    return this.orderTransitions.get(orderId) || [];
+  }
+
+  getOrderAmendments(orderId) {
+    return this.orderAmendments.get(orderId) || [];
+  }
+
   getAllOrders(userId) {
     return Array.from(this.orders.values()).filter(order => order.userId === userId);
   }
@@ -130,6 +261,7 @@ class MemoryStore {
       ...tradeData,
       createdAt: new Date()
     };
+    this.trackChange(this.trades, tradeId);
     this.trades.set(tradeId, trade);
     return trade;
   }
@@ -139,8 +271,9 @@ class MemoryStore {
   }
 
   // Portfolio operations
-  updatePortfolio(userId, symbol, quantity, price, orderType) {
+  updatePortfolio(userId, symbol, quantity, price, orderType, charges = 0) {
     const portfolioKey = `${userId}_${symbol}`;
+    this.trackChange(this.portfolio, portfolioKey);
     let holding = this.portfolio.get(portfolioKey);
 
     if (!holding) {
@@ -157,15 +290,17 @@ class MemoryStore {
 
     // Calculate new values based on order type
     if (orderType === 'BUY') {
-      const totalInvestment = holding.totalInvestment + (quantity * price);
+      // Buy charges are part of the cost
+      const totalInvestment = holding.totalInvestment + (quantity * price) + charges;
       const totalQuantity = holding.quantity + quantity;
       
       holding.quantity = totalQuantity;
       holding.totalInvestment = totalInvestment;
       holding.averagePrice = totalInvestment / totalQuantity;
     } else if (orderType === 'SELL') {
-      // For sell, reduce quantity but keep average price same
+      // For sell, reduce quantity but keep average price same; the cost of the shares sold leaves the investment
       holding.quantity = Math.max(0, holding.quantity - quantity);
+      holding.totalInvestment = holding.averagePrice * holding.quantity;
       if (holding.quantity === 0) {
         holding.totalInvestment = 0;
         holding.averagePrice = 0;
@@ -200,11 +335,255 @@ class MemoryStore {
     });
   }
 
+  // Intraday (MIS) position operations
+  // Kept apart from delivery holdings; quantity is negative for a short position
+  getPosition(userId, symbol) {
+    return this.positions.get(`${userId}_${symbol}`) || null;
+  }
+
+  getPositions(userId) {
+    return Array.from(this.positions.values()).filter(position => position.userId === userId);
+  }
+
+  getAllPositions() {
+    return Array.from(this.positions.values());
+  }
+
+  savePosition(position) {
+    const positionKey = `${position.userId}_${position.symbol}`;
+    this.trackReplacement(this.positions, positionKey);
+    this.positions.set(positionKey, position);
+    return position;
+  }
+
+  // Funds operations
+  getFundAccount(userId) {
+    return this.fundAccounts.get(userId);
+  }
+
+  saveFundAccount(account) {
+    this.trackChange(this.fundAccounts, account.userId);
+    account.updatedAt = new Date();
+    this.fundAccounts.set(account.userId, account);
+    return account;
+  }
+
+  updateFundAccount(userId, updates) {
+    const account = this.fundAccounts.get(userId);
+    if (account) {
+      this.trackChange(this.fundAccounts, userId);
+      Object.assign(account, updates, { updatedAt: new Date() });
+      return account;
+    }
+    return null;
+  }
+
+  createFundTransaction(transactionData) {
+    const transactionId = uuidv4();
+    const transaction = {
+      id: transactionId,
+      ...transactionData,
+      createdAt: new Date()
+    };
+    this.trackChange(this.fundTransactions, transactionId);
+    this.fundTransactions.set(transactionId, transaction);
+    return transaction;
+  }
+
+  getFundTransactions(userId) {
+    return Array.from(this.fundTransactions.values()).filter(transaction => transaction.userId === userId);
+  }
+
+  // Basket operations
+  createBasket(basketData) {
+    const basketId = uuidv4();
+    const basket = {
+      id: basketId,
+      ...basketData,
+      createdAt: new Date()
+    };
+    this.baskets.set(basketId, basket);
+    return basket;
+  }
+
+  getBasketById(basketId) {
+    return this.baskets.get(basketId);
+  }
+
+  getAllBaskets(userId) {
+    return Array.from(this.baskets.values()).filter(basket => basket.userId === userId);
+  }
+
+  addBasketOrder(basketId, orderId) {
+    const basket = this.baskets.get(basketId);
+    if (basket) {
+      basket.orderIds.push(orderId);
+    }
+    return basket;
+  }
+
+  // GTT rule operations
+  createGttRule(ruleData) {
+    const ruleId = uuidv4();
+    const rule = {
+      id: ruleId,
+      ...ruleData,
+      createdAt: new Date(),
+      updatedAt: new Date()
+    };
+    this.gttRules.set(ruleId, rule);
+    return rule;
+  }
+
+  getGttRuleById(ruleId) {
+    return this.gttRules.get(ruleId);
+  }
+
+  getAllGttRules(userId) {
+    return Array.from(this.gttRules.values()).filter(rule => rule.userId === userId);
+  }
+
+  getGttRulesBySymbol(symbol) {
+    return Array.from(this.gttRules.values()).filter(rule => rule.symbol === symbol);
+  }
+
+  updateGttRule(ruleId, updates) {
+    const rule = this.gttRules.get(ruleId);
+    if (rule) {
+      Object.assign(rule, updates, { updatedAt: new Date() });
+    }
+    return rule || null;
+  }
+
+  // SIP operations
+  createSip(sipData) {
+    const sipId = uuidv4();
+    const sip = {
+      id: sipId,
+      ...sipData,
+      createdAt: new Date(),
+      updatedAt: new Date()
+    };
+    this.sips.set(sipId, sip);
+    return sip;
+  }
+
+  getSipById(sipId) {
+    return this.sips.get(sipId);
+  }
+
+  getAllSips(userId) {
+    return Array.from(this.sips.values()).filter(sip => sip.userId === userId);
+  }
+
+  updateSip(sipId, updates) {
+    const sip = this.sips.get(sipId);
+    if (sip) {
+      Object.assign(sip, updates, { updatedAt: new Date() });
+    }
+    return sip || null;
+  }
+
+  // Risk limit operations
+  // Per-user overrides set by an admin; limits not overridden fall back to the defaults
+  getRiskLimits(userId) {
+    return this.riskLimits.get(userId) || null;
+  }
+
+  saveRiskLimits(userId, limits) {
+    const record = { ...limits, userId, updatedAt: new Date() };
+    this.riskLimits.set(userId, record);
+    return record;
+  }
+
+  deleteRiskLimits(userId) {
+    return this.riskLimits.delete(userId);
+  }
+
+  // Kill switch operations
+  getKillSwitch(userId) {
+    return this.killSwitches.get(userId) || null;
+  }
+
+  saveKillSwitch(killSwitch) {
+    this.killSwitches.set(killSwitch.userId, killSwitch);
+    return killSwitch;
+  }
+
+  deleteKillSwitch(userId) {
+    return this.killSwitches.delete(userId);
+  }
+
+  // Margin call operations
+  // Only the latest margin call of each user is kept
+  getMarginCall(userId) {
+    return this.marginCalls.get(userId) || null;
+  }
+
+  getAllMarginCalls() {
+    return Array.from(this.marginCalls.values());
+  }
+
+  saveMarginCall(marginCall) {
+    const record = { ...marginCall, updatedAt: new Date() };
+    this.marginCalls.set(record.userId, record);
+    return record;
+  }
+
+  getTradingHalt() {
+    return this.tradingHalt;
+  }
+
+  setTradingHalt(halt) {
+    this.tradingHalt = halt;
+    return halt;
+  }
+
+  // Idempotency operations
+  // Records are keyed by user and key, so two users can use the same key independently
+  getIdempotencyRecord(userId, key) {
+    return this.idempotencyRecords.get(`${userId}:${key}`);
+  }
+
+  saveIdempotencyRecord(record) {
+    this.idempotencyRecords.set(`${record.userId}:${record.key}`, record);
+    return record;
+  }
+
+  deleteIdempotencyRecord(userId, key) {
+    return this.idempotencyRecords.delete(`${userId}:${key}`);
+  }
+
+  purgeExpiredIdempotencyRecords(now = new Date()) {
+    let purged = 0;
+    this.idempotencyRecords.forEach((record, id) => {
+      if (new Date(record.expiresAt) <= now) {
+        this.idempotencyRecords.delete(id);
+        purged++;
+      }
+    });
+    return purged;
+  }
+
   // Utility methods
   clearAllData() {
     this.orders.clear();
     this.trades.clear();
     this.portfolio.clear();
+    this.positions.clear();
+    this.orderAmendments.clear();
+    this.orderTransitions.clear();
+    this.fundAccounts.clear();
+    this.fundTransactions.clear();
+    this.orderBooks.clear();
+    this.idempotencyRecords.clear();
+    this.baskets.clear();
+    this.gttRules.clear();
+    this.sips.clear();
+    this.riskLimits.clear();
+    this.killSwitches.clear();
+    this.marginCalls.clear();
+    this.tradingHalt = null;
     this.initializeSampleData();
   }
 
@@ -213,7 +592,11 @@ class MemoryStore {
       instruments: this.instruments.size,
       orders: this.orders.size,
       trades: this.trades.size,
-      portfolioHoldings: this.portfolio.size
+      portfolioHoldings: this.portfolio.size,
+      fundAccounts: this.fundAccounts.size,
+      orderBooks: this.orderBooks.size,
+      gttRules: this.gttRules.size,
+      sips: this.sips.size
     };
   }
 }
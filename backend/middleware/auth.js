@@ -1,4 +1,19 @@
 const config = require('../config/config');
+const { USER_ROLES } = require('../utils/constants');
+
+/**
+ * Resolve the mock user a bearer token belongs to
+ * @param {string} authHeader - Authorization header value
+ * @returns {Object|null} Mock user or null if the token is unknown
+ */
+const resolveMockUser = (authHeader) => {
+  if (authHeader === 'Bearer mock-token') {
+    return config.mockUser;
+  }
+
+  const token = authHeader && authHeader.replace(/^Bearer /, '');
+  return config.additionalMockUsers[token] || null;
+};
 
 /**
  * Mock authentication middleware
@@ -22,7 +37,8 @@ const authenticateUser = (req, res, next) => {
     }
 
     // Mock token validation (in real app, verify JWT)
-    if (authHeader !== 'Bearer mock-token') {
+    const user = resolveMockUser(authHeader);
+    if (!user) {
       return res.status(401).json({
         error: 'Invalid token',
         message: 'Please provide valid authentication token'
@@ -30,7 +46,7 @@ const authenticateUser = (req, res, next) => {
     }
 
     // Attach mock user to request
-    req.user = config.mockUser;
+    req.user = user;
     next();
   } catch (error) {
     return res.status(401).json({
@@ -47,14 +63,31 @@ const authenticateUser = (req, res, next) => {
 const optionalAuth = (req, res, next) => {
   const authHeader = req.headers.authorization;
   
-  if (authHeader && authHeader === 'Bearer mock-token') {
-    req.user = config.mockUser;
+  const user = resolveMockUser(authHeader);
+  if (user) {
+    req.user = user;
   }
   
   next();
 };
 
+/**
+ * Admin-only middleware
+ * Must run after authenticateUser
+ */
+const requireAdmin = (req, res, next) => {
+  if (!req.user || req.user.role !== USER_ROLES.ADMIN) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: 'Admin access required'
+    });
+  }
+
+  next();
+};
+
 module.exports = {
   authenticateUser,
-  optionalAuth
+  optionalAuth,
+  requireAdmin
 };
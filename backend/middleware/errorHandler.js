@@ -65,6 +65,7 @@ const errorHandler = (err, req, res, next) => {
 
   const response = {
     error: message,
+    ...(error.code && { code: error.code }),
     ...(config.nodeEnv === 'development' && { stack: err.stack }),
     ...(error.details && { details: error.details })
   };
@@ -74,12 +75,16 @@ const errorHandler = (err, req, res, next) => {
 
 /**
  * Custom error class for application-specific errors
+ * An optional machine-readable code (e.g. a risk rule) is returned alongside the message
  */
 class AppError extends Error {
-  constructor(message, statusCode = 500) {
+  constructor(message, statusCode = 500, code = null) {
     super(message);
     this.statusCode = statusCode;
     this.name = 'AppError';
+    if (code) {
+      this.code = code;
+    }
     
     Error.captureStackTrace(this, this.constructor);
   }
@@ -0,0 +1,114 @@
+const crypto = require('crypto');
+const config = require('../config/config');
+const memoryStore = require('../database/memoryStore');
+const { HTTP_STATUS } = require('../utils/constants');
+
+/**
+ * Serialize a value to JSON with object keys sorted, so equal bodies hash the same
+ * @param {*} value - Value to serialize
+ * @returns {string} Canonical JSON
+ */
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+
+  return JSON.stringify(value);
+};
+
+/**
+ * Fingerprint the parts of a request that must match for a key to be replayed
+ * @param {Object} req - Express request
+ * @returns {string} SHA-256 hash of method, path and body
+ */
+const fingerprintRequest = (req) => {
+  return crypto
+    .createHash('sha256')
+    .update(`${req.method} ${req.baseUrl}${req.path}\n${canonicalJson(req.body || {})}`)
+    .digest('hex');
+};
+
+/**
+ * Idempotency middleware for mutating routes
+ * Must run after authentication, as keys are scoped per user.
+ * - No Idempotency-Key header: the request is handled normally
+ * - New key: the request is handled and its status and response body are stored
+ * - Repeated key, same request: the stored response is returned without running the handler again
+ * - Repeated key, different request (or the first request is still running): 409 Conflict
+ * Server errors (5xx) are not stored, so the client can retry them with the same key.
+ */
+const idempotency = (req, res, next) => {
+  const key = req.get(config.idempotency.headerName);
+
+  if (key === undefined) {
+    return next();
+  }
+
+  if (!key || key.length > config.idempotency.maxKeyLength) {
+    return res.status(HTTP_STATUS.BAD_REQUEST).json({
+      error: 'Invalid idempotency key',
+      message: `${config.idempotency.headerName} must be between 1 and ${config.idempotency.maxKeyLength} characters`
+    });
+  }
+
+  const userId = req.user.id;
+  const fingerprint = fingerprintRequest(req);
+  const existing = memoryStore.getIdempotencyRecord(userId, key);
+
+  if (existing && new Date(existing.expiresAt) > new Date()) {
+    if (existing.fingerprint !== fingerprint) {
+      return res.status(HTTP_STATUS.CONFLICT).json({
+        error: 'Idempotency key reused',
+        message: 'This idempotency key was already used for a different request'
+      });
+    }
+
+    if (existing.inProgress) {
+      return res.status(HTTP_STATUS.CONFLICT).json({
+        error: 'Request in progress',
+        message: 'A request with this idempotency key is still being processed'
+      });
+    }
+
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(existing.statusCode).json(existing.body);
+  }
+
+  const now = new Date();
+  memoryStore.saveIdempotencyRecord({
+    userId,
+    key,
+    fingerprint,
+    inProgress: true,
+    createdAt: now,
+    expiresAt: new Date(now.getTime() + config.idempotency.retentionMs)
+  });
+
+  // Capture the response on its way out
+  const originalJson = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode >= 500) {
+      memoryStore.deleteIdempotencyRecord(userId, key);
+    } else {
+      memoryStore.saveIdempotencyRecord({
+        ...memoryStore.getIdempotencyRecord(userId, key),
+        inProgress: false,
+        statusCode: res.statusCode,
+        // Snapshot the body, as it may reference records that change later
+        body: JSON.parse(JSON.stringify(body))
+      });
+    }
+
+    return originalJson(body);
+  };
+
+  next();
+};
+
+module.exports = {
+  idempotency
+};
@@ -30,10 +30,109 @@ const validate = (schema, property = 'body') => {
   };
 };
 
+// One leg of a GTT rule: a condition on the last traded price and the order to place when it is met
+// The order template is validated against createOrder (with the rule's symbol) by the GTT service
+const gttLeg = Joi.object({
+  condition: Joi.string().valid('ABOVE', 'BELOW').required().messages({
+    'any.only': 'Condition must be either ABOVE or BELOW',
+    'any.required': 'Condition is required for each GTT leg'
+  }),
+  triggerPrice: Joi.number().positive().required().messages({
+    'number.positive': 'Trigger price must be positive',
+    'any.required': 'Trigger price is required for each GTT leg'
+  }),
+  order: Joi.object().unknown(true).required().messages({
+    'any.required': 'Order template is required for each GTT leg'
+  })
+});
+
 // Common validation schemas
 const schemas = {
   // Order creation validation
   createOrder: Joi.object({
+    symbol: Joi.string().required().min(1).max(20).messages({
+      'string.empty': 'Symbol is required',
+      'string.max': 'Symbol must be less than 20 characters'
+    }),
+    orderType: Joi.string().valid('BUY', 'SELL').required().messages({
+      'any.only': 'Order type must be either BUY or SELL'
+    }),
+    orderStyle: Joi.string().valid('MARKET', 'LIMIT', 'SL', 'SL-M', 'TRAILING_STOP').required().messages({
+      'any.only': 'Order style must be one of MARKET, LIMIT, SL, SL-M or TRAILING_STOP'
+    }),
+    quantity: Joi.number().integer().min(1).max(10000).required().messages({
+      'number.min': 'Quantity must be at least 1',
+      'number.max': 'Quantity cannot exceed 10000',
+      'number.integer': 'Quantity must be a whole number'
+    }),
+    price: Joi.when('orderStyle', {
+      is: Joi.valid('LIMIT', 'SL'),
+      then: Joi.number().positive().required().messages({
+        'number.positive': 'Price must be positive',
+        'any.required': 'Price is required for LIMIT and SL orders'
+      }),
+      otherwise: Joi.number().positive().optional()
+    }),
+    trailingOffset: Joi.when('orderStyle', {
+      is: 'TRAILING_STOP',
+      then: Joi.number().positive().required().messages({
+        'number.positive': 'Trailing offset must be positive',
+        'any.required': 'Trailing offset is required for TRAILING_STOP orders'
+      }),
+      otherwise: Joi.forbidden().messages({
+        'any.unknown': 'Trailing offset is only allowed for TRAILING_STOP orders'
+      })
+    }),
+    trailingOffsetType: Joi.when('orderStyle', {
+      is: 'TRAILING_STOP',
+      then: Joi.string().valid('ABSOLUTE', 'PERCENT').default('ABSOLUTE').messages({
+        'any.only': 'Trailing offset type must be either ABSOLUTE or PERCENT'
+      }),
+      otherwise: Joi.forbidden().messages({
+        'any.unknown': 'Trailing offset type is only allowed for TRAILING_STOP orders'
+      })
+    }),
+    triggerPrice: Joi.when('orderStyle', {
+      is: Joi.valid('SL', 'SL-M'),
+      then: Joi.number().positive().required().messages({
+        'number.positive': 'Trigger price must be positive',
+        'any.required': 'Trigger price is required for SL and SL-M orders'
+      }),
+      otherwise: Joi.forbidden().messages({
+        'any.unknown': 'Trigger price is only allowed for SL and SL-M orders'
+      })
+    }),
+    disclosedQuantity: Joi.when('orderStyle', {
+      is: Joi.valid('LIMIT', 'SL'),
+      then: Joi.number().integer().min(1).max(Joi.ref('quantity')).optional().messages({
+        'number.min': 'Disclosed quantity must be at least 1',
+        'number.max': 'Disclosed quantity cannot exceed the order quantity',
+        'number.integer': 'Disclosed quantity must be a whole number'
+      }),
+      otherwise: Joi.forbidden().messages({
+        'any.unknown': 'Disclosed quantity is only allowed for LIMIT and SL orders'
+      })
+    }),
+    product: Joi.string().valid('CNC', 'MIS').default('CNC').messages({
+      'any.only': 'Product must be either CNC or MIS'
+    }),
+    validity: Joi.string().valid('DAY', 'IOC', 'GTC', 'GTD').default('DAY').messages({
+      'any.only': 'Validity must be one of DAY, IOC, GTC or GTD'
+    }),
+    validTill: Joi.when('validity', {
+      is: 'GTD',
+      then: Joi.date().iso().greater('now').required().messages({
+        'date.greater': 'Valid till date must be in the future',
+        'any.required': 'Valid till date is required for GTD orders'
+      }),
+      otherwise: Joi.forbidden().messages({
+        'any.unknown': 'Valid till date is only allowed for GTD orders'
+      })
+    })
+  }),
+
+  // Bracket order creation validation
+  createBracketOrder: Joi.object({
     symbol: Joi.string().required().min(1).max(20).messages({
       'string.empty': 'Symbol is required',
       'string.max': 'Symbol must be less than 20 characters'
@@ -42,7 +141,7 @@ const schemas = {
       'any.only': 'Order type must be either BUY or SELL'
     }),
     orderStyle: Joi.string().valid('MARKET', 'LIMIT').required().messages({
-      'any.only': 'Order style must be either MARKET or LIMIT'
+      'any.only': 'Entry order style must be either MARKET or LIMIT'
     }),
     quantity: Joi.number().integer().min(1).max(10000).required().messages({
       'number.min': 'Quantity must be at least 1',
@@ -56,9 +155,203 @@ const schemas = {
         'any.required': 'Price is required for LIMIT orders'
       }),
       otherwise: Joi.number().positive().optional()
+    }),
+    product: Joi.string().valid('CNC', 'MIS').default('CNC').messages({
+      'any.only': 'Product must be either CNC or MIS'
+    }),
+    targetPrice: Joi.number().positive().required().messages({
+      'number.positive': 'Target price must be positive',
+      'any.required': 'Target price is required for bracket orders'
+    }),
+    stopLossPrice: Joi.number().positive().required().messages({
+      'number.positive': 'Stop-loss price must be positive',
+      'any.required': 'Stop-loss price is required for bracket orders'
+    })
+  }),
+
+  // Algo (TWAP/VWAP) parent order validation
+  createAlgoOrder: Joi.object({
+    symbol: Joi.string().required().min(1).max(20).messages({
+      'string.empty': 'Symbol is required',
+      'string.max': 'Symbol must be less than 20 characters'
+    }),
+    orderType: Joi.string().valid('BUY', 'SELL').required().messages({
+      'any.only': 'Order type must be either BUY or SELL'
+    }),
+    orderStyle: Joi.string().valid('MARKET', 'LIMIT').default('MARKET').messages({
+      'any.only': 'Algo order style must be either MARKET or LIMIT'
+    }),
+    quantity: Joi.number().integer().min(1).max(10000).required().messages({
+      'number.min': 'Quantity must be at least 1',
+      'number.max': 'Quantity cannot exceed 10000',
+      'number.integer': 'Quantity must be a whole number'
+    }),
+    price: Joi.when('orderStyle', {
+      is: 'LIMIT',
+      then: Joi.number().positive().required().messages({
+        'number.positive': 'Price must be positive',
+        'any.required': 'Price is required for LIMIT orders'
+      }),
+      otherwise: Joi.forbidden()
+    }),
+    product: Joi.string().valid('CNC', 'MIS').default('CNC').messages({
+      'any.only': 'Product must be either CNC or MIS'
+    }),
+    algoType: Joi.string().valid('TWAP', 'VWAP').required().messages({
+      'any.only': 'Algo type must be either TWAP or VWAP',
+      'any.required': 'Algo type is required'
+    }),
+    durationMinutes: Joi.number().integer().min(1).max(375).required().messages({
+      'number.min': 'Duration must be at least 1 minute',
+      'number.max': 'Duration cannot exceed 375 minutes (one session)',
+      'any.required': 'Duration is required'
+    }),
+    slices: Joi.number().integer().min(1).max(100).optional().messages({
+      'number.min': 'An algo order needs at least one slice',
+      'number.max': 'An algo order cannot have more than 100 slices'
     })
   }),
 
+  // Basket order validation
+  // Each leg is validated separately against createOrder so every leg gets its own result
+  createBasketOrder: Joi.object({
+    mode: Joi.string().valid('ALL_OR_NONE', 'BEST_EFFORT').default('ALL_OR_NONE').messages({
+      'any.only': 'Mode must be either ALL_OR_NONE or BEST_EFFORT'
+    }),
+    orders: Joi.array().items(Joi.object().unknown(true)).min(1).max(20).required().messages({
+      'array.min': 'A basket needs at least one order',
+      'array.max': 'A basket cannot have more than 20 orders',
+      'any.required': 'Orders are required'
+    })
+  }),
+
+  // Bulk cancel filters; every working order matches when none are given
+  cancelAllOrders: Joi.object({
+    symbol: Joi.string().min(1).max(20),
+    orderType: Joi.string().valid('BUY', 'SELL').messages({
+      'any.only': 'Order type must be either BUY or SELL'
+    }),
+    orderStyle: Joi.string().valid('MARKET', 'LIMIT', 'SL', 'SL-M', 'TRAILING_STOP').messages({
+      'any.only': 'Order style must be one of MARKET, LIMIT, SL, SL-M or TRAILING_STOP'
+    })
+  }),
+
+  // GTT rule validation
+  createGtt: Joi.object({
+    symbol: Joi.string().required().min(1).max(20).messages({
+      'string.empty': 'Symbol is required',
+      'string.max': 'Symbol must be less than 20 characters'
+    }),
+    type: Joi.string().valid('SINGLE', 'OCO').default('SINGLE').messages({
+      'any.only': 'GTT type must be either SINGLE or OCO'
+    }),
+    legs: Joi.array().items(gttLeg).min(1).max(2).required().messages({
+      'array.min': 'A GTT rule needs at least one leg',
+      'array.max': 'A GTT rule cannot have more than two legs',
+      'any.required': 'Legs are required'
+    }),
+    expiresAt: Joi.date().iso().greater('now').optional().messages({
+      'date.greater': 'Expiry date must be in the future'
+    })
+  }),
+
+  modifyGtt: Joi.object({
+    legs: Joi.array().items(gttLeg).min(1).max(2).messages({
+      'array.min': 'A GTT rule needs at least one leg',
+      'array.max': 'A GTT rule cannot have more than two legs'
+    }),
+    expiresAt: Joi.date().iso().greater('now').messages({
+      'date.greater': 'Expiry date must be in the future'
+    })
+  }).or('legs', 'expiresAt').messages({
+    'object.missing': 'Provide at least one of legs or expiresAt'
+  }),
+
+  // SIP validation: either a fixed amount or a fixed quantity per instalment
+  createSip: Joi.object({
+    symbol: Joi.string().required().min(1).max(20).messages({
+      'string.empty': 'Symbol is required',
+      'string.max': 'Symbol must be less than 20 characters'
+    }),
+    frequency: Joi.string().valid('DAILY', 'WEEKLY', 'MONTHLY').required().messages({
+      'any.only': 'Frequency must be one of DAILY, WEEKLY or MONTHLY',
+      'any.required': 'Frequency is required'
+    }),
+    amount: Joi.number().positive().max(1000000).messages({
+      'number.positive': 'Amount must be positive',
+      'number.max': 'Amount cannot exceed 1000000'
+    }),
+    quantity: Joi.number().integer().min(1).max(10000).messages({
+      'number.min': 'Quantity must be at least 1',
+      'number.max': 'Quantity cannot exceed 10000',
+      'number.integer': 'Quantity must be a whole number'
+    }),
+    startDate: Joi.date().iso().greater('now').optional().messages({
+      'date.greater': 'Start date must be in the future'
+    }),
+    instalments: Joi.number().integer().min(1).max(1000).optional().messages({
+      'number.min': 'Instalments must be at least 1',
+      'number.integer': 'Instalments must be a whole number'
+    })
+  }).xor('amount', 'quantity').messages({
+    'object.missing': 'Provide either amount or quantity',
+    'object.xor': 'Provide either amount or quantity, not both'
+  }),
+
+  // Order modification validation
+  modifyOrder: Joi.object({
+    price: Joi.number().positive().messages({
+      'number.positive': 'Price must be positive'
+    }),
+    quantity: Joi.number().integer().min(1).max(10000).messages({
+      'number.min': 'Quantity must be at least 1',
+      'number.max': 'Quantity cannot exceed 10000',
+      'number.integer': 'Quantity must be a whole number'
+    }),
+    triggerPrice: Joi.number().positive().messages({
+      'number.positive': 'Trigger price must be positive'
+    })
+  }).or('price', 'quantity', 'triggerPrice').messages({
+    'object.missing': 'Provide at least one of price, quantity or triggerPrice'
+  }),
+
+  // Funds deposit/withdrawal validation
+  fundsTransfer: Joi.object({
+    amount: Joi.number().positive().precision(2).max(10000000).required().messages({
+      'number.positive': 'Amount must be positive',
+      'number.max': 'Amount cannot exceed 10000000',
+      'any.required': 'Amount is required'
+    })
+  }),
+
+  // Per-user risk limit overrides (admin)
+  riskLimits: Joi.object({
+    maxOrderQuantity: Joi.number().integer().min(1),
+    maxOrderValue: Joi.number().positive(),
+    minOrderValue: Joi.number().min(0),
+    priceBandPercent: Joi.number().positive().max(100),
+    maxOpenOrders: Joi.number().integer().min(1),
+    maxPositionQuantity: Joi.number().integer().min(1),
+    dailyLossLimit: Joi.number().positive()
+  }).min(1).messages({
+    'object.min': 'Provide at least one limit'
+  }),
+
+  killSwitch: Joi.object({
+    reason: Joi.string().trim().min(1).max(200),
+    cancelOpenOrders: Joi.boolean().default(true)
+  }),
+
+  tradingHalt: Joi.object({
+    reason: Joi.string().trim().min(1).max(200).required().messages({
+      'any.required': 'A reason is required to halt trading'
+    })
+  }),
+
+  simulationReset: Joi.object({
+    seed: Joi.number().integer().min(0).max(4294967295)
+  }),
+
   // Parameter validation
   orderId: Joi.object({
     orderId: Joi.string().uuid().required().messages({
@@ -66,24 +359,80 @@ const schemas = {
     })
   }),
 
+  basketId: Joi.object({
+    basketId: Joi.string().uuid().required().messages({
+      'string.guid': 'Invalid basket ID format'
+    })
+  }),
+
+  gttId: Joi.object({
+    gttId: Joi.string().uuid().required().messages({
+      'string.guid': 'Invalid GTT rule ID format'
+    })
+  }),
+
+  sipId: Joi.object({
+    sipId: Joi.string().uuid().required().messages({
+      'string.guid': 'Invalid SIP ID format'
+    })
+  }),
+
+  userId: Joi.object({
+    userId: Joi.string().min(1).max(64).required()
+  }),
+
   // Query parameter validation
   queryParams: Joi.object({
     limit: Joi.number().integer().min(1).max(100).default(50),
     offset: Joi.number().integer().min(0).default(0),
-    status: Joi.string().valid('NEW', 'PLACED', 'EXECUTED', 'CANCELLED').optional(),
+    status: Joi.string().valid('NEW', 'PLACED', 'PARTIALLY_FILLED', 'EXECUTED', 'CANCELLED', 'REJECTED', 'EXPIRED').optional(),
     symbol: Joi.string().min(1).max(20).optional()
   })
 };
 
 // Pre-configured validation middleware
 const validateCreateOrder = validate(schemas.createOrder, 'body');
+const validateCreateBracketOrder = validate(schemas.createBracketOrder, 'body');
+const validateCreateBasketOrder = validate(schemas.createBasketOrder, 'body');
+const validateCreateAlgoOrder = validate(schemas.createAlgoOrder, 'body');
+const validateCancelAllOrders = validate(schemas.cancelAllOrders, 'body');
+const validateCreateGtt = validate(schemas.createGtt, 'body');
+const validateModifyGtt = validate(schemas.modifyGtt, 'body');
+const validateCreateSip = validate(schemas.createSip, 'body');
+const validateModifyOrder = validate(schemas.modifyOrder, 'body');
+const validateFundsTransfer = validate(schemas.fundsTransfer, 'body');
+const validateRiskLimits = validate(schemas.riskLimits, 'body');
+const validateKillSwitch = validate(schemas.killSwitch, 'body');
+const validateTradingHalt = validate(schemas.tradingHalt, 'body');
+const validateSimulationReset = validate(schemas.simulationReset, 'body');
 const validateOrderId = validate(schemas.orderId, 'params');
+const validateBasketId = validate(schemas.basketId, 'params');
+const validateGttId = validate(schemas.gttId, 'params');
+const validateSipId = validate(schemas.sipId, 'params');
+const validateUserId = validate(schemas.userId, 'params');
 const validateQueryParams = validate(schemas.queryParams, 'query');
 
 module.exports = {
   validate,
   schemas,
   validateCreateOrder,
+  validateCreateBracketOrder,
+  validateCreateBasketOrder,
+  validateCreateAlgoOrder,
+  validateCancelAllOrders,
+  validateCreateGtt,
+  validateModifyGtt,
+  validateCreateSip,
+  validateModifyOrder,
+  validateFundsTransfer,
+  validateRiskLimits,
+  validateKillSwitch,
+  validateTradingHalt,
+  validateSimulationReset,
   validateOrderId,
+  validateBasketId,
+  validateGttId,
+  validateSipId,
+  validateUserId,
   validateQueryParams
 };
@@ -5,14 +5,41 @@ const orderSchema = Joi.object({
   userId: Joi.string().required(),
   symbol: Joi.string().required().min(1).max(20),
   orderType: Joi.string().valid('BUY', 'SELL').required(),
-  orderStyle: Joi.string().valid('MARKET', 'LIMIT').required(),
+  orderStyle: Joi.string().valid('MARKET', 'LIMIT', 'SL', 'SL-M', 'TRAILING_STOP').required(),
   quantity: Joi.number().integer().min(1).required(),
   price: Joi.when('orderStyle', {
-    is: 'LIMIT',
+    is: Joi.valid('LIMIT', 'SL'),
     then: Joi.number().positive().required(),
     otherwise: Joi.number().positive().optional()
   }),
-  status: Joi.string().valid('NEW', 'PLACED', 'EXECUTED', 'CANCELLED').default('NEW')
+  triggerPrice: Joi.when('orderStyle', {
+    is: Joi.valid('SL', 'SL-M'),
+    then: Joi.number().positive().required(),
+    otherwise: Joi.forbidden()
+  }),
+  trailingOffset: Joi.when('orderStyle', {
+    is: 'TRAILING_STOP',
+    then: Joi.number().positive().required(),
+    otherwise: Joi.forbidden()
+  }),
+  trailingOffsetType: Joi.when('orderStyle', {
+    is: 'TRAILING_STOP',
+    then: Joi.string().valid('ABSOLUTE', 'PERCENT').default('ABSOLUTE'),
+    otherwise: Joi.forbidden()
+  }),
+  disclosedQuantity: Joi.when('orderStyle', {
+    is: Joi.valid('LIMIT', 'SL'),
+    then: Joi.number().integer().min(1).max(Joi.ref('quantity')).optional(),
+    otherwise: Joi.forbidden()
+  }),
+  product: Joi.string().valid('CNC', 'MIS').default('CNC'),
+  validity: Joi.string().valid('DAY', 'IOC', 'GTC', 'GTD').default('DAY'),
+  validTill: Joi.when('validity', {
+    is: 'GTD',
+    then: Joi.date().required(),
+    otherwise: Joi.forbidden()
+  }),
+  status: Joi.string().valid('NEW', 'PLACED', 'PARTIALLY_FILLED', 'EXECUTED', 'CANCELLED', 'REJECTED', 'EXPIRED').default('NEW')
 });
 
 class Order {
@@ -31,9 +58,11 @@ class Order {
 
   static validateUpdate(data) {
     const updateSchema = Joi.object({
-      status: Joi.string().valid('NEW', 'PLACED', 'EXECUTED', 'CANCELLED'),
+      status: Joi.string().valid('NEW', 'PLACED', 'PARTIALLY_FILLED', 'EXECUTED', 'CANCELLED', 'REJECTED', 'EXPIRED'),
       executedPrice: Joi.number().positive(),
-      executedQuantity: Joi.number().integer().min(0)
+      executedQuantity: Joi.number().integer().min(0),
+      remainingQuantity: Joi.number().integer().min(0),
+      cancelledQuantity: Joi.number().integer().min(0)
     });
     
     return updateSchema.validate(data);
@@ -47,10 +76,39 @@ class Order {
       orderType: this.orderType,
       orderStyle: this.orderStyle,
       quantity: this.quantity,
+      disclosedQuantity: this.disclosedQuantity,
+      visibleQuantity: this.visibleQuantity,
+      sliceNumber: this.sliceNumber,
       price: this.price,
+      triggerPrice: this.triggerPrice,
+      trailingOffset: this.trailingOffset,
+      trailingOffsetType: this.trailingOffsetType,
+      trailingAnchorPrice: this.trailingAnchorPrice,
+      triggerHistory: this.triggerHistory,
+      triggeredAt: this.triggeredAt,
+      legType: this.legType,
+      parentOrderId: this.parentOrderId,
+      childOrderIds: this.childOrderIds,
+      basketId: this.basketId,
+      gttId: this.gttId,
+      sipId: this.sipId,
+      algo: this.algo,
+      algoOrderId: this.algoOrderId,
+      product: this.product,
+      squareOff: this.squareOff,
+      amo: this.amo,
+      queuedInSession: this.queuedInSession,
+      releasedAt: this.releasedAt,
+      validity: this.validity,
+      validTill: this.validTill,
+      expiresAt: this.expiresAt,
+      version: this.version,
       status: this.status,
       executedPrice: this.executedPrice,
       executedQuantity: this.executedQuantity,
+      remainingQuantity: this.remainingQuantity,
+      cancelledQuantity: this.cancelledQuantity,
+      rejectionReason: this.rejectionReason,
       createdAt: this.createdAt,
       updatedAt: this.updatedAt
     };
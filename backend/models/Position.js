@@ -0,0 +1,67 @@
+const Joi = require('joi');
+
+// Intraday (MIS) position schema validation
+// Quantity is negative for a short position
+const positionSchema = Joi.object({
+  userId: Joi.string().required(),
+  symbol: Joi.string().required().min(1).max(20),
+  product: Joi.string().valid('MIS').default('MIS'),
+  quantity: Joi.number().integer().required(),
+  averagePrice: Joi.number().min(0).required(),
+  realizedPnl: Joi.number().default(0),
+  buyQuantity: Joi.number().integer().min(0).default(0),
+  buyValue: Joi.number().min(0).default(0),
+  sellQuantity: Joi.number().integer().min(0).default(0),
+  sellValue: Joi.number().min(0).default(0),
+  // Charges paid on the position's fills; already taken off realizedPnl
+  charges: Joi.number().min(0).default(0),
+  // Margin held against the open quantity
+  margin: Joi.number().min(0).default(0)
+});
+
+class Position {
+  constructor(data) {
+    const { error, value } = positionSchema.validate(data);
+    if (error) {
+      throw new Error(`Invalid position data: ${error.details[0].message}`);
+    }
+
+    Object.assign(this, value);
+  }
+
+  static validate(data) {
+    return positionSchema.validate(data);
+  }
+
+  // Mark the open quantity to the current price
+  calculateCurrentValues(currentPrice) {
+    this.currentPrice = currentPrice;
+    this.unrealizedPnl = (currentPrice - this.averagePrice) * this.quantity;
+    this.totalPnl = this.realizedPnl + this.unrealizedPnl;
+
+    return this;
+  }
+
+  toJSON() {
+    return {
+      userId: this.userId,
+      symbol: this.symbol,
+      product: this.product,
+      quantity: this.quantity,
+      averagePrice: parseFloat(this.averagePrice.toFixed(2)),
+      realizedPnl: parseFloat(this.realizedPnl.toFixed(2)),
+      buyQuantity: this.buyQuantity,
+      buyValue: parseFloat(this.buyValue.toFixed(2)),
+      sellQuantity: this.sellQuantity,
+      sellValue: parseFloat(this.sellValue.toFixed(2)),
+      charges: parseFloat(this.charges.toFixed(2)),
+      margin: parseFloat(this.margin.toFixed(2)),
+      currentPrice: this.currentPrice ? parseFloat(this.currentPrice.toFixed(2)) : null,
+      unrealizedPnl: this.unrealizedPnl !== undefined ? parseFloat(this.unrealizedPnl.toFixed(2)) : null,
+      totalPnl: this.totalPnl !== undefined ? parseFloat(this.totalPnl.toFixed(2)) : null,
+      updatedAt: this.updatedAt
+    };
+  }
+}
+
+module.exports = Position;
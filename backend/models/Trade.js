@@ -6,9 +6,24 @@ const tradeSchema = Joi.object({
   orderId: Joi.string().required(),
   symbol: Joi.string().required().min(1).max(20),
   orderType: Joi.string().valid('BUY', 'SELL').required(),
+  product: Joi.string().valid('CNC', 'MIS').default('CNC'),
   quantity: Joi.number().integer().min(1).required(),
   price: Joi.number().positive().required(),
   totalAmount: Joi.number().positive().required(),
+  // Brokerage, taxes and fees (see chargesService)
+  charges: Joi.object({
+    brokerage: Joi.number().min(0).required(),
+    stt: Joi.number().min(0).required(),
+    exchangeCharges: Joi.number().min(0).required(),
+    sebiFee: Joi.number().min(0).required(),
+    gst: Joi.number().min(0).required(),
+    stampDuty: Joi.number().min(0).required(),
+    total: Joi.number().min(0).required()
+  }).optional(),
+  // Value plus charges for a BUY, value less charges for a SELL
+  netAmount: Joi.number().optional(),
+  realizedPnl: Joi.number().optional(),
+  counterpartyOrderId: Joi.string().optional(),
   executedAt: Joi.date().default(() => new Date())
 });
 
@@ -38,9 +53,14 @@ class Trade {
       orderId: this.orderId,
       symbol: this.symbol,
       orderType: this.orderType,
+      product: this.product,
       quantity: this.quantity,
       price: this.price,
       totalAmount: this.totalAmount,
+      charges: this.charges,
+      netAmount: this.netAmount,
+      realizedPnl: this.realizedPnl,
+      counterpartyOrderId: this.counterpartyOrderId,
       executedAt: this.executedAt,
       createdAt: this.createdAt
     };
@@ -0,0 +1,96 @@
+const express = require('express');
+const riskController = require('../controllers/riskController');
+const simulationController = require('../controllers/simulationController');
+const { authenticateUser, requireAdmin } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
+const {
+  validateRiskLimits,
+  validateKillSwitch,
+  validateTradingHalt,
+  validateSimulationReset,
+  validateUserId
+} = require('../middleware/validation');
+
+const router = express.Router();
+
+// All admin routes require an admin user
+router.use(authenticateUser, requireAdmin);
+
+/**
+ * @route   GET /api/v1/admin/risk-limits/:userId
+ * @desc    Get a user's risk limits, overrides and current usage
+ * @access  Admin
+ */
+router.get('/risk-limits/:userId', validateUserId, riskController.getUserLimits);
+
+/**
+ * @route   PUT /api/v1/admin/risk-limits/:userId
+ * @desc    Override some of a user's risk limits; limits not given keep their value
+ * @access  Admin
+ * @headers Idempotency-Key?
+ * @body    { maxOrderQuantity?, maxOrderValue?, minOrderValue?, priceBandPercent?, maxOpenOrders?, maxPositionQuantity?, dailyLossLimit? }
+ */
+router.put('/risk-limits/:userId', idempotency, validateUserId, validateRiskLimits, riskController.setUserLimits);
+
+/**
+ * @route   DELETE /api/v1/admin/risk-limits/:userId
+ * @desc    Remove every override so the user falls back to the default limits
+ * @access  Admin
+ */
+router.delete('/risk-limits/:userId', validateUserId, riskController.resetUserLimits);
+
+/**
+ * @route   PUT /api/v1/admin/kill-switch/:userId
+ * @desc    Activate a user's kill switch (and cancel their working orders unless cancelOpenOrders is false)
+ * @access  Admin
+ * @headers Idempotency-Key?
+ * @body    { reason?, cancelOpenOrders?: boolean }
+ */
+router.put('/kill-switch/:userId', idempotency, validateUserId, validateKillSwitch, riskController.activateKillSwitch);
+
+/**
+ * @route   DELETE /api/v1/admin/kill-switch/:userId
+ * @desc    Reset a user's kill switch
+ * @access  Admin
+ */
+router.delete('/kill-switch/:userId', validateUserId, riskController.resetKillSwitch);
+
+/**
+ * @route   GET /api/v1/admin/halt
+ * @desc    Get the global trading halt, if any
+ * @access  Admin
+ */
+router.get('/halt', riskController.getTradingHalt);
+
+/**
+ * @route   PUT /api/v1/admin/halt
+ * @desc    Halt trading for every user; new orders are refused, working orders are left alone
+ * @access  Admin
+ * @headers Idempotency-Key?
+ * @body    { reason }
+ */
+router.put('/halt', idempotency, validateTradingHalt, riskController.haltTrading);
+
+/**
+ * @route   DELETE /api/v1/admin/halt
+ * @desc    Lift the global trading halt
+ * @access  Admin
+ */
+router.delete('/halt', riskController.resumeTrading);
+
+/**
+ * @route   GET /api/v1/admin/simulation
+ * @desc    Get the state of the market simulation (mode, seed and current prices)
+ * @access  Admin
+ */
+router.get('/simulation', simulationController.getStatus);
+
+/**
+ * @route   POST /api/v1/admin/simulation/reset
+ * @desc    Clear all trading data, restore opening prices and restart the random sequence from a seed (simulation mode only)
+ * @access  Admin
+ * @body    { seed? }
+ */
+router.post('/simulation/reset', validateSimulationReset, simulationController.reset);
+
+module.exports = router;
@@ -0,0 +1,45 @@
+const express = require('express');
+const fundsController = require('../controllers/fundsController');
+const { authenticateUser } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
+const { validateFundsTransfer } = require('../middleware/validation');
+
+const router = express.Router();
+
+// All funds routes require authentication
+router.use(authenticateUser);
+
+/**
+ * @route   GET /api/v1/funds
+ * @desc    Get cash balance, blocked amount and available balance
+ * @access  Private
+ */
+router.get('/', fundsController.getFunds);
+
+/**
+ * @route   GET /api/v1/funds/ledger
+ * @desc    Get funds ledger (deposits, withdrawals, blocks, releases, debits, credits)
+ * @access  Private
+ * @params  Query parameters: type, page, limit
+ */
+router.get('/ledger', fundsController.getLedger);
+
+/**
+ * @route   POST /api/v1/funds/deposit
+ * @desc    Deposit funds
+ * @access  Private
+ * @headers Idempotency-Key?
+ * @body    { amount }
+ */
+router.post('/deposit', idempotency, validateFundsTransfer, fundsController.deposit);
+
+/**
+ * @route   POST /api/v1/funds/withdraw
+ * @desc    Withdraw available funds
+ * @access  Private
+ * @headers Idempotency-Key?
+ * @body    { amount }
+ */
+router.post('/withdraw', idempotency, validateFundsTransfer, fundsController.withdraw);
+
+module.exports = router;
@@ -0,0 +1,53 @@
+const express = require('express');
+const gttController = require('../controllers/gttController');
+const { authenticateUser } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
+const { validateCreateGtt, validateModifyGtt, validateGttId } = require('../middleware/validation');
+
+const router = express.Router();
+
+// All GTT routes require authentication
+router.use(authenticateUser);
+
+/**
+ * @route   POST /api/v1/gtt
+ * @desc    Create a good-till-triggered rule that places an order when the price meets its condition
+ * @access  Private
+ * @headers Idempotency-Key?
+ * @body    { symbol, type?: SINGLE | OCO, legs: [{ condition: ABOVE | BELOW, triggerPrice, order: { orderType, orderStyle, quantity, price?, ... } }], expiresAt? }
+ */
+router.post('/', idempotency, validateCreateGtt, gttController.createRule);
+
+/**
+ * @route   GET /api/v1/gtt
+ * @desc    Get all GTT rules for the authenticated user
+ * @access  Private
+ * @params  Query parameters: status, symbol
+ */
+router.get('/', gttController.getAllRules);
+
+/**
+ * @route   GET /api/v1/gtt/:gttId
+ * @desc    Get a GTT rule with its trigger log
+ * @access  Private
+ */
+router.get('/:gttId', validateGttId, gttController.getRule);
+
+/**
+ * @route   PUT /api/v1/gtt/:gttId
+ * @desc    Replace the legs and/or expiry of an active GTT rule
+ * @access  Private
+ * @headers Idempotency-Key?
+ * @body    { legs?, expiresAt? }
+ */
+router.put('/:gttId', idempotency, validateGttId, validateModifyGtt, gttController.modifyRule);
+
+/**
+ * @route   DELETE /api/v1/gtt/:gttId
+ * @desc    Cancel an active GTT rule
+ * @access  Private
+ * @headers Idempotency-Key?
+ */
+router.delete('/:gttId', idempotency, validateGttId, gttController.cancelRule);
+
+module.exports = router;
@@ -3,6 +3,13 @@ const instrumentRoutes = require('./instruments');
 const orderRoutes = require('./orders');
 const tradeRoutes = require('./trades');
 const portfolioRoutes = require('./portfolio');
+const fundsRoutes = require('./funds');
+const gttRoutes = require('./gtt');
+const sipRoutes = require('./sips');
+const marketRoutes = require('./market');
+const riskRoutes = require('./risk');
+const marginRoutes = require('./margins');
+const adminRoutes = require('./admin');
 
 const router = express.Router();
 
@@ -17,7 +24,14 @@ router.get('/health', (req, res) => {
       instruments: '/api/v1/instruments',
       orders: '/api/v1/orders',
       trades: '/api/v1/trades',
-      portfolio: '/api/v1/portfolio'
+      portfolio: '/api/v1/portfolio',
+      funds: '/api/v1/funds',
+      gtt: '/api/v1/gtt',
+      sips: '/api/v1/sips',
+      market: '/api/v1/market',
+      risk: '/api/v1/risk',
+      margins: '/api/v1/margins',
+      admin: '/api/v1/admin'
     }
   });
 });
@@ -33,7 +47,7 @@ router.get('/docs', (req, res) => {
       type: 'Bearer Token',
       header: 'Authorization',
       value: 'Bearer mock-token',
-      note: 'Use "Bearer mock-token" for testing'
+      note: 'Use "Bearer mock-token" for testing ("Bearer mock-token-2" acts as a second user, "Bearer mock-admin-token" as an admin)'
     },
     endpoints: {
       instruments: {
@@ -41,13 +55,28 @@ router.get('/docs', (req, res) => {
         'GET /instruments/:symbol': 'Get instrument by symbol',
         'GET /instruments/search': 'Search instruments with filters',
         'GET /instruments/:symbol/price': 'Get current price',
+        'GET /instruments/:symbol/orderbook': 'Get order book depth',
         'GET /instruments/stats': 'Get market statistics'
       },
       orders: {
         'POST /orders': 'Place a new order',
+        'POST /orders/preview': 'Preview an order (price, value, charges, funds and position) without placing it',
+        'POST /orders/bracket': 'Place a bracket order with target and stop-loss legs',
+        'POST /orders/algo': 'Start a TWAP or VWAP algo order',
+        'POST /orders/basket': 'Place a basket of orders (all-or-none or best-effort)',
+        'POST /orders/cancel-all': 'Cancel every working order (filter by symbol, side, style)',
+        'GET /orders/basket': 'Get all baskets',
+        'GET /orders/basket/:basketId': 'Get a basket with its orders',
+        'PUT /orders/basket/:basketId/cancel': 'Cancel every working order of a basket',
         'GET /orders': 'Get all orders',
         'GET /orders/:orderId': 'Get order by ID',
+        'GET /orders/:orderId/algo': 'Get the progress of an algo order against its benchmark',
+        'PUT /orders/:orderId/algo/pause': 'Pause an algo order',
+        'PUT /orders/:orderId/algo/resume': 'Resume a paused algo order',
         'PUT /orders/:orderId/cancel': 'Cancel an order',
+        'PUT /orders/:orderId': 'Modify an open order in place',
+        'GET /orders/:orderId/history': 'Get amendment history of an order',
+        'GET /orders/:orderId/timeline': 'Get status timeline of an order',
         'GET /orders/stats': 'Get order statistics',
         'GET /orders/pending': 'Get pending orders',
         'GET /orders/executed': 'Get executed orders'
@@ -64,7 +93,52 @@ router.get('/docs', (req, res) => {
         'GET /portfolio/:symbol': 'Get holding by symbol',
         'GET /portfolio/summary': 'Get portfolio summary',
         'GET /portfolio/performance': 'Get portfolio performance',
-        'GET /portfolio/holdings': 'Get all holdings'
+        'GET /portfolio/holdings': 'Get all holdings',
+        'GET /portfolio/positions': 'Get intraday (MIS) positions'
+      },
+      funds: {
+        'GET /funds': 'Get cash, blocked and available balance',
+        'GET /funds/ledger': 'Get funds ledger',
+        'POST /funds/deposit': 'Deposit funds',
+        'POST /funds/withdraw': 'Withdraw available funds'
+      },
+      gtt: {
+        'POST /gtt': 'Create a GTT rule (single or OCO)',
+        'GET /gtt': 'Get all GTT rules',
+        'GET /gtt/:gttId': 'Get a GTT rule with its trigger log',
+        'PUT /gtt/:gttId': 'Modify an active GTT rule',
+        'DELETE /gtt/:gttId': 'Cancel an active GTT rule'
+      },
+      sips: {
+        'POST /sips': 'Create a SIP (fixed amount or quantity, daily, weekly or monthly)',
+        'GET /sips': 'Get all SIPs',
+        'GET /sips/:sipId': 'Get a SIP with its instalment history',
+        'POST /sips/:sipId/pause': 'Pause an active SIP',
+        'POST /sips/:sipId/resume': 'Resume a paused SIP',
+        'DELETE /sips/:sipId': 'Cancel a SIP'
+      },
+      market: {
+        'GET /market/status': 'Get the current market session and next open'
+      },
+      risk: {
+        'GET /risk/limits': 'Get your pre-trade risk limits and current usage',
+        'PUT /risk/kill-switch': 'Activate your kill switch (blocks new orders)',
+        'DELETE /risk/kill-switch': 'Reset your kill switch'
+      },
+      margins: {
+        'GET /margins': 'Get used and available margin, position margin and the leverage table'
+      },
+      admin: {
+        'GET /admin/risk-limits/:userId': 'Get a user\'s risk limits (admin)',
+        'PUT /admin/risk-limits/:userId': 'Override a user\'s risk limits (admin)',
+        'DELETE /admin/risk-limits/:userId': 'Reset a user\'s risk limits to the defaults (admin)',
+        'PUT /admin/kill-switch/:userId': 'Activate a user\'s kill switch (admin)',
+        'DELETE /admin/kill-switch/:userId': 'Reset a user\'s kill switch (admin)',
+        'GET /admin/halt': 'Get the global trading halt (admin)',
+        'PUT /admin/halt': 'Halt trading for every user (admin)',
+        'DELETE /admin/halt': 'Resume trading (admin)',
+        'GET /admin/simulation': 'Get the simulation mode, seed and current prices (admin)',
+        'POST /admin/simulation/reset': 'Restart the simulation from a seed (admin, simulation mode only)'
       }
     },
     examples: {
@@ -99,5 +173,12 @@ router.use('/instruments', instrumentRoutes);
 router.use('/orders', orderRoutes);
 router.use('/trades', tradeRoutes);
 router.use('/portfolio', portfolioRoutes);
+router.use('/funds', fundsRoutes);
+router.use('/gtt', gttRoutes);
+router.use('/sips', sipRoutes);
+router.use('/market', marketRoutes);
+router.use('/risk', riskRoutes);
+router.use('/margins', marginRoutes);
+router.use('/admin', adminRoutes);
 
 module.exports = router;
@@ -44,6 +44,14 @@ router.get('/:symbol', optionalAuth, instrumentController.getInstrumentBySymbol)
  */
 router.get('/:symbol/price', optionalAuth, instrumentController.getCurrentPrice);
 
+/**
+ * @route   GET /api/v1/instruments/:symbol/orderbook
+ * @desc    Get aggregated order book depth (bids and asks) for an instrument
+ * @access  Public
+ * @params  Path parameter: symbol (instrument symbol); Query parameter: levels (price levels per side, default 5)
+ */
+router.get('/:symbol/orderbook', optionalAuth, instrumentController.getOrderBook);
+
 /**
  * @route   GET /api/v1/instruments/exchange/:exchange
  * @desc    Get instruments by exchange
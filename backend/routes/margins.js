@@ -0,0 +1,17 @@
+const express = require('express');
+const marginController = require('../controllers/marginController');
+const { authenticateUser } = require('../middleware/auth');
+
+const router = express.Router();
+
+// All margin routes require authentication
+router.use(authenticateUser);
+
+/**
+ * @route   GET /api/v1/margins
+ * @desc    Get used and available margin, the margin held by each intraday position, any margin call and the leverage table
+ * @access  Private
+ */
+router.get('/', marginController.getMargins);
+
+module.exports = router;
@@ -0,0 +1,14 @@
+const express = require('express');
+const marketController = require('../controllers/marketController');
+const { optionalAuth } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/v1/market/status
+ * @desc    Get the current market session (pre-open, normal, post-close or closed), next open and holidays
+ * @access  Public
+ */
+router.get('/status', optionalAuth, marketController.getStatus);
+
+module.exports = router;
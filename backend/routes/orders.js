@@ -1,20 +1,104 @@
 const express = require('express');
 const orderController = require('../controllers/orderController');
 const { authenticateUser } = require('../middleware/auth');
-const { validateCreateOrder, validateOrderId, validateQueryParams } = require('../middleware/validation');
+const { idempotency } = require('../middleware/idempotency');
+const {
+  validateCreateOrder,
+  validateCreateBracketOrder,
+  validateCreateBasketOrder,
+  validateCreateAlgoOrder,
+  validateCancelAllOrders,
+  validateModifyOrder,
+  validateOrderId,
+  validateBasketId,
+  validateQueryParams
+} = require('../middleware/validation');
 
 const router = express.Router();
 
 // All order routes require authentication
 router.use(authenticateUser);
 
+// Mutating routes accept an optional Idempotency-Key header so clients can retry safely
+
 /**
  * @route   POST /api/v1/orders
  * @desc    Place a new order
  * @access  Private (requires authentication)
- * @body    { symbol, orderType, orderStyle, quantity, price? }
+ * @headers Idempotency-Key? (repeats within 24h return the original response)
+ * @body    { symbol, orderType, orderStyle, quantity, price?, triggerPrice?, trailingOffset?, trailingOffsetType?, disclosedQuantity?, validity?, validTill? }
+ */
+router.post('/', idempotency, validateCreateOrder, orderController.placeOrder);
+
+/**
+ * @route   POST /api/v1/orders/preview
+ * @desc    Dry run: validate and risk-check an order without placing it, and estimate its price,
+ *          value, charges, funds or margin needed and the resulting position
+ * @access  Private
+ * @body    Same as POST /api/v1/orders
+ */
+router.post('/preview', validateCreateOrder, orderController.previewOrder);
+
+/**
+ * @route   POST /api/v1/orders/bracket
+ * @desc    Place a bracket order: an entry with target and stop-loss exit legs (OCO)
+ * @access  Private
+ * @headers Idempotency-Key?
+ * @body    { symbol, orderType, orderStyle, quantity, price?, targetPrice, stopLossPrice }
+ */
+router.post('/bracket', idempotency, validateCreateBracketOrder, orderController.placeBracketOrder);
+
+/**
+ * @route   POST /api/v1/orders/algo
+ * @desc    Start an algo order that executes through IOC child orders over a time window
+ *          (TWAP: even slices; VWAP: slices sized by the intraday volume profile)
+ * @access  Private
+ * @headers Idempotency-Key?
+ * @body    { symbol, orderType, orderStyle?: MARKET | LIMIT, quantity, price?, product?, algoType: TWAP | VWAP, durationMinutes, slices? }
+ */
+router.post('/algo', idempotency, validateCreateAlgoOrder, orderController.placeAlgoOrder);
+
+/**
+ * @route   POST /api/v1/orders/basket
+ * @desc    Place a basket of up to 20 orders; every leg is validated first and gets its own status
+ * @access  Private
+ * @headers Idempotency-Key?
+ * @body    { mode?: ALL_OR_NONE | BEST_EFFORT, orders: [{ symbol, orderType, orderStyle, quantity, price?, ... }] }
+ */
+router.post('/basket', idempotency, validateCreateBasketOrder, orderController.placeBasketOrder);
+
+/**
+ * @route   GET /api/v1/orders/basket
+ * @desc    Get all baskets for the authenticated user
+ * @access  Private
+ */
+router.get('/basket', orderController.getAllBaskets);
+
+/**
+ * @route   GET /api/v1/orders/basket/:basketId
+ * @desc    Get a basket with its orders
+ * @access  Private
+ * @params  Path parameter: basketId (UUID)
+ */
+router.get('/basket/:basketId', validateBasketId, orderController.getBasket);
+
+/**
+ * @route   PUT /api/v1/orders/basket/:basketId/cancel
+ * @desc    Cancel every working order of a basket
+ * @access  Private
+ * @params  Path parameter: basketId (UUID)
+ * @headers Idempotency-Key?
  */
-router.post('/', validateCreateOrder, orderController.placeOrder);
+router.put('/basket/:basketId/cancel', idempotency, validateBasketId, orderController.cancelBasket);
+
+/**
+ * @route   POST /api/v1/orders/cancel-all
+ * @desc    Cancel every working order of the user, including queued after-market orders
+ * @access  Private
+ * @headers Idempotency-Key?
+ * @body    { symbol?, orderType?: BUY | SELL, orderStyle? }
+ */
+router.post('/cancel-all', idempotency, validateCancelAllOrders, orderController.cancelAllOrders);
 
 /**
  * @route   GET /api/v1/orders
@@ -33,7 +117,7 @@ router.get('/stats', orderController.getOrderStats);
 
 /**
  * @route   GET /api/v1/orders/pending
- * @desc    Get pending orders
+ * @desc    Get pending orders (placed or partially filled)
  * @access  Private
  */
 router.get('/pending', orderController.getPendingOrders);
@@ -56,7 +140,7 @@ router.post('/process-pending', orderController.processPendingOrders);
  * @route   GET /api/v1/orders/status/:status
  * @desc    Get orders by status
  * @access  Private
- * @params  Path parameter: status (NEW, PLACED, EXECUTED, CANCELLED)
+ * @params  Path parameter: status (NEW, PLACED, PARTIALLY_FILLED, EXECUTED, CANCELLED, REJECTED, EXPIRED)
  */
 router.get('/status/:status', orderController.getOrdersByStatus);
 
@@ -76,21 +160,65 @@ router.get('/symbol/:symbol', orderController.getOrdersBySymbol);
  */
 router.get('/:orderId', validateOrderId, orderController.getOrderById);
 
+/**
+ * @route   GET /api/v1/orders/:orderId/history
+ * @desc    Get amendment history of an order
+ * @access  Private
+ * @params  Path parameter: orderId (UUID)
+ */
+router.get('/:orderId/history', validateOrderId, orderController.getOrderHistory);
+
+/**
+ * @route   GET /api/v1/orders/:orderId/timeline
+ * @desc    Get status timeline of an order
+ * @access  Private
+ * @params  Path parameter: orderId (UUID)
+ */
+router.get('/:orderId/timeline', validateOrderId, orderController.getOrderTimeline);
+
+/**
+ * @route   GET /api/v1/orders/:orderId/algo
+ * @desc    Get the progress of an algo order: filled, remaining and average price against the benchmark
+ * @access  Private
+ * @params  Path parameter: orderId (UUID)
+ */
+router.get('/:orderId/algo', validateOrderId, orderController.getAlgoProgress);
+
+/**
+ * @route   PUT /api/v1/orders/:orderId/algo/pause
+ * @desc    Pause an algo order (cancel it with PUT /api/v1/orders/:orderId/cancel)
+ * @access  Private
+ * @params  Path parameter: orderId (UUID)
+ * @headers Idempotency-Key?
+ */
+router.put('/:orderId/algo/pause', idempotency, validateOrderId, orderController.pauseAlgoOrder);
+
+/**
+ * @route   PUT /api/v1/orders/:orderId/algo/resume
+ * @desc    Resume a paused algo order; slices that fell due while paused are skipped
+ * @access  Private
+ * @params  Path parameter: orderId (UUID)
+ * @headers Idempotency-Key?
+ */
+router.put('/:orderId/algo/resume', idempotency, validateOrderId, orderController.resumeAlgoOrder);
+
 /**
  * @route   PUT /api/v1/orders/:orderId/cancel
  * @desc    Cancel an order
  * @access  Private
  * @params  Path parameter: orderId (UUID)
+ * @headers Idempotency-Key?
  */
-router.put('/:orderId/cancel', validateOrderId, orderController.cancelOrder);
+router.put('/:orderId/cancel', idempotency, validateOrderId, orderController.cancelOrder);
 
 /**
  * @route   PUT /api/v1/orders/:orderId
- * @desc    Modify order (limited to pending orders)
+ * @desc    Amend a working order in place (keeps the order ID, bumps its version)
  * @access  Private
  * @params  Path parameter: orderId (UUID)
- * @body    { price?, quantity? }
+ * @headers Idempotency-Key?
+ * @body    { price?, quantity?, triggerPrice? }
  */
-router.put('/:orderId', validateOrderId, orderController.modifyOrder);
+router.put('/:orderId', idempotency, validateOrderId, validateModifyOrder, orderController.modifyOrder);
 
 module.exports = router;
@@ -88,6 +88,13 @@ router.get('/metrics', portfolioController.getPortfolioMetrics);
  */
 router.get('/comparison', portfolioController.getPortfolioComparison);
 
+/**
+ * @route   GET /api/v1/portfolio/positions
+ * @desc    Get intraday (MIS) positions with unrealized and realized P&L
+ * @access  Private
+ */
+router.get('/positions', portfolioController.getPositions);
+
 /**
  * @route   GET /api/v1/portfolio/:symbol
  * @desc    Get portfolio holding for a specific symbol
@@ -0,0 +1,35 @@
+const express = require('express');
+const riskController = require('../controllers/riskController');
+const { authenticateUser } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
+const { validateKillSwitch } = require('../middleware/validation');
+
+const router = express.Router();
+
+// All risk routes require authentication
+router.use(authenticateUser);
+
+/**
+ * @route   GET /api/v1/risk/limits
+ * @desc    Get the pre-trade risk limits that apply to the authenticated user, with current usage
+ * @access  Private
+ */
+router.get('/limits', riskController.getMyLimits);
+
+/**
+ * @route   PUT /api/v1/risk/kill-switch
+ * @desc    Activate the kill switch: new orders are refused until it is reset; working orders are cancelled unless cancelOpenOrders is false
+ * @access  Private
+ * @headers Idempotency-Key?
+ * @body    { reason?, cancelOpenOrders?: boolean }
+ */
+router.put('/kill-switch', idempotency, validateKillSwitch, riskController.activateKillSwitch);
+
+/**
+ * @route   DELETE /api/v1/risk/kill-switch
+ * @desc    Reset the kill switch so new orders are accepted again (not one an admin activated)
+ * @access  Private
+ */
+router.delete('/kill-switch', riskController.resetKillSwitch);
+
+module.exports = router;
@@ -0,0 +1,60 @@
+const express = require('express');
+const sipController = require('../controllers/sipController');
+const { authenticateUser } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
+const { validateCreateSip, validateSipId } = require('../middleware/validation');
+
+const router = express.Router();
+
+// All SIP routes require authentication
+router.use(authenticateUser);
+
+/**
+ * @route   POST /api/v1/sips
+ * @desc    Create a systematic investment plan that buys a fixed amount or quantity on a schedule
+ * @access  Private
+ * @headers Idempotency-Key?
+ * @body    { symbol, frequency: DAILY | WEEKLY | MONTHLY, amount | quantity, startDate?, instalments? }
+ */
+router.post('/', idempotency, validateCreateSip, sipController.createSip);
+
+/**
+ * @route   GET /api/v1/sips
+ * @desc    Get all SIPs for the authenticated user
+ * @access  Private
+ * @params  Query parameters: status, symbol
+ */
+router.get('/', sipController.getAllSips);
+
+/**
+ * @route   GET /api/v1/sips/:sipId
+ * @desc    Get a SIP with its instalment history
+ * @access  Private
+ */
+router.get('/:sipId', validateSipId, sipController.getSip);
+
+/**
+ * @route   POST /api/v1/sips/:sipId/pause
+ * @desc    Pause an active SIP
+ * @access  Private
+ * @headers Idempotency-Key?
+ */
+router.post('/:sipId/pause', idempotency, validateSipId, sipController.pauseSip);
+
+/**
+ * @route   POST /api/v1/sips/:sipId/resume
+ * @desc    Resume a paused SIP from its next due date
+ * @access  Private
+ * @headers Idempotency-Key?
+ */
+router.post('/:sipId/resume', idempotency, validateSipId, sipController.resumeSip);
+
+/**
+ * @route   DELETE /api/v1/sips/:sipId
+ * @desc    Cancel an active or paused SIP
+ * @access  Private
+ * @headers Idempotency-Key?
+ */
+router.delete('/:sipId', idempotency, validateSipId, sipController.cancelSip);
+
+module.exports = router;
@@ -65,7 +65,7 @@ router.get('/summary', tradeController.getTradesSummary);
 
 /**
  * @route   GET /api/v1/trades/order/:orderId
- * @desc    Get trades by order ID
+ * @desc    Get every fill (trade) for an order
  * @access  Private
  * @params  Path parameter: orderId (UUID)
  */
@@ -4,6 +4,13 @@ const helmet = require('helmet');
 const morgan = require('morgan');
 const config = require('./config/config');
 const routes = require('./routes');
+const orderService = require('./services/orderService');
+const gttService = require('./services/gttService');
+const sipService = require('./services/sipService');
+const algoService = require('./services/algoService');
+const marketService = require('./services/marketService');
+const schedulerService = require('./services/schedulerService');
+const memoryStore = require('./database/memoryStore');
 const { errorHandler } = require('./middleware/errorHandler');
 
 const app = express();
@@ -31,12 +38,23 @@ app.use('*', (req, res) => {
   res.status(404).json({ error: 'Route not found' });
 });
 
+// Background jobs
+schedulerService.register('market-session', config.scheduler.marketSessionCheckIntervalMs, () => marketService.checkSession());
+schedulerService.register('order-expiry', config.scheduler.expirySweepIntervalMs, () => orderService.expireOrders());
+schedulerService.register('mis-square-off', config.scheduler.squareOffCheckIntervalMs, () => orderService.squareOffIntradayPositions());
+schedulerService.register('margin-check', config.scheduler.marginCheckIntervalMs, () => orderService.enforceMarginCalls());
+schedulerService.register('algo-slices', config.scheduler.algoCheckIntervalMs, () => algoService.runAlgos());
+schedulerService.register('sip-instalments', config.scheduler.sipCheckIntervalMs, () => sipService.runDueSips());
+schedulerService.register('gtt-expiry', config.scheduler.expirySweepIntervalMs, () => gttService.expireRules());
+schedulerService.register('idempotency-cleanup', config.scheduler.idempotencyCleanupIntervalMs, () => memoryStore.purgeExpiredIdempotencyRecords());
+
 const PORT = config.port || 3000;
 
 app.listen(PORT, () => {
   console.log(`🚀 Bajaj Trading SDK Server is running on port ${PORT}`);
   console.log(`📊 Health check: http://localhost:${PORT}/health`);
   console.log(`📈 API Base URL: http://localhost:${PORT}/api/v1`);
+  schedulerService.start();
 });
 
 module.exports = app;
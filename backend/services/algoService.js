@@ -0,0 +1,426 @@
+const config = require('../config/config');
+const memoryStore = require('../database/memoryStore');
+const instrumentService = require('./instrumentService');
+const orderService = require('./orderService');
+const orderStateMachine = require('./orderStateMachine');
+const fundsService = require('./fundsService');
+const riskService = require('./riskService');
+const { AppError } = require('../middleware/errorHandler');
+const { getExchangeTime, getSessionCloseTime, isMarketOpen, toMinutes } = require('../utils/helpers');
+const {
+  HTTP_STATUS,
+  ORDER_STATUSES,
+  OPEN_ORDER_STATUSES,
+  ORDER_VALIDITIES,
+  ALGO_TYPES,
+  ALGO_STATUSES
+} = require('../utils/constants');
+
+const MINUTE_MS = 60 * 1000;
+
+class AlgoService {
+  /**
+   * Start an algo order: a parent order that executes over a time window through child orders
+   * - TWAP: every slice carries the same share of the quantity
+   * - VWAP: each slice's share follows the intraday volume profile at its time
+   * The parent blocks no funds and never trades itself. The full quantity must pass the same checks as a
+   * regular order when the algo starts, and each child order is checked again when it is placed.
+   * @param {Object} orderData - Order data with algoType, durationMinutes and slices (optional)
+   * @returns {Object} Parent order after its first slice
+   */
+  async placeAlgoOrder(orderData) {
+    try {
+      const { algoType, durationMinutes, slices = config.algo.defaultSlices, ...parentData } = orderData;
+      const now = new Date();
+
+      if (!isMarketOpen(now)) {
+        throw new AppError('Algo orders can only start while the market is open', HTTP_STATUS.BAD_REQUEST);
+      }
+
+      orderService.validateOrder(parentData);
+      riskService.ensureOrderAllowed(parentData);
+      fundsService.ensureAvailable(parentData.userId, orderService.calculateRequiredFunds(parentData));
+      orderService.ensureSellableQuantity(parentData);
+
+      const endAt = new Date(now.getTime() + durationMinutes * MINUTE_MS);
+      if (!config.market.alwaysOpen && endAt > getSessionCloseTime(now)) {
+        throw new AppError(
+          `The algo window must end by the close of the session (${config.market.sessions.normal.end} IST)`,
+          HTTP_STATUS.BAD_REQUEST
+        );
+      }
+
+      // Every slice needs at least one share
+      const sliceCount = Math.min(slices, parentData.quantity);
+      const sliceIntervalMs = durationMinutes * MINUTE_MS / sliceCount;
+
+      const parent = orderService.createOrderRecord({
+        ...parentData,
+        algo: {
+          type: algoType,
+          status: ALGO_STATUSES.RUNNING,
+          durationMinutes,
+          startAt: now,
+          endAt,
+          slices: sliceCount,
+          sliceIntervalMs,
+          weights: Array.from({ length: sliceCount }, (_, index) =>
+            this.getSliceWeight(algoType, new Date(now.getTime() + index * sliceIntervalMs))
+          ),
+          // Index of the next slice to send; slice i is due at startAt + i * sliceIntervalMs
+          nextSlice: 0,
+          skippedSlices: 0,
+          childOrderIds: [],
+          benchmarkSamples: [],
+          failedSlices: []
+        }
+      });
+
+      orderStateMachine.transition(parent.id, ORDER_STATUSES.PLACED, {
+        actor: parentData.userId,
+        reason: `${algoType} started: ${sliceCount} slices over ${durationMinutes} minutes`
+      });
+
+      console.log(`🧮 ${algoType} order ${parent.id} started: ${parentData.orderType} ${parentData.quantity} ${parentData.symbol} in ${sliceCount} slices over ${durationMinutes} minutes`);
+
+      await this.runSlices(parent.id, now);
+
+      return memoryStore.getOrderById(parent.id);
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+      throw new AppError('Failed to place algo order', HTTP_STATUS.INTERNAL_SERVER_ERROR);
+    }
+  }
+
+  /**
+   * Get the relative size of a slice sent at a moment
+   * VWAP uses the volume profile bucket of the normal session the moment falls in; times outside
+   * the session use the first or last bucket
+   * @param {string} algoType - TWAP or VWAP
+   * @param {Date} at - Time the slice is due
+   * @returns {number} Slice weight
+   */
+  getSliceWeight(algoType, at) {
+    if (algoType !== ALGO_TYPES.VWAP) {
+      return 1;
+    }
+
+    const profile = config.algo.vwapVolumeProfile;
+    const minutesIntoSession = getExchangeTime(at).minutes - toMinutes(config.market.sessions.normal.start);
+    const bucket = Math.floor(minutesIntoSession / config.algo.vwapBucketMinutes);
+
+    return profile[Math.min(Math.max(bucket, 0), profile.length - 1)];
+  }
+
+  /**
+   * Get the time a slice of an algo order is due
+   * @param {Object} algo - Algo state of the parent order
+   * @param {number} index - Slice index
+   * @returns {Date} Due time
+   */
+  getSliceTime(algo, index) {
+    return new Date(new Date(algo.startAt).getTime() + index * algo.sliceIntervalMs);
+  }
+
+  /**
+   * Send the slices that have fallen due on every running algo order (run periodically by the scheduler)
+   * @param {Date} now - Current time (default now)
+   * @returns {number} Number of algo orders checked
+   */
+  async runAlgos(now = new Date()) {
+    const parents = Array.from(memoryStore.orders.values())
+      .filter(order => order.algo && OPEN_ORDER_STATUSES.includes(order.status));
+
+    for (const parent of parents) {
+      await this.runSlices(parent.id, now);
+    }
+
+    return parents.length;
+  }
+
+  /**
+   * Send an algo order's due slices, then close it if its window has ended
+   * Slices run only while the market is open. If several slices fell due since the last run, their
+   * quantity goes out as one child order.
+   * @param {string} orderId - Parent order ID
+   * @param {Date} now - Current time
+   */
+  async runSlices(orderId, now) {
+    const parent = memoryStore.getOrderById(orderId);
+    const { algo } = parent;
+
+    if (algo.status === ALGO_STATUSES.RUNNING && isMarketOpen(now)) {
+      let dueSlice = algo.nextSlice;
+      while (dueSlice < algo.slices && this.getSliceTime(algo, dueSlice) <= now) {
+        dueSlice++;
+      }
+
+      if (dueSlice > algo.nextSlice) {
+        await this.sendSlices(parent, dueSlice, now);
+      }
+    }
+
+    const { status, remainingQuantity } = memoryStore.getOrderById(orderId);
+    if (OPEN_ORDER_STATUSES.includes(status) && now >= new Date(algo.endAt)) {
+      orderService.closeRemainingQuantity(orderId, ORDER_STATUSES.EXPIRED, { reason: 'Algo window ended' });
+      console.log(`⏹️ ${algo.type} order ${orderId} expired with ${remainingQuantity} shares unfilled`);
+    }
+  }
+
+  /**
+   * Send the slices up to (not including) an index as one IOC child order
+   * The child gets the due slices' share of the quantity still unfilled, so quantity a failed or
+   * partly filled child left behind is spread over the slices that remain. The last slice sends everything left.
+   * @param {Object} parent - Parent order
+   * @param {number} dueSlice - Index of the first slice not yet due
+   * @param {Date} now - Current time
+   * @returns {Object|null} Child order, or null if none was placed
+   */
+  async sendSlices(parent, dueSlice, now) {
+    const { algo } = parent;
+    const sumWeights = weights => weights.reduce((sum, weight) => sum + weight, 0);
+    const dueWeight = sumWeights(algo.weights.slice(algo.nextSlice, dueSlice));
+    const quantity = dueSlice === algo.slices ?
+      parent.remainingQuantity :
+      Math.round(parent.remainingQuantity * dueWeight / sumWeights(algo.weights.slice(algo.nextSlice)));
+
+    // Move the schedule on first, so the same slices are never sent twice
+    memoryStore.updateOrder(parent.id, {
+      algo: {
+        ...algo,
+        nextSlice: dueSlice,
+        benchmarkSamples: [
+          ...algo.benchmarkSamples,
+          { at: now, price: instrumentService.getCurrentPrice(parent.symbol), weight: dueWeight }
+        ]
+      }
+    });
+
+    if (quantity < 1) {
+      return null;
+    }
+
+    try {
+      const child = await orderService.placeOrder(this.buildChildOrder(parent, quantity));
+      const { algo: latest } = memoryStore.getOrderById(parent.id);
+
+      memoryStore.updateOrder(parent.id, {
+        algo: { ...latest, childOrderIds: [...latest.childOrderIds, child.id] }
+      });
+
+      console.log(`🧮 ${algo.type} order ${parent.id} slice ${dueSlice}/${algo.slices}: child ${child.id} for ${quantity} ${parent.symbol} ${child.status}`);
+
+      return child;
+    } catch (error) {
+      const { algo: latest } = memoryStore.getOrderById(parent.id);
+
+      memoryStore.updateOrder(parent.id, {
+        algo: {
+          ...latest,
+          failedSlices: [...latest.failedSlices, { slice: dueSlice, quantity, error: error.message, at: now }]
+        }
+      });
+
+      console.error(`❌ ${algo.type} order ${parent.id} slice ${dueSlice}/${algo.slices} failed: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Build the child order of a slice
+   * Children trade at the parent's style and price and are IOC, so nothing rests between slices
+   * @param {Object} parent - Parent order
+   * @param {number} quantity - Slice quantity
+   * @returns {Object} Child order data
+   */
+  buildChildOrder(parent, quantity) {
+    return {
+      userId: parent.userId,
+      symbol: parent.symbol,
+      orderType: parent.orderType,
+      orderStyle: parent.orderStyle,
+      ...(parent.price && { price: parent.price }),
+      product: parent.product,
+      quantity,
+      validity: ORDER_VALIDITIES.IOC,
+      algoOrderId: parent.id
+    };
+  }
+
+  /**
+   * Get an algo order owned by a user
+   * @param {string} orderId - Parent order ID
+   * @param {string} userId - User ID
+   * @returns {Object} Parent order
+   */
+  getAlgoOrder(orderId, userId) {
+    const order = orderService.getOrderById(orderId);
+
+    if (order.userId !== userId) {
+      throw new AppError('Unauthorized to access this order', HTTP_STATUS.FORBIDDEN);
+    }
+
+    if (!order.algo) {
+      throw new AppError('Order is not an algo order', HTTP_STATUS.BAD_REQUEST);
+    }
+
+    return order;
+  }
+
+  /**
+   * Get the progress of an algo order
+   * The benchmark is the average of the last traded prices sampled at each slice, weighted like the
+   * slices: a time-weighted average for TWAP and a volume-weighted one for VWAP. Slippage is positive
+   * when the fills are worse than the benchmark (paid more on a BUY, received less on a SELL).
+   * @param {string} orderId - Parent order ID
+   * @param {string} userId - User ID
+   * @returns {Object} Fill progress, average price against the benchmark, slice schedule and child orders
+   */
+  getAlgoProgress(orderId, userId) {
+    try {
+      const order = this.getAlgoOrder(orderId, userId);
+      const { algo } = order;
+      const round = value => Math.round(value * 100) / 100;
+
+      const benchmarkWeight = algo.benchmarkSamples.reduce((sum, sample) => sum + sample.weight, 0);
+      const benchmarkPrice = benchmarkWeight ?
+        round(algo.benchmarkSamples.reduce((sum, sample) => sum + sample.price * sample.weight, 0) / benchmarkWeight) :
+        null;
+      const averagePrice = order.executedQuantity ? order.executedPrice : null;
+
+      let slippage = null;
+      let slippageBps = null;
+      if (averagePrice && benchmarkPrice) {
+        slippage = round((averagePrice - benchmarkPrice) * (order.orderType === 'BUY' ? 1 : -1));
+        slippageBps = round(slippage / benchmarkPrice * 10000);
+      }
+
+      return {
+        orderId: order.id,
+        symbol: order.symbol,
+        orderType: order.orderType,
+        product: order.product,
+        algoType: algo.type,
+        algoStatus: algo.status,
+        orderStatus: order.status,
+        quantity: order.quantity,
+        filledQuantity: order.executedQuantity,
+        remainingQuantity: order.remainingQuantity,
+        cancelledQuantity: order.cancelledQuantity || 0,
+        percentComplete: round(order.executedQuantity / order.quantity * 100),
+        averagePrice,
+        benchmarkPrice,
+        slippage,
+        slippageBps,
+        slices: {
+          total: algo.slices,
+          processed: algo.nextSlice,
+          skipped: algo.skippedSlices,
+          failed: algo.failedSlices
+        },
+        startAt: algo.startAt,
+        endAt: algo.endAt,
+        pausedAt: algo.pausedAt || null,
+        nextSliceAt: algo.status === ALGO_STATUSES.RUNNING && algo.nextSlice < algo.slices ?
+          this.getSliceTime(algo, algo.nextSlice) : null,
+        childOrders: algo.childOrderIds.map(childId => {
+          const child = memoryStore.getOrderById(childId);
+          return {
+            id: child.id,
+            quantity: child.quantity,
+            executedQuantity: child.executedQuantity,
+            executedPrice: child.executedPrice,
+            status: child.status,
+            createdAt: child.createdAt
+          };
+        })
+      };
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+      throw new AppError('Failed to retrieve algo order progress', HTTP_STATUS.INTERNAL_SERVER_ERROR);
+    }
+  }
+
+  /**
+   * Pause a running algo order; no slices are sent until it is resumed
+   * @param {string} orderId - Parent order ID
+   * @param {string} userId - User ID
+   * @returns {Object} Algo order progress
+   */
+  pauseAlgo(orderId, userId) {
+    try {
+      const order = this.getAlgoOrder(orderId, userId);
+
+      if (order.algo.status !== ALGO_STATUSES.RUNNING) {
+        throw new AppError(`Cannot pause ${order.algo.status.toLowerCase()} algo order`, HTTP_STATUS.BAD_REQUEST);
+      }
+
+      memoryStore.updateOrder(orderId, {
+        algo: { ...order.algo, status: ALGO_STATUSES.PAUSED, pausedAt: new Date() }
+      });
+
+      console.log(`⏸️ ${order.algo.type} order ${orderId} paused`);
+
+      return this.getAlgoProgress(orderId, userId);
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+      throw new AppError('Failed to pause algo order', HTTP_STATUS.INTERNAL_SERVER_ERROR);
+    }
+  }
+
+  /**
+   * Resume a paused algo order
+   * Slices that fell due while it was paused are skipped, and the unfilled quantity is spread over the slices
+   * left in the window
+   * @param {string} orderId - Parent order ID
+   * @param {string} userId - User ID
+   * @returns {Object} Algo order progress
+   */
+  resumeAlgo(orderId, userId) {
+    try {
+      const order = this.getAlgoOrder(orderId, userId);
+      const { algo } = order;
+      const now = new Date();
+
+      if (algo.status !== ALGO_STATUSES.PAUSED) {
+        throw new AppError(`Cannot resume ${algo.status.toLowerCase()} algo order`, HTTP_STATUS.BAD_REQUEST);
+      }
+
+      let nextSlice = algo.nextSlice;
+      while (nextSlice < algo.slices && this.getSliceTime(algo, nextSlice) < now) {
+        nextSlice++;
+      }
+
+      if (nextSlice === algo.slices) {
+        throw new AppError('No slices are left in the algo window; cancel the order instead', HTTP_STATUS.BAD_REQUEST);
+      }
+
+      memoryStore.updateOrder(orderId, {
+        algo: {
+          ...algo,
+          status: ALGO_STATUSES.RUNNING,
+          pausedAt: null,
+          nextSlice,
+          skippedSlices: algo.skippedSlices + nextSlice - algo.nextSlice
+        }
+      });
+
+      console.log(`▶️ ${algo.type} order ${orderId} resumed (${nextSlice - algo.nextSlice} slices skipped)`);
+
+      return this.getAlgoProgress(orderId, userId);
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+      throw new AppError('Failed to resume algo order', HTTP_STATUS.INTERNAL_SERVER_ERROR);
+    }
+  }
+}
+
+module.exports = new AlgoService();
@@ -0,0 +1,344 @@
+const memoryStore = require('../database/memoryStore');
+const instrumentService = require('./instrumentService');
+const orderService = require('./orderService');
+const fundsService = require('./fundsService');
+const portfolioService = require('./portfolioService');
+const riskService = require('./riskService');
+const { AppError } = require('../middleware/errorHandler');
+const { schemas } = require('../middleware/validation');
+const { formatCurrency } = require('../utils/helpers');
+const {
+  HTTP_STATUS,
+  ORDER_STATUSES,
+  OPEN_ORDER_STATUSES,
+  PRODUCT_TYPES,
+  BASKET_MODES,
+  BASKET_LEG_STATUSES
+} = require('../utils/constants');
+
+class BasketService {
+  /**
+   * Place a list of orders as one basket
+   * - ALL_OR_NONE: nothing is placed unless every leg passes validation and the basket as a whole
+   *   is covered by funds and holdings. The legs are then created dormant (NEW), one after the other, so each
+   *   leg's risk, funds and holdings checks count the legs before it. Only once every leg is created are they
+   *   sent to the market; if a leg fails, the dormant legs before it are cancelled and nothing trades.
+   * - BEST_EFFORT: every valid leg is placed on its own; failed legs are reported and skipped
+   * @param {string} userId - User ID
+   * @param {Object} basketData - { mode, orders }
+   * @returns {Object} Basket (null if nothing was placed) and a result per leg
+   */
+  async placeBasket(userId, basketData) {
+    try {
+      const { mode, orders } = basketData;
+      const legs = this.validateLegs(userId, orders);
+      const validLegs = legs.filter(leg => leg.status !== BASKET_LEG_STATUSES.FAILED);
+
+      if (mode === BASKET_MODES.ALL_OR_NONE) {
+        if (validLegs.length !== legs.length) {
+          return this.rejectBasket(legs, 'One or more legs failed validation');
+        }
+
+        try {
+          this.ensureBasketCovered(userId, legs.map(leg => leg.orderData));
+        } catch (error) {
+          if (!(error instanceof AppError)) {
+            throw error;
+          }
+          return this.rejectBasket(legs, error.message);
+        }
+      }
+
+      if (validLegs.length === 0) {
+        return { basket: null, legs: legs.map(this.formatLeg) };
+      }
+
+      const basket = memoryStore.createBasket({
+        userId,
+        mode,
+        orderIds: [],
+        legCount: legs.length
+      });
+
+      const isAllOrNone = mode === BASKET_MODES.ALL_OR_NONE;
+      let isUnwound = false;
+
+      for (const leg of validLegs) {
+        try {
+          const order = await orderService.placeOrder({ ...leg.orderData, basketId: basket.id }, { hold: isAllOrNone });
+          memoryStore.addBasketOrder(basket.id, order.id);
+          leg.status = BASKET_LEG_STATUSES.PLACED;
+          leg.order = order;
+        } catch (error) {
+          leg.status = BASKET_LEG_STATUSES.FAILED;
+          leg.errors = [error.message];
+
+          if (isAllOrNone) {
+            await this.unwindBasket(basket, legs);
+            isUnwound = true;
+            break;
+          }
+        }
+      }
+
+      if (isAllOrNone && !isUnwound) {
+        for (const leg of validLegs) {
+          leg.order = await orderService.releaseOrder(leg.order.id, `Basket ${basket.id} released`);
+        }
+      }
+
+      console.log(`🧺 Basket ${basket.id} (${mode}): ${legs.filter(leg => leg.status === BASKET_LEG_STATUSES.PLACED).length}/${legs.length} legs placed`);
+
+      return {
+        basket: this.getBasketSummary(basket),
+        legs: legs.map(this.formatLeg)
+      };
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+      throw new AppError('Failed to place basket order', HTTP_STATUS.INTERNAL_SERVER_ERROR);
+    }
+  }
+
+  /**
+   * Validate every leg with the createOrder schema, the instrument list and the risk checks, without placing anything
+   * @param {string} userId - User ID
+   * @param {Array} orders - Raw leg data
+   * @returns {Array} Leg results: PENDING with normalized orderData, or FAILED with errors
+   */
+  validateLegs(userId, orders) {
+    return orders.map((orderInput, index) => {
+      const { error, value } = schemas.createOrder.validate(orderInput, {
+        abortEarly: false,
+        stripUnknown: true
+      });
+
+      if (error) {
+        return {
+          index,
+          status: BASKET_LEG_STATUSES.FAILED,
+          errors: error.details.map(detail => detail.message)
+        };
+      }
+
+      const orderData = { ...value, userId };
+
+      if (!instrumentService.validateInstrument(orderData.symbol)) {
+        return {
+          index,
+          status: BASKET_LEG_STATUSES.FAILED,
+          errors: [`Invalid instrument symbol: ${orderData.symbol}`]
+        };
+      }
+
+      try {
+        orderService.validateOrder(orderData);
+        riskService.ensureOrderAllowed(orderData);
+      } catch (validationError) {
+        return {
+          index,
+          status: BASKET_LEG_STATUSES.FAILED,
+          errors: [validationError.message]
+        };
+      }
+
+      return { index, status: BASKET_LEG_STATUSES.PENDING, orderData };
+    });
+  }
+
+  /**
+   * Check that the basket as a whole is covered by available funds and free holdings
+   * @param {string} userId - User ID
+   * @param {Array} ordersData - Validated leg data
+   */
+  ensureBasketCovered(userId, ordersData) {
+    const requiredFunds = ordersData.reduce(
+      (sum, orderData) => sum + orderService.calculateRequiredFunds(orderData),
+      0
+    );
+
+    const availableBalance = fundsService.getAvailableBalance(userId);
+    if (requiredFunds > availableBalance) {
+      throw new AppError(
+        `Insufficient balance for basket. Required: ${formatCurrency(requiredFunds)}, Available: ${formatCurrency(availableBalance)}`,
+        HTTP_STATUS.BAD_REQUEST
+      );
+    }
+
+    // Delivery SELL legs of the same symbol draw on the same holding
+    const sellQuantities = {};
+    ordersData
+      .filter(orderData => orderData.orderType === 'SELL' && orderData.product !== PRODUCT_TYPES.MIS)
+      .forEach(orderData => {
+        sellQuantities[orderData.symbol] = (sellQuantities[orderData.symbol] || 0) + orderData.quantity;
+      });
+
+    Object.entries(sellQuantities).forEach(([symbol, quantity]) => {
+      portfolioService.ensureHoldingQuantity(
+        userId,
+        symbol,
+        quantity,
+        orderService.getCommittedSellQuantity(userId, symbol)
+      );
+    });
+  }
+
+  /**
+   * Build the result for an all-or-none basket that was rejected before anything was placed
+   * @param {Array} legs - Leg results
+   * @param {string} reason - Why the basket was rejected
+   * @returns {Object} Rejected basket result
+   */
+  rejectBasket(legs, reason) {
+    legs
+      .filter(leg => leg.status === BASKET_LEG_STATUSES.PENDING)
+      .forEach(leg => {
+        leg.status = BASKET_LEG_STATUSES.SKIPPED;
+      });
+
+    return { basket: null, reason, legs: legs.map(this.formatLeg) };
+  }
+
+  /**
+   * Undo an all-or-none basket after a leg failed while placing
+   * The legs created so far are still dormant, so cancelling them leaves nothing traded
+   * @param {Object} basket - Basket record
+   * @param {Array} legs - Leg results
+   */
+  async unwindBasket(basket, legs) {
+    for (const leg of legs) {
+      if (leg.status === BASKET_LEG_STATUSES.PENDING) {
+        leg.status = BASKET_LEG_STATUSES.SKIPPED;
+        continue;
+      }
+
+      if (leg.status !== BASKET_LEG_STATUSES.PLACED) {
+        continue;
+      }
+
+      const order = memoryStore.getOrderById(leg.order.id);
+      if ([ORDER_STATUSES.NEW, ...OPEN_ORDER_STATUSES].includes(order.status)) {
+        leg.order = await orderService.cancelOrder(order.id, basket.userId);
+        leg.status = BASKET_LEG_STATUSES.CANCELLED;
+      }
+    }
+
+    console.log(`🧺 Basket ${basket.id} unwound after a leg failed`);
+  }
+
+  /**
+   * Get a basket with its orders
+   * @param {string} basketId - Basket ID
+   * @param {string} userId - User ID
+   * @returns {Object} Basket summary and its orders
+   */
+  getBasket(basketId, userId) {
+    try {
+      const basket = memoryStore.getBasketById(basketId);
+
+      if (!basket) {
+        throw new AppError('Basket not found', HTTP_STATUS.NOT_FOUND);
+      }
+
+      if (basket.userId !== userId) {
+        throw new AppError('Unauthorized to access this basket', HTTP_STATUS.FORBIDDEN);
+      }
+
+      return {
+        basket: this.getBasketSummary(basket),
+        orders: basket.orderIds.map(orderId => memoryStore.getOrderById(orderId))
+      };
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+      throw new AppError('Failed to retrieve basket', HTTP_STATUS.INTERNAL_SERVER_ERROR);
+    }
+  }
+
+  /**
+   * Get all baskets for a user
+   * @param {string} userId - User ID
+   * @returns {Array} Basket summaries (newest first)
+   */
+  getAllBaskets(userId) {
+    try {
+      return memoryStore.getAllBaskets(userId)
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+        .map(basket => this.getBasketSummary(basket));
+    } catch (error) {
+      throw new AppError('Failed to retrieve baskets', HTTP_STATUS.INTERNAL_SERVER_ERROR);
+    }
+  }
+
+  /**
+   * Cancel every order of a basket that is still working
+   * @param {string} basketId - Basket ID
+   * @param {string} userId - User ID
+   * @returns {Object} Basket summary and the orders that were cancelled
+   */
+  async cancelBasket(basketId, userId) {
+    try {
+      const { basket, orders } = this.getBasket(basketId, userId);
+      const cancelledOrders = [];
+
+      for (const order of orders) {
+        if ([ORDER_STATUSES.NEW, ...OPEN_ORDER_STATUSES].includes(order.status)) {
+          cancelledOrders.push(await orderService.cancelOrder(order.id, userId));
+        }
+      }
+
+      console.log(`🧺 Basket ${basketId} cancelled ${cancelledOrders.length} working orders`);
+
+      return {
+        basket: this.getBasketSummary(memoryStore.getBasketById(basket.id)),
+        cancelledOrders
+      };
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+      throw new AppError('Failed to cancel basket', HTTP_STATUS.INTERNAL_SERVER_ERROR);
+    }
+  }
+
+  /**
+   * Summarize a basket with a count of its orders per status
+   * @param {Object} basket - Basket record
+   * @returns {Object} Basket summary
+   */
+  getBasketSummary(basket) {
+    const orderStatuses = {};
+    basket.orderIds.forEach(orderId => {
+      const { status } = memoryStore.getOrderById(orderId);
+      orderStatuses[status] = (orderStatuses[status] || 0) + 1;
+    });
+
+    return {
+      id: basket.id,
+      mode: basket.mode,
+      legCount: basket.legCount,
+      placedCount: basket.orderIds.length,
+      orderIds: basket.orderIds,
+      orderStatuses,
+      createdAt: basket.createdAt
+    };
+  }
+
+  /**
+   * Shape a leg result for the API response
+   * @param {Object} leg - Leg result
+   * @returns {Object} Leg index, status and order or errors
+   */
+  formatLeg(leg) {
+    return {
+      index: leg.index,
+      status: leg.status,
+      ...(leg.order && { order: leg.order }),
+      ...(leg.errors && { errors: leg.errors })
+    };
+  }
+}
+
+module.exports = new BasketService();
@@ -0,0 +1,46 @@
+const config = require('../config/config');
+const { PRODUCT_TYPES } = require('../utils/constants');
+
+const round = value => Math.round(value * 100) / 100;
+
+class ChargesService {
+  /**
+   * Calculate the brokerage, taxes and fees on a trade (rates from config.charges)
+   * - Brokerage: a percentage of the value, capped per order
+   * - STT and stamp duty: rates differ by product and side
+   * - Exchange transaction charges and the SEBI fee: a percentage of the value on both sides
+   * - GST: on brokerage, exchange transaction charges and the SEBI fee
+   * @param {Object} trade - { orderType, product, quantity, price }
+   * @param {number} brokerageCharged - Brokerage already charged on earlier fills of the same order (default 0)
+   * @returns {Object} Breakdown (brokerage, stt, exchangeCharges, sebiFee, gst, stampDuty) and total
+   */
+  calculateCharges(trade, brokerageCharged = 0) {
+    const rates = config.charges;
+    const product = trade.product || PRODUCT_TYPES.CNC;
+    const value = trade.quantity * trade.price;
+    const percentOf = percent => value * percent / 100;
+
+    const brokerage = Math.max(
+      0,
+      Math.min(percentOf(rates.brokerage[product].percent), rates.brokerage[product].maxPerOrder - brokerageCharged)
+    );
+    const exchangeCharges = percentOf(rates.exchangeTransactionPercent);
+    const sebiFee = percentOf(rates.sebiFeePercent);
+
+    const breakdown = {
+      brokerage: round(brokerage),
+      stt: round(percentOf(rates.stt[product][trade.orderType])),
+      exchangeCharges: round(exchangeCharges),
+      sebiFee: round(sebiFee),
+      gst: round((brokerage + exchangeCharges + sebiFee) * rates.gstPercent / 100),
+      stampDuty: round(percentOf(rates.stampDuty[product][trade.orderType]))
+    };
+
+    return {
+      ...breakdown,
+      total: round(Object.values(breakdown).reduce((sum, charge) => sum + charge, 0))
+    };
+  }
+}
+
+module.exports = new ChargesService();
@@ -0,0 +1,317 @@
+const config = require('../config/config');
+const memoryStore = require('../database/memoryStore');
+const positionService = require('./positionService');
+const { AppError } = require('../middleware/errorHandler');
+const { formatCurrency, paginate } = require('../utils/helpers');
+const { HTTP_STATUS, MESSAGES, FUND_TRANSACTION_TYPES, PRODUCT_TYPES } = require('../utils/constants');
+
+class FundsService {
+  /**
+   * Get a user's funds account, opening it on first use
+   * @param {string} userId - User ID
+   * @returns {Object} Funds account
+   */
+  getAccount(userId) {
+    let account = memoryStore.getFundAccount(userId);
+
+    if (!account) {
+      account = memoryStore.saveFundAccount({
+        userId,
+        cashBalance: 0,
+        blockedAmount: 0,
+        createdAt: new Date()
+      });
+
+      if (config.funds.openingBalance > 0) {
+        this.recordTransaction(account, FUND_TRANSACTION_TYPES.DEPOSIT, config.funds.openingBalance, {
+          description: 'Opening balance'
+        });
+      }
+    }
+
+    return account;
+  }
+
+  /**
+   * Get funds summary for a user
+   * @param {string} userId - User ID
+   * @returns {Object} Cash, blocked and available balances
+   */
+  getFunds(userId) {
+    try {
+      const account = this.getAccount(userId);
+      const availableBalance = this.getAvailableBalance(userId);
+
+      return {
+        cashBalance: account.cashBalance,
+        blockedAmount: account.blockedAmount,
+        availableBalance,
+        formattedCashBalance: formatCurrency(account.cashBalance),
+        formattedBlockedAmount: formatCurrency(account.blockedAmount),
+        formattedAvailableBalance: formatCurrency(availableBalance),
+        updatedAt: account.updatedAt
+      };
+    } catch (error) {
+      throw new AppError('Failed to retrieve funds', HTTP_STATUS.INTERNAL_SERVER_ERROR);
+    }
+  }
+
+  /**
+   * Get the balance a user can still use for new orders or withdrawals
+   * Unrealized losses on open intraday positions count against it; unrealized profits do not
+   * @param {string} userId - User ID
+   * @returns {number} Available balance (negative when intraday losses exceed the free cash)
+   */
+  getAvailableBalance(userId) {
+    const account = this.getAccount(userId);
+    const intradayLoss = Math.min(0, positionService.getUnrealizedPnl(userId));
+
+    return Math.round((account.cashBalance - account.blockedAmount + intradayLoss) * 100) / 100;
+  }
+
+  /**
+   * Check that a user can afford an amount
+   * Orders that need nothing (such as ones closing an intraday position) pass even when the balance is negative
+   * @param {string} userId - User ID
+   * @param {number} amount - Amount required
+   */
+  ensureAvailable(userId, amount) {
+    const availableBalance = this.getAvailableBalance(userId);
+
+    if (amount > 0 && amount > availableBalance) {
+      throw new AppError(
+        `${MESSAGES.ERROR.INSUFFICIENT_BALANCE}. Required: ${formatCurrency(amount)}, Available: ${formatCurrency(availableBalance)}`,
+        HTTP_STATUS.BAD_REQUEST
+      );
+    }
+  }
+
+  /**
+   * Deposit cash into a user's account
+   * @param {string} userId - User ID
+   * @param {number} amount - Amount to deposit
+   * @returns {Object} Recorded transaction
+   */
+  deposit(userId, amount) {
+    const account = this.getAccount(userId);
+    return this.recordTransaction(account, FUND_TRANSACTION_TYPES.DEPOSIT, amount, {
+      description: 'Funds deposited'
+    });
+  }
+
+  /**
+   * Withdraw cash from a user's account
+   * @param {string} userId - User ID
+   * @param {number} amount - Amount to withdraw
+   * @returns {Object} Recorded transaction
+   */
+  withdraw(userId, amount) {
+    this.ensureAvailable(userId, amount);
+
+    const account = this.getAccount(userId);
+    return this.recordTransaction(account, FUND_TRANSACTION_TYPES.WITHDRAWAL, amount, {
+      description: 'Funds withdrawn'
+    });
+  }
+
+  /**
+   * Reserve funds for an open BUY order
+   * @param {string} userId - User ID
+   * @param {number} amount - Amount to block
+   * @param {string} orderId - Order the funds are blocked for
+   * @returns {Object|null} Recorded transaction
+   */
+  blockFunds(userId, amount, orderId) {
+    if (amount <= 0) {
+      return null;
+    }
+
+    this.ensureAvailable(userId, amount);
+
+    const account = this.getAccount(userId);
+    return this.recordTransaction(account, FUND_TRANSACTION_TYPES.BLOCK, amount, {
+      orderId,
+      description: `Blocked for order ${orderId}`
+    });
+  }
+
+  /**
+   * Return blocked funds to the available balance
+   * @param {string} userId - User ID
+   * @param {number} amount - Amount to release
+   * @param {string} orderId - Order the funds were blocked for
+   * @returns {Object|null} Recorded transaction
+   */
+  releaseFunds(userId, amount, orderId) {
+    if (amount <= 0) {
+      return null;
+    }
+
+    const account = this.getAccount(userId);
+    return this.recordTransaction(account, FUND_TRANSACTION_TYPES.RELEASE, amount, {
+      orderId,
+      description: `Released from order ${orderId}`
+    });
+  }
+
+  /**
+   * Hold margin against an open intraday position
+   * @param {string} userId - User ID
+   * @param {number} amount - Margin to block
+   * @param {string} symbol - Symbol of the position
+   * @returns {Object|null} Recorded transaction
+   */
+  blockMargin(userId, amount, symbol) {
+    if (amount <= 0) {
+      return null;
+    }
+
+    this.ensureAvailable(userId, amount);
+
+    const account = this.getAccount(userId);
+    return this.recordTransaction(account, FUND_TRANSACTION_TYPES.MARGIN_BLOCK, amount, {
+      symbol,
+      description: `Margin blocked for ${symbol} (MIS) position`
+    });
+  }
+
+  /**
+   * Return position margin to the available balance
+   * @param {string} userId - User ID
+   * @param {number} amount - Margin to release
+   * @param {string} symbol - Symbol of the position
+   * @returns {Object|null} Recorded transaction
+   */
+  releaseMargin(userId, amount, symbol) {
+    if (amount <= 0) {
+      return null;
+    }
+
+    const account = this.getAccount(userId);
+    return this.recordTransaction(account, FUND_TRANSACTION_TYPES.MARGIN_RELEASE, amount, {
+      symbol,
+      description: `Margin released from ${symbol} (MIS) position`
+    });
+  }
+
+  /**
+   * Settle a trade against the cash balance
+   * BUY fills are debited their value plus charges (and must be covered by the available balance), SELL fills
+   * are credited their value less charges. Intraday fills are carried on margin, so only the P&L they realize
+   * after charges is settled.
+   * @param {Object} trade - Trade record
+   * @returns {Object|null} Recorded transaction (null for an intraday fill that realizes nothing)
+   */
+  settleTrade(trade) {
+    const account = this.getAccount(trade.userId);
+
+    if (trade.product === PRODUCT_TYPES.MIS) {
+      if (!trade.realizedPnl) {
+        return null;
+      }
+
+      // Losses are debited even past the available balance; the margin check deals with the shortfall
+      return this.recordTransaction(
+        account,
+        trade.realizedPnl > 0 ? FUND_TRANSACTION_TYPES.CREDIT : FUND_TRANSACTION_TYPES.DEBIT,
+        Math.abs(trade.realizedPnl),
+        {
+          orderId: trade.orderId,
+          tradeId: trade.id,
+          description: `Intraday P&L: ${trade.orderType} ${trade.quantity} ${trade.symbol} @ ${formatCurrency(trade.price)}`
+        }
+      );
+    }
+    const type = trade.orderType === 'BUY' ? FUND_TRANSACTION_TYPES.DEBIT : FUND_TRANSACTION_TYPES.CREDIT;
+
+    if (type === FUND_TRANSACTION_TYPES.DEBIT) {
+      this.ensureAvailable(trade.userId, trade.netAmount);
+    }
+
+    return this.recordTransaction(account, type, trade.netAmount, {
+      orderId: trade.orderId,
+      tradeId: trade.id,
+      description: `${trade.orderType} ${trade.quantity} ${trade.symbol} @ ${formatCurrency(trade.price)} (charges ${formatCurrency(trade.charges.total)})`
+    });
+  }
+
+  /**
+   * Get the funds ledger for a user
+   * @param {string} userId - User ID
+   * @param {Object} options - Query options (type, page, limit)
+   * @returns {Array|Object} Ledger entries (newest first), paginated if requested
+   */
+  getLedger(userId, options = {}) {
+    try {
+      this.getAccount(userId);
+      let transactions = memoryStore.getFundTransactions(userId);
+
+      if (options.type) {
+        transactions = transactions.filter(transaction => transaction.type === options.type);
+      }
+
+      // Sort by creation date (newest first)
+      transactions.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+      if (options.page || options.limit) {
+        const page = parseInt(options.page) || 1;
+        const limit = parseInt(options.limit) || 10;
+        return paginate(transactions, page, limit);
+      }
+
+      return transactions;
+    } catch (error) {
+      throw new AppError('Failed to retrieve funds ledger', HTTP_STATUS.INTERNAL_SERVER_ERROR);
+    }
+  }
+
+  /**
+   * Apply a ledger entry to an account and record it
+   * @param {Object} account - Funds account
+   * @param {string} type - Transaction type
+   * @param {number} amount - Transaction amount
+   * @param {Object} details - Extra fields (orderId, tradeId, description)
+   * @returns {Object} Recorded transaction
+   */
+  recordTransaction(account, type, amount, details = {}) {
+    const roundedAmount = Math.round(amount * 100) / 100;
+    let { cashBalance, blockedAmount } = account;
+
+    switch (type) {
+      case FUND_TRANSACTION_TYPES.DEPOSIT:
+      case FUND_TRANSACTION_TYPES.CREDIT:
+        cashBalance += roundedAmount;
+        break;
+      case FUND_TRANSACTION_TYPES.WITHDRAWAL:
+      case FUND_TRANSACTION_TYPES.DEBIT:
+        cashBalance -= roundedAmount;
+        break;
+      case FUND_TRANSACTION_TYPES.BLOCK:
+      case FUND_TRANSACTION_TYPES.MARGIN_BLOCK:
+        blockedAmount += roundedAmount;
+        break;
+      case FUND_TRANSACTION_TYPES.RELEASE:
+      case FUND_TRANSACTION_TYPES.MARGIN_RELEASE:
+        blockedAmount = Math.max(0, blockedAmount - roundedAmount);
+        break;
+      default:
+        throw new AppError(`Unknown funds transaction type: ${type}`, HTTP_STATUS.INTERNAL_SERVER_ERROR);
+    }
+
+    memoryStore.updateFundAccount(account.userId, {
+      cashBalance: Math.round(cashBalance * 100) / 100,
+      blockedAmount: Math.round(blockedAmount * 100) / 100
+    });
+
+    return memoryStore.createFundTransaction({
+      userId: account.userId,
+      type,
+      amount: roundedAmount,
+      cashBalance: account.cashBalance,
+      blockedAmount: account.blockedAmount,
+      ...details
+    });
+  }
+}
+
+module.exports = new FundsService();
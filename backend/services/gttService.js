@@ -0,0 +1,355 @@
+const config = require('../config/config');
+const memoryStore = require('../database/memoryStore');
+const instrumentService = require('./instrumentService');
+const orderService = require('./orderService');
+const { AppError } = require('../middleware/errorHandler');
+const { schemas } = require('../middleware/validation');
+const {
+  HTTP_STATUS,
+  GTT_TYPES,
+  GTT_CONDITIONS,
+  GTT_STATUSES,
+  MARKET_EVENTS
+} = require('../utils/constants');
+
+class GttService {
+  constructor() {
+    // Rules are checked against every price update; met rules place their orders in the background
+    instrumentService.on(MARKET_EVENTS.PRICE_CHANGED, ({ symbol, price }) => this.evaluateRules(symbol, price));
+  }
+
+  /**
+   * Create a good-till-triggered rule
+   * The rule sits outside the order book until the last traded price meets one of its conditions
+   * @param {string} userId - User ID
+   * @param {Object} ruleData - { symbol, type, legs, expiresAt? }
+   * @returns {Object} Created rule
+   */
+  createRule(userId, ruleData) {
+    try {
+      const { symbol, type, expiresAt } = ruleData;
+
+      if (!instrumentService.validateInstrument(symbol)) {
+        throw new AppError(`Invalid instrument symbol: ${symbol}`, HTTP_STATUS.BAD_REQUEST);
+      }
+
+      const legs = this.validateLegs(userId, symbol, type, ruleData.legs);
+
+      const rule = memoryStore.createGttRule({
+        userId,
+        symbol,
+        type,
+        legs,
+        status: GTT_STATUSES.ACTIVE,
+        expiresAt: expiresAt ? new Date(expiresAt) : this.getDefaultExpiry(),
+        triggerLog: []
+      });
+
+      console.log(`🎯 GTT rule ${rule.id} created for ${symbol} (${type}, ${legs.length} leg${legs.length > 1 ? 's' : ''})`);
+
+      return rule;
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+      throw new AppError('Failed to create GTT rule', HTTP_STATUS.INTERNAL_SERVER_ERROR);
+    }
+  }
+
+  /**
+   * Validate the legs of a rule against its type, the current price and the order rules
+   * - SINGLE rules have one leg; OCO rules have one ABOVE leg and one BELOW leg
+   * - A leg must not already be met, so ABOVE triggers sit above the current price and BELOW triggers below it
+   * - Each order template must be a valid order for the rule's symbol
+   * @param {string} userId - User ID
+   * @param {string} symbol - Instrument symbol
+   * @param {string} type - SINGLE or OCO
+   * @param {Array} legs - Raw legs
+   * @returns {Array} Legs with normalized order templates
+   */
+  validateLegs(userId, symbol, type, legs) {
+    if (type === GTT_TYPES.SINGLE && legs.length !== 1) {
+      throw new AppError('A SINGLE GTT rule must have exactly one leg', HTTP_STATUS.BAD_REQUEST);
+    }
+
+    if (type === GTT_TYPES.OCO) {
+      const conditions = legs.map(leg => leg.condition);
+      if (legs.length !== 2 || !conditions.includes(GTT_CONDITIONS.ABOVE) || !conditions.includes(GTT_CONDITIONS.BELOW)) {
+        throw new AppError('An OCO GTT rule must have one ABOVE leg and one BELOW leg', HTTP_STATUS.BAD_REQUEST);
+      }
+    }
+
+    const currentPrice = instrumentService.getCurrentPrice(symbol);
+
+    return legs.map((leg, index) => {
+      if (this.isConditionMet(leg, currentPrice)) {
+        throw new AppError(
+          `Leg ${index + 1}: trigger price for an ${leg.condition} condition must be ${leg.condition.toLowerCase()} the current price (₹${currentPrice})`,
+          HTTP_STATUS.BAD_REQUEST
+        );
+      }
+
+      const { error, value } = schemas.createOrder.validate({ ...leg.order, symbol }, {
+        abortEarly: false,
+        stripUnknown: true
+      });
+
+      if (error) {
+        throw new AppError(
+          `Leg ${index + 1}: ${error.details.map(detail => detail.message).join(', ')}`,
+          HTTP_STATUS.BAD_REQUEST
+        );
+      }
+
+      try {
+        orderService.validateOrder({ ...value, userId });
+      } catch (validationError) {
+        throw new AppError(`Leg ${index + 1}: ${validationError.message}`, HTTP_STATUS.BAD_REQUEST);
+      }
+
+      return {
+        condition: leg.condition,
+        triggerPrice: leg.triggerPrice,
+        order: value
+      };
+    });
+  }
+
+  /**
+   * Get the expiry of a rule created without one
+   * @returns {Date} Expiry time
+   */
+  getDefaultExpiry() {
+    return new Date(Date.now() + config.gtt.defaultExpiryDays * 24 * 60 * 60 * 1000);
+  }
+
+  /**
+   * Check whether a price meets a leg's condition
+   * @param {Object} leg - Rule leg
+   * @param {number} price - Last traded price
+   * @returns {boolean} True if the condition is met
+   */
+  isConditionMet(leg, price) {
+    return leg.condition === GTT_CONDITIONS.ABOVE ? price >= leg.triggerPrice : price <= leg.triggerPrice;
+  }
+
+  /**
+   * Check a symbol's active rules against a new price
+   * A met rule is marked TRIGGERED right away so it cannot fire twice; its order is placed
+   * once the current price update has finished
+   * @param {string} symbol - Instrument symbol
+   * @param {number} price - New last traded price
+   * @returns {Array} Rules that fired
+   */
+  evaluateRules(symbol, price) {
+    const now = new Date();
+    const firedRules = [];
+
+    memoryStore.getGttRulesBySymbol(symbol)
+      .filter(rule => rule.status === GTT_STATUSES.ACTIVE)
+      .forEach(rule => {
+        if (new Date(rule.expiresAt) <= now) {
+          this.expireRule(rule);
+          return;
+        }
+
+        const legIndex = rule.legs.findIndex(leg => this.isConditionMet(leg, price));
+        if (legIndex === -1) {
+          return;
+        }
+
+        memoryStore.updateGttRule(rule.id, { status: GTT_STATUSES.TRIGGERED, triggeredAt: now });
+        setImmediate(() => this.fireRule(rule.id, legIndex, price));
+        firedRules.push(rule);
+      });
+
+    return firedRules;
+  }
+
+  /**
+   * Place the order of a rule's met leg and record the outcome in the rule's trigger log
+   * @param {string} ruleId - Rule ID
+   * @param {number} legIndex - Index of the leg whose condition was met
+   * @param {number} marketPrice - Price that met the condition
+   * @returns {Object} Updated rule
+   */
+  async fireRule(ruleId, legIndex, marketPrice) {
+    const rule = memoryStore.getGttRuleById(ruleId);
+    const leg = rule.legs[legIndex];
+    const logEntry = {
+      legIndex,
+      condition: leg.condition,
+      triggerPrice: leg.triggerPrice,
+      marketPrice,
+      firedAt: rule.triggeredAt
+    };
+
+    try {
+      const order = await orderService.placeOrder({
+        ...leg.order,
+        userId: rule.userId,
+        gttId: rule.id
+      });
+
+      console.log(`🎯 GTT rule ${ruleId} fired at ₹${marketPrice}: placed order ${order.id}`);
+
+      return memoryStore.updateGttRule(ruleId, {
+        orderId: order.id,
+        triggerLog: [...rule.triggerLog, { ...logEntry, orderId: order.id, orderStatus: order.status }]
+      });
+    } catch (error) {
+      console.error(`❌ GTT rule ${ruleId} fired at ₹${marketPrice} but its order failed: ${error.message}`);
+
+      return memoryStore.updateGttRule(ruleId, {
+        status: GTT_STATUSES.FAILED,
+        triggerLog: [...rule.triggerLog, { ...logEntry, error: error.message }]
+      });
+    }
+  }
+
+  /**
+   * Get a rule owned by a user
+   * @param {string} ruleId - Rule ID
+   * @param {string} userId - User ID
+   * @returns {Object} Rule
+   */
+  getRule(ruleId, userId) {
+    try {
+      const rule = memoryStore.getGttRuleById(ruleId);
+
+      if (!rule) {
+        throw new AppError('GTT rule not found', HTTP_STATUS.NOT_FOUND);
+      }
+
+      if (rule.userId !== userId) {
+        throw new AppError('Unauthorized to access this GTT rule', HTTP_STATUS.FORBIDDEN);
+      }
+
+      return rule;
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+      throw new AppError('Failed to retrieve GTT rule', HTTP_STATUS.INTERNAL_SERVER_ERROR);
+    }
+  }
+
+  /**
+   * Get all rules for a user
+   * @param {string} userId - User ID
+   * @param {Object} filters - Filter options (status, symbol)
+   * @returns {Array} Rules (newest first)
+   */
+  getAllRules(userId, filters = {}) {
+    try {
+      let rules = memoryStore.getAllGttRules(userId);
+
+      if (filters.status) {
+        rules = rules.filter(rule => rule.status === filters.status);
+      }
+
+      if (filters.symbol) {
+        rules = rules.filter(rule => rule.symbol.toLowerCase() === filters.symbol.toLowerCase());
+      }
+
+      return rules.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    } catch (error) {
+      throw new AppError('Failed to retrieve GTT rules', HTTP_STATUS.INTERNAL_SERVER_ERROR);
+    }
+  }
+
+  /**
+   * Replace the legs and/or expiry of an active rule
+   * @param {string} ruleId - Rule ID
+   * @param {string} userId - User ID
+   * @param {Object} changes - New legs and/or expiresAt
+   * @returns {Object} Updated rule
+   */
+  modifyRule(ruleId, userId, changes) {
+    try {
+      const rule = this.getRule(ruleId, userId);
+
+      if (rule.status !== GTT_STATUSES.ACTIVE) {
+        throw new AppError(`Cannot modify ${rule.status.toLowerCase()} GTT rule`, HTTP_STATUS.BAD_REQUEST);
+      }
+
+      const updates = {};
+
+      if (changes.legs) {
+        updates.legs = this.validateLegs(userId, rule.symbol, rule.type, changes.legs);
+      }
+
+      if (changes.expiresAt) {
+        updates.expiresAt = new Date(changes.expiresAt);
+      }
+
+      console.log(`✏️ GTT rule ${ruleId} modified`);
+
+      return memoryStore.updateGttRule(ruleId, updates);
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+      throw new AppError('Failed to modify GTT rule', HTTP_STATUS.INTERNAL_SERVER_ERROR);
+    }
+  }
+
+  /**
+   * Cancel an active rule
+   * @param {string} ruleId - Rule ID
+   * @param {string} userId - User ID
+   * @returns {Object} Cancelled rule
+   */
+  cancelRule(ruleId, userId) {
+    try {
+      const rule = this.getRule(ruleId, userId);
+
+      if (rule.status !== GTT_STATUSES.ACTIVE) {
+        throw new AppError(`Cannot cancel ${rule.status.toLowerCase()} GTT rule`, HTTP_STATUS.BAD_REQUEST);
+      }
+
+      return memoryStore.updateGttRule(ruleId, {
+        status: GTT_STATUSES.CANCELLED,
+        cancelledAt: new Date()
+      });
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+      throw new AppError('Failed to cancel GTT rule', HTTP_STATUS.INTERNAL_SERVER_ERROR);
+    }
+  }
+
+  /**
+   * Mark a rule as expired
+   * @param {Object} rule - Active rule
+   * @returns {Object} Expired rule
+   */
+  expireRule(rule) {
+    return memoryStore.updateGttRule(rule.id, { status: GTT_STATUSES.EXPIRED });
+  }
+
+  /**
+   * Expire active rules whose expiry has passed (run periodically by the scheduler)
+   * @param {Date} now - Current time (default now)
+   * @returns {Array} Expired rules
+   */
+  expireRules(now = new Date()) {
+    try {
+      const expiredRules = Array.from(memoryStore.gttRules.values())
+        .filter(rule => rule.status === GTT_STATUSES.ACTIVE && new Date(rule.expiresAt) <= now)
+        .map(rule => this.expireRule(rule));
+
+      if (expiredRules.length > 0) {
+        console.log(`⌛ Expired ${expiredRules.length} GTT rules`);
+      }
+
+      return expiredRules;
+    } catch (error) {
+      console.error('Error expiring GTT rules:', error);
+      return [];
+    }
+  }
+}
+
+module.exports = new GttService();
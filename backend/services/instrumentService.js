@@ -1,9 +1,12 @@
+const EventEmitter = require('events');
 const memoryStore = require('../database/memoryStore');
 const { AppError } = require('../middleware/errorHandler');
 const { generatePriceVariation } = require('../utils/helpers');
-const { HTTP_STATUS, MESSAGES } = require('../utils/constants');
+const { random } = require('../utils/random');
+const { HTTP_STATUS, MESSAGES, MARKET_EVENTS } = require('../utils/constants');
 
-class InstrumentService {
+// Emits MARKET_EVENTS.PRICE_CHANGED ({ symbol, price, previousPrice }) whenever a price moves
+class InstrumentService extends EventEmitter {
   /**
    * Get all available instruments
    * @returns {Array} Array of instruments
@@ -15,10 +18,12 @@ class InstrumentService {
       // Simulate real-time price updates (optional feature)
       instruments.forEach(instrument => {
         // 10% chance to update price on each request (for demo purposes)
-        if (Math.random() < 0.1) {
-          const newPrice = generatePriceVariation(instrument.lastTradedPrice, 1);
+        if (random() < 0.1) {
+          const previousPrice = instrument.lastTradedPrice;
+          const newPrice = generatePriceVariation(previousPrice, 1);
           memoryStore.updateInstrumentPrice(instrument.symbol, newPrice);
           instrument.lastTradedPrice = newPrice;
+          this.notifyPriceChange(instrument.symbol, newPrice, previousPrice);
         }
       });
 
@@ -117,6 +122,8 @@ class InstrumentService {
    */
   updatePrice(symbol, newPrice) {
     try {
+      const instrument = memoryStore.getInstrumentBySymbol(symbol);
+      const previousPrice = instrument ? instrument.lastTradedPrice : null;
       const success = memoryStore.updateInstrumentPrice(symbol, newPrice);
       
       if (!success) {
@@ -126,6 +133,8 @@ class InstrumentService {
         );
       }
 
+      this.notifyPriceChange(symbol, newPrice, previousPrice);
+
       return true;
     } catch (error) {
       if (error instanceof AppError) {
@@ -135,6 +144,20 @@ class InstrumentService {
     }
   }
 
+  /**
+   * Tell listeners that an instrument's price has moved
+   * @param {string} symbol - Instrument symbol
+   * @param {number} price - New price
+   * @param {number} previousPrice - Price before the change
+   */
+  notifyPriceChange(symbol, price, previousPrice) {
+    if (price === previousPrice) {
+      return;
+    }
+
+    this.emit(MARKET_EVENTS.PRICE_CHANGED, { symbol, price, previousPrice });
+  }
+
   /**
    * Validate if instrument exists and is tradable
    * @param {string} symbol - Instrument symbol
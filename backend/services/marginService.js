@@ -0,0 +1,185 @@
+const config = require('../config/config');
+const memoryStore = require('../database/memoryStore');
+const fundsService = require('./fundsService');
+const positionService = require('./positionService');
+const { AppError } = require('../middleware/errorHandler');
+const { formatCurrency } = require('../utils/helpers');
+const { HTTP_STATUS, PRODUCT_TYPES, MARGIN_CALL_STATUSES } = require('../utils/constants');
+
+class MarginService {
+  /**
+   * Get the leverage a product gets on an instrument
+   * Delivery (CNC) is never leveraged; intraday (MIS) leverage comes from margin.leverage
+   * @param {string} symbol - Instrument symbol
+   * @param {string} product - CNC or MIS (default MIS)
+   * @returns {number} Leverage (1 means the full value is required)
+   */
+  getLeverage(symbol, product = PRODUCT_TYPES.MIS) {
+    if (product !== PRODUCT_TYPES.MIS) {
+      return 1;
+    }
+
+    return config.margin.leverage[symbol] || config.margin.defaultLeverage;
+  }
+
+  /**
+   * Calculate the margin required for a value traded with a product
+   * @param {string} symbol - Instrument symbol
+   * @param {string} product - CNC or MIS
+   * @param {number} value - Order or position value
+   * @returns {number} Margin required
+   */
+  calculateMargin(symbol, product, value) {
+    return Math.round(value / this.getLeverage(symbol, product) * 100) / 100;
+  }
+
+  /**
+   * Bring the margin held against an intraday position in line with its open quantity (after a fill)
+   * Margin is blocked as the position grows and released as it shrinks
+   * @param {string} userId - User ID
+   * @param {string} symbol - Instrument symbol
+   * @returns {Object} Updated position
+   */
+  syncPositionMargin(userId, symbol) {
+    const position = memoryStore.getPosition(userId, symbol);
+    const heldMargin = position.margin || 0;
+    const requiredMargin = this.calculateMargin(
+      symbol,
+      PRODUCT_TYPES.MIS,
+      Math.abs(position.quantity) * position.averagePrice
+    );
+    const difference = Math.round((requiredMargin - heldMargin) * 100) / 100;
+
+    if (difference > 0) {
+      fundsService.blockMargin(userId, difference, symbol);
+    } else if (difference < 0) {
+      fundsService.releaseMargin(userId, -difference, symbol);
+    }
+
+    return memoryStore.savePosition({ ...position, margin: requiredMargin });
+  }
+
+  /**
+   * Get used and available margin for a user
+   * Used margin is what working orders block plus what open intraday positions hold; available margin
+   * is the cash left after that and after unrealized intraday losses
+   * @param {string} userId - User ID
+   * @returns {Object} Margin summary, open positions with their margin, any margin call and the leverage table
+   */
+  getMargins(userId) {
+    try {
+      const account = fundsService.getAccount(userId);
+      const positions = memoryStore.getPositions(userId)
+        .filter(position => position.quantity !== 0)
+        .map(position => ({
+          symbol: position.symbol,
+          quantity: position.quantity,
+          averagePrice: position.averagePrice,
+          leverage: this.getLeverage(position.symbol),
+          margin: position.margin || 0,
+          unrealizedPnl: positionService.calculateUnrealizedPnl(position)
+        }));
+
+      const positionMargin = Math.round(positions.reduce((sum, position) => sum + position.margin, 0) * 100) / 100;
+      const unrealizedPnl = Math.round(positions.reduce((sum, position) => sum + position.unrealizedPnl, 0) * 100) / 100;
+      const availableMargin = fundsService.getAvailableBalance(userId);
+
+      return {
+        cashBalance: account.cashBalance,
+        orderMargin: Math.round((account.blockedAmount - positionMargin) * 100) / 100,
+        positionMargin,
+        usedMargin: account.blockedAmount,
+        unrealizedPnl,
+        availableMargin,
+        formattedUsedMargin: formatCurrency(account.blockedAmount),
+        formattedAvailableMargin: formatCurrency(availableMargin),
+        marginCall: memoryStore.getMarginCall(userId),
+        positions,
+        leverage: memoryStore.getAllInstruments().reduce((table, instrument) => ({
+          ...table,
+          [instrument.symbol]: this.getLeverage(instrument.symbol)
+        }), {})
+      };
+    } catch (error) {
+      throw new AppError('Failed to retrieve margins', HTTP_STATUS.INTERNAL_SERVER_ERROR);
+    }
+  }
+
+  /**
+   * Get a user's margin call if it is still open (warned or liquidating)
+   * @param {string} userId - User ID
+   * @returns {Object|null} Open margin call
+   */
+  getOpenMarginCall(userId) {
+    const marginCall = memoryStore.getMarginCall(userId);
+    return marginCall && marginCall.status !== MARGIN_CALL_STATUSES.RESOLVED ? marginCall : null;
+  }
+
+  /**
+   * Get the open margin calls of every user
+   * @returns {Array} Margin calls that are warned or liquidating
+   */
+  getOpenMarginCalls() {
+    return memoryStore.getAllMarginCalls().filter(marginCall => marginCall.status !== MARGIN_CALL_STATUSES.RESOLVED);
+  }
+
+  /**
+   * Warn a user whose available margin has fallen below zero
+   * @param {string} userId - User ID
+   * @param {number} shortfall - Amount needed to bring available margin back to zero
+   * @param {Date} now - Current time
+   * @returns {Object} Margin call
+   */
+  raiseMarginCall(userId, shortfall, now) {
+    const liquidateAt = new Date(now.getTime() + config.margin.liquidationGraceMs);
+
+    console.log(`⚠️ Margin call for ${userId}: shortfall ${formatCurrency(shortfall)}; intraday positions will be liquidated at ${liquidateAt.toISOString()} unless margin is restored`);
+
+    return memoryStore.saveMarginCall({
+      userId,
+      status: MARGIN_CALL_STATUSES.WARNED,
+      shortfall,
+      warnedAt: now,
+      liquidateAt,
+      liquidationOrderIds: []
+    });
+  }
+
+  /**
+   * Record the square-off orders placed to liquidate a user's intraday positions
+   * @param {string} userId - User ID
+   * @param {Array} orders - Square-off orders placed
+   * @param {number} shortfall - Current shortfall
+   * @param {Date} now - Current time
+   * @returns {Object} Margin call
+   */
+  recordLiquidation(userId, orders, shortfall, now) {
+    const marginCall = memoryStore.getMarginCall(userId);
+
+    return memoryStore.saveMarginCall({
+      ...marginCall,
+      status: MARGIN_CALL_STATUSES.LIQUIDATING,
+      shortfall,
+      liquidatedAt: marginCall.liquidatedAt || now,
+      liquidationOrderIds: [...marginCall.liquidationOrderIds, ...orders.map(order => order.id)]
+    });
+  }
+
+  /**
+   * Close a user's margin call once margin is restored or no intraday position is left
+   * @param {string} userId - User ID
+   * @param {Date} now - Current time
+   * @returns {Object} Margin call
+   */
+  resolveMarginCall(userId, now) {
+    console.log(`✅ Margin call for ${userId} resolved`);
+
+    return memoryStore.saveMarginCall({
+      ...memoryStore.getMarginCall(userId),
+      status: MARGIN_CALL_STATUSES.RESOLVED,
+      resolvedAt: now
+    });
+  }
+}
+
+module.exports = new MarginService();
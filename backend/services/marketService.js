@@ -0,0 +1,75 @@
+const EventEmitter = require('events');
+const config = require('../config/config');
+const memoryStore = require('../database/memoryStore');
+const { AppError } = require('../middleware/errorHandler');
+const {
+  getExchangeTime,
+  getMarketSession,
+  getNextMarketOpen,
+  getSessionCloseTime,
+  isMarketOpen,
+  isTradingDay
+} = require('../utils/helpers');
+const { HTTP_STATUS, ORDER_STATUSES, MARKET_EVENTS } = require('../utils/constants');
+
+class MarketService extends EventEmitter {
+  constructor() {
+    super();
+    // Whether the market was open at the last session check
+    this.wasOpen = isMarketOpen();
+  }
+
+  /**
+   * Get the current session of the exchange day
+   * @param {Date} now - Current time (default now)
+   * @returns {Object} Session, open flag, session timings, next open, queued AMO count and any trading halt
+   */
+  getStatus(now = new Date()) {
+    try {
+      const isOpen = isMarketOpen(now);
+      const closeTime = getSessionCloseTime(now);
+
+      return {
+        session: getMarketSession(now),
+        isOpen,
+        alwaysOpen: config.market.alwaysOpen,
+        isTradingDay: isTradingDay(now),
+        sessions: config.market.sessions,
+        timezone: 'IST',
+        nextOpen: isOpen ? null : getNextMarketOpen(now),
+        closesAt: isOpen && !config.market.alwaysOpen ? closeTime : null,
+        upcomingHolidays: config.market.holidays
+          .filter(holiday => holiday >= getExchangeTime(now).dateKey)
+          .sort(),
+        queuedAfterMarketOrders: Array.from(memoryStore.orders.values())
+          .filter(order => order.amo && order.status === ORDER_STATUSES.NEW).length,
+        tradingHalt: memoryStore.getTradingHalt(),
+        serverTime: now
+      };
+    } catch (error) {
+      throw new AppError('Failed to retrieve market status', HTTP_STATUS.INTERNAL_SERVER_ERROR);
+    }
+  }
+
+  /**
+   * Look for the market opening since the last check (run periodically by the scheduler)
+   * Emits MARKET_OPENED when the normal session has started
+   * @param {Date} now - Current time (default now)
+   * @returns {boolean} True if the market has just opened
+   */
+  checkSession(now = new Date()) {
+    const isOpen = isMarketOpen(now);
+    const hasOpened = isOpen && !this.wasOpen;
+
+    this.wasOpen = isOpen;
+
+    if (hasOpened) {
+      console.log(`🔔 Market opened (${getMarketSession(now)} session)`);
+      this.emit(MARKET_EVENTS.MARKET_OPENED, { openedAt: now });
+    }
+
+    return hasOpened;
+  }
+}
+
+module.exports = new MarketService();
@@ -0,0 +1,350 @@
+const memoryStore = require('../database/memoryStore');
+const { AppError } = require('../middleware/errorHandler');
+const { formatCurrency } = require('../utils/helpers');
+const { HTTP_STATUS, OPEN_ORDER_STATUSES, ORDER_STYLES } = require('../utils/constants');
+
+// Lists ranked highest price first; all other lists rank lowest price first
+const DESCENDING_LISTS = ['bids', 'sellStops'];
+
+class OrderBookService {
+  constructor() {
+    // Arrival counter used for time priority within a price level
+    this.sequence = 0;
+  }
+
+  /**
+   * Restart the arrival counter (the books themselves live in the memory store)
+   */
+  reset() {
+    this.sequence = 0;
+  }
+
+  /**
+   * Check whether an entry ranks ahead of another in the same list
+   * Ties on price go to the earlier entry
+   * @param {Object} entry - Book entry
+   * @param {Object} other - Book entry to compare against
+   * @param {string} listName - Name of the list both entries belong to
+   * @returns {boolean} True if entry ranks ahead of other
+   */
+  hasPriority(entry, other, listName) {
+    if (entry.price !== other.price) {
+      return DESCENDING_LISTS.includes(listName) ? entry.price > other.price : entry.price < other.price;
+    }
+    return entry.sequence < other.sequence;
+  }
+
+  /**
+   * Find the position of the first entry in a list that does not rank ahead of the given one
+   * @param {Array} list - Sorted list
+   * @param {Object} entry - Book entry
+   * @param {string} listName - Name of the list
+   * @returns {number} Index in the list
+   */
+  findPosition(list, entry, listName) {
+    let low = 0;
+    let high = list.length;
+
+    while (low < high) {
+      const mid = Math.floor((low + high) / 2);
+      if (this.hasPriority(list[mid], entry, listName)) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+
+    return low;
+  }
+
+  /**
+   * Insert an order into one of its book's sorted lists
+   * @param {Object} order - Order
+   * @param {string} listName - bids, asks, buyStops or sellStops
+   * @param {number} price - Price the entry is ranked by
+   * @returns {Object} Book entry
+   */
+  insertEntry(order, listName, price) {
+    this.removeEntry(order);
+
+    const book = memoryStore.getOrderBook(order.symbol);
+    const entry = {
+      orderId: order.id,
+      userId: order.userId,
+      price,
+      sequence: ++this.sequence,
+      listName
+    };
+
+    const list = book[listName];
+    list.splice(this.findPosition(list, entry, listName), 0, entry);
+    book.entries.set(order.id, entry);
+
+    return entry;
+  }
+
+  /**
+   * Remove an order's entry from whichever sorted list holds it
+   * @param {Object} order - Order
+   * @returns {boolean} True if an entry was removed
+   */
+  removeEntry(order) {
+    const book = memoryStore.getOrderBook(order.symbol);
+    const entry = book.entries.get(order.id);
+
+    if (!entry) {
+      return false;
+    }
+
+    const list = book[entry.listName];
+    let index = this.findPosition(list, entry, entry.listName);
+    if (!list[index] || list[index].orderId !== order.id) {
+      index = list.findIndex(item => item.orderId === order.id);
+    }
+
+    list.splice(index, 1);
+    book.entries.delete(order.id);
+    return true;
+  }
+
+  /**
+   * Rest a limit order in its symbol's book
+   * An order already in the book is moved to the back of its (possibly new) price level
+   * @param {Object} order - Open limit order
+   * @returns {Object} Book entry
+   */
+  addOrder(order) {
+    return this.insertEntry(order, order.orderType === 'BUY' ? 'bids' : 'asks', order.price);
+  }
+
+  /**
+   * Index a dormant stop order by its trigger price
+   * @param {Object} order - Untriggered SL or SL-M order
+   * @returns {Object} Book entry
+   */
+  addStopOrder(order) {
+    const book = memoryStore.getOrderBook(order.symbol);
+    const entry = book.entries.get(order.id);
+
+    if (order.orderStyle === ORDER_STYLES.TRAILING_STOP) {
+      book.trailingStops.add(order.id);
+    }
+
+    if (entry && entry.price === order.triggerPrice) {
+      return entry;
+    }
+
+    return this.insertEntry(order, order.orderType === 'BUY' ? 'buyStops' : 'sellStops', order.triggerPrice);
+  }
+
+  /**
+   * Track a market order that still has quantity to fill
+   * @param {Object} order - Open market order
+   */
+  addMarketOrder(order) {
+    memoryStore.getOrderBook(order.symbol).marketOrders.add(order.id);
+  }
+
+  /**
+   * Take an order out of its symbol's book and indexes
+   * @param {Object} order - Order to remove
+   * @returns {boolean} True if the order was in the book
+   */
+  removeOrder(order) {
+    const book = memoryStore.getOrderBook(order.symbol);
+    book.trailingStops.delete(order.id);
+    const wasMarketOrder = book.marketOrders.delete(order.id);
+    return this.removeEntry(order) || wasMarketOrder;
+  }
+
+  /**
+   * Get the dormant trailing stops of a symbol, dropping any that are no longer open
+   * @param {string} symbol - Instrument symbol
+   * @returns {Array} Trailing stop orders
+   */
+  getTrailingStops(symbol) {
+    const book = memoryStore.getOrderBook(symbol);
+    const orders = [];
+
+    book.trailingStops.forEach(orderId => {
+      const order = memoryStore.getOrderById(orderId);
+      if (this.isLive(order) && !order.triggeredAt) {
+        orders.push(order);
+      } else {
+        book.trailingStops.delete(orderId);
+      }
+    });
+
+    return orders;
+  }
+
+  /**
+   * Check whether a limit order is resting in its symbol's book
+   * @param {Object} order - Order
+   * @returns {boolean} True if the order is in the bids or asks
+   */
+  isResting(order) {
+    const entry = memoryStore.getOrderBook(order.symbol).entries.get(order.id);
+    return !!entry && ['bids', 'asks'].includes(entry.listName);
+  }
+
+  /**
+   * Check whether an order behind a book entry can still trade
+   * @param {Object} order - Order (may be undefined)
+   * @returns {boolean} True if the order is open with quantity left
+   */
+  isLive(order) {
+    return !!order && OPEN_ORDER_STATUSES.includes(order.status) && order.remainingQuantity > 0;
+  }
+
+  /**
+   * Find the best resting order an incoming order can trade with
+   * Orders from the same user are skipped (self-trade prevention) and
+   * entries for orders that are no longer open are dropped on the way
+   * @param {Object} order - Incoming order
+   * @param {boolean} isMarketOrder - True if the order accepts any price
+   * @returns {Object|null} Resting order or null if nothing crosses
+   */
+  findMatch(order, isMarketOrder) {
+    const book = memoryStore.getOrderBook(order.symbol);
+    const side = order.orderType === 'BUY' ? book.asks : book.bids;
+
+    let index = 0;
+    while (index < side.length) {
+      const entry = side[index];
+      const resting = memoryStore.getOrderById(entry.orderId);
+
+      if (!this.isLive(resting)) {
+        side.splice(index, 1);
+        book.entries.delete(entry.orderId);
+        continue;
+      }
+
+      const crosses = isMarketOrder ||
+        (order.orderType === 'BUY' ? entry.price <= order.price : entry.price >= order.price);
+
+      // The side is sorted, so once one price fails to cross none further down will
+      if (!crosses) {
+        return null;
+      }
+
+      if (resting.userId !== order.userId) {
+        return resting;
+      }
+
+      index++;
+    }
+
+    return null;
+  }
+
+  /**
+   * Get the pending orders of a symbol that a new market price has reached
+   * Walks each price-sorted list only as far as the price crosses, so the cost
+   * depends on how many orders are affected rather than how many are pending
+   * @param {string} symbol - Instrument symbol
+   * @param {number} price - New market price
+   * @param {boolean} includeLimits - Also return limit and market orders that can fill at this price
+   * @returns {Array} Order IDs: triggered stops first, then executable orders
+   */
+  getCrossedOrderIds(symbol, price, includeLimits) {
+    const book = memoryStore.getOrderBook(symbol);
+    const orderIds = [];
+
+    const collect = (listName, crosses) => {
+      const list = book[listName];
+      let index = 0;
+
+      while (index < list.length && crosses(list[index].price)) {
+        const entry = list[index];
+
+        if (!this.isLive(memoryStore.getOrderById(entry.orderId))) {
+          list.splice(index, 1);
+          book.entries.delete(entry.orderId);
+          continue;
+        }
+
+        orderIds.push(entry.orderId);
+        index++;
+      }
+    };
+
+    // BUY stops trigger when the price rises to them, SELL stops when it falls to them
+    collect('buyStops', triggerPrice => price >= triggerPrice);
+    collect('sellStops', triggerPrice => price <= triggerPrice);
+
+    if (includeLimits) {
+      collect('bids', limitPrice => price <= limitPrice);
+      collect('asks', limitPrice => price >= limitPrice);
+      orderIds.push(...book.marketOrders);
+    }
+
+    return orderIds;
+  }
+
+  /**
+   * Get aggregated market depth for a symbol
+   * @param {string} symbol - Instrument symbol
+   * @param {number} levels - Number of price levels per side (default 5)
+   * @returns {Object} Bid and ask levels with total quantity and order count
+   */
+  getDepth(symbol, levels = 5) {
+    try {
+      const instrument = memoryStore.getInstrumentBySymbol(symbol);
+
+      if (!instrument) {
+        throw new AppError(`Instrument with symbol '${symbol}' not found`, HTTP_STATUS.NOT_FOUND);
+      }
+
+      const book = memoryStore.getOrderBook(symbol);
+
+      const aggregate = side => {
+        const priceLevels = [];
+
+        side.forEach(entry => {
+          const order = memoryStore.getOrderById(entry.orderId);
+          if (!this.isLive(order)) {
+            return;
+          }
+
+          // Iceberg orders only show their current slice
+          const displayedQuantity = order.disclosedQuantity ?
+            Math.min(order.visibleQuantity, order.remainingQuantity) : order.remainingQuantity;
+
+          const last = priceLevels[priceLevels.length - 1];
+          if (last && last.price === entry.price) {
+            last.quantity += displayedQuantity;
+            last.orders += 1;
+          } else {
+            priceLevels.push({ price: entry.price, quantity: displayedQuantity, orders: 1 });
+          }
+        });
+
+        return priceLevels.slice(0, levels).map(level => ({
+          ...level,
+          formattedPrice: formatCurrency(level.price)
+        }));
+      };
+
+      const bids = aggregate(book.bids);
+      const asks = aggregate(book.asks);
+
+      return {
+        symbol,
+        lastTradedPrice: instrument.lastTradedPrice,
+        bestBid: bids.length > 0 ? bids[0].price : null,
+        bestAsk: asks.length > 0 ? asks[0].price : null,
+        bids,
+        asks,
+        lastUpdated: new Date()
+      };
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+      throw new AppError('Failed to retrieve order book', HTTP_STATUS.INTERNAL_SERVER_ERROR);
+    }
+  }
+}
+
+module.exports = new OrderBookService();
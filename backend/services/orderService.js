@@ -1,60 +1,679 @@
+const config = require('../config/config');
 const memoryStore = require('../database/memoryStore');
 const instrumentService = require('./instrumentService');
 const tradeService = require('./tradeService');
+const chargesService = require('./chargesService');
 const portfolioService = require('./portfolioService');
+const positionService = require('./positionService');
+const fundsService = require('./fundsService');
+const marginService = require('./marginService');
+const orderBookService = require('./orderBookService');
+const marketService = require('./marketService');
+const orderStateMachine = require('./orderStateMachine');
+const riskService = require('./riskService');
 const { AppError } = require('../middleware/errorHandler');
-const { calculateExecutionPrice, canExecuteLimitOrder, isMarketOpen } = require('../utils/helpers');
-const { HTTP_STATUS, MESSAGES, ORDER_STATUSES, ORDER_STYLES } = require('../utils/constants');
+const {
+  calculateExecutionPrice,
+  calculateOrderExpiry,
+  calculateTrailingTriggerPrice,
+  canExecuteLimitOrder,
+  estimateExecutionPrice,
+  estimateOrderPrice,
+  getEffectiveOrderStyle,
+  getMarketSession,
+  isMarketOpen,
+  isPastSquareOffTime,
+  isStopOrder,
+  isStopTriggered
+} = require('../utils/helpers');
+const {
+  HTTP_STATUS,
+  MESSAGES,
+  ORDER_STATUSES,
+  OPEN_ORDER_STATUSES,
+  ORDER_STYLES,
+  ORDER_VALIDITIES,
+  PRODUCT_TYPES,
+  ORDER_LEG_TYPES,
+  ORDER_ACTORS,
+  TRAILING_OFFSET_TYPES,
+  MARKET_EVENTS,
+  ALGO_STATUSES,
+  PREVIEW_REJECTIONS,
+  RISK_RULES
+} = require('../utils/constants');
 
 class OrderService {
+  constructor() {
+    // Symbols whose price moved and whose pending orders still need evaluating
+    this.pendingTriggerSymbols = new Set();
+    this.triggerCheckScheduled = false;
+
+    instrumentService.on(MARKET_EVENTS.PRICE_CHANGED, ({ symbol }) => this.scheduleTriggerCheck(symbol));
+    marketService.on(MARKET_EVENTS.MARKET_OPENED, () => this.handleMarketOpen());
+  }
+
   /**
    * Place a new order
    * @param {Object} orderData - Order data
+   * @param {Object} options - { hold?: create the order dormant in NEW status, with its funds blocked,
+   *   until releaseOrder sends it to the market }
    * @returns {Object} Created order
    */
-  async placeOrder(orderData) {
+  async placeOrder(orderData, options = {}) {
+    try {
+      this.validateOrder(orderData);
+
+      // A square-off only reduces risk, so it goes through even when trading is halted
+      if (!orderData.squareOff) {
+        riskService.ensureOrderAllowed(orderData);
+      }
+
+      // Reject BUY orders the user cannot afford and SELL orders for shares the user does not hold
+      const requiredFunds = this.calculateRequiredFunds(orderData);
+      fundsService.ensureAvailable(orderData.userId, requiredFunds);
+      this.ensureSellableQuantity(orderData);
+
+      // Create order and block funds for it
+      const order = this.createOrderRecord(orderData);
+      this.blockOrderFunds(order.id, requiredFunds);
+
+      if (options.hold) {
+        return memoryStore.getOrderById(order.id);
+      }
+
+      return await this.releaseOrder(order.id);
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+      throw new AppError('Failed to place order', HTTP_STATUS.INTERNAL_SERVER_ERROR);
+    }
+  }
+
+  /**
+   * Send a new (NEW) order to the market
+   * Outside the normal session it waits as an after-market order; otherwise it is placed and tried at once
+   * @param {string} orderId - Order ID
+   * @param {string} reason - Reason recorded on the PLACED transition (default 'Order placed')
+   * @returns {Object} Released order
+   */
+  async releaseOrder(orderId, reason = 'Order placed') {
+    if (!isMarketOpen()) {
+      return this.queueAfterMarketOrder(orderId);
+    }
+
+    // Update status to PLACED
+    const placedOrder = orderStateMachine.transition(orderId, ORDER_STATUSES.PLACED, {
+      actor: memoryStore.getOrderById(orderId).userId,
+      reason
+    });
+
+    // Try to execute the order immediately
+    const executedOrder = await this.attemptOrderExecution(orderId);
+
+    return executedOrder || placedOrder;
+  }
+
+  /**
+   * Show what placing an order would do, without creating it (dry run)
+   * Runs the same validation, risk checks and funds and holdings checks as placeOrder, but collects
+   * every failure instead of stopping at the first one
+   * @param {Object} orderData - Order data
+   * @returns {Object} Estimated price, order value, charges, funds required, resulting position and any rejections
+   */
+  previewOrder(orderData) {
+    try {
+      const { userId, symbol, orderType, quantity } = orderData;
+      const product = orderData.product || PRODUCT_TYPES.CNC;
+
+      if (!instrumentService.validateInstrument(symbol)) {
+        throw new AppError(`Invalid instrument symbol: ${symbol}`, HTTP_STATUS.BAD_REQUEST);
+      }
+
+      const rejections = [];
+      const collectFailure = (code, check) => {
+        try {
+          check();
+        } catch (error) {
+          if (!(error instanceof AppError)) {
+            throw error;
+          }
+          rejections.push({ code, message: error.message });
+        }
+      };
+
+      collectFailure(PREVIEW_REJECTIONS.ORDER_VALIDATION, () => this.validateOrder(orderData));
+      riskService.evaluate(orderData)
+        .filter(result => !result.passed)
+        .forEach(result => rejections.push({ code: result.code, message: result.message }));
+
+      const requiredFunds = this.calculateRequiredFunds(orderData);
+      collectFailure(PREVIEW_REJECTIONS.INSUFFICIENT_FUNDS, () => fundsService.ensureAvailable(userId, requiredFunds));
+      collectFailure(PREVIEW_REJECTIONS.INSUFFICIENT_HOLDINGS, () => this.ensureSellableQuantity(orderData));
+
+      const currentPrice = instrumentService.getCurrentPrice(symbol);
+      const estimate = estimateExecutionPrice(orderData, currentPrice);
+      const orderValue = Math.round(estimate.price * quantity * 100) / 100;
+      const charges = chargesService.calculateCharges({ orderType, product, quantity, price: estimate.price });
+      const availableBalance = fundsService.getAvailableBalance(userId);
+      const isMarketOrder = getEffectiveOrderStyle(orderData) === ORDER_STYLES.MARKET;
+      const isDormantStop = isStopOrder(orderData) && !isStopTriggered(orderData, currentPrice);
+
+      return {
+        accepted: rejections.length === 0,
+        rejections,
+        symbol,
+        orderType,
+        orderStyle: orderData.orderStyle,
+        product,
+        quantity,
+        marketPrice: currentPrice,
+        estimatedPrice: estimate.price,
+        priceRange: {
+          best: estimate.bestPrice,
+          worst: estimate.worstPrice
+        },
+        slippagePercent: isMarketOrder ? config.trading.maxSlippagePercent : 0,
+        // Whether the order would trade on placing, judged against the last traded price
+        executesImmediately: rejections.length === 0 && isMarketOpen() && !isDormantStop &&
+          (isMarketOrder || canExecuteLimitOrder(orderData, currentPrice)),
+        queuedAsAfterMarketOrder: !isMarketOpen(),
+        orderValue,
+        charges,
+        netAmount: Math.round((orderType === 'BUY' ? orderValue + charges.total : orderValue - charges.total) * 100) / 100,
+        funds: {
+          required: requiredFunds,
+          available: availableBalance,
+          shortfall: Math.max(0, Math.round((requiredFunds - availableBalance) * 100) / 100),
+          leverage: marginService.getLeverage(symbol, product)
+        },
+        position: this.projectPosition({ ...orderData, product }, estimate.price, charges.total)
+      };
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+      throw new AppError('Failed to preview order', HTTP_STATUS.INTERNAL_SERVER_ERROR);
+    }
+  }
+
+  /**
+   * Work out the holding (CNC) or intraday position (MIS) an order would leave once fully filled
+   * Charges are treated as on a trade: added to the cost of a delivery BUY, otherwise taken off realized P&L
+   * @param {Object} orderData - Order data
+   * @param {number} price - Estimated fill price
+   * @param {number} charges - Estimated charges
+   * @returns {Object} Product, quantity and average price before and after, and the P&L the order would realize
+   */
+  projectPosition(orderData, price, charges) {
+    const { userId, symbol, orderType, quantity, product } = orderData;
+
+    if (product === PRODUCT_TYPES.MIS) {
+      const position = memoryStore.getPosition(userId, symbol);
+      const after = positionService.projectTrade(position, quantity, price, orderType);
+
+      return {
+        product,
+        before: {
+          quantity: position ? position.quantity : 0,
+          averagePrice: position ? position.averagePrice : 0
+        },
+        after: {
+          quantity: after.quantity,
+          averagePrice: after.averagePrice
+        },
+        realizedPnl: Math.round((after.realizedPnl - charges) * 100) / 100
+      };
+    }
+
+    const holding = portfolioService.getHoldingBySymbol(userId, symbol);
+    const before = {
+      quantity: holding ? holding.quantity : 0,
+      averagePrice: holding ? holding.averagePrice : 0
+    };
+
+    if (orderType === 'BUY') {
+      const afterQuantity = before.quantity + quantity;
+      return {
+        product,
+        before,
+        after: {
+          quantity: afterQuantity,
+          averagePrice: Math.round((before.quantity * before.averagePrice + quantity * price + charges) / afterQuantity * 100) / 100
+        },
+        realizedPnl: 0
+      };
+    }
+
+    // A delivery SELL cannot take the holding below zero
+    const soldQuantity = Math.min(quantity, before.quantity);
+    return {
+      product,
+      before,
+      after: {
+        quantity: before.quantity - soldQuantity,
+        averagePrice: before.quantity > soldQuantity ? before.averagePrice : 0
+      },
+      realizedPnl: Math.round(((price - before.averagePrice) * soldQuantity - charges) * 100) / 100
+    };
+  }
+
+  /**
+   * Place a bracket order: an entry order with a target leg and a stop-loss leg
+   * Both exit legs stay in NEW status until the entry is filled, then go live
+   * as a one-cancels-other (OCO) pair
+   * @param {Object} bracketData - Entry order data with targetPrice and stopLossPrice
+   * @returns {Object} Entry order with its linked legs
+   */
+  async placeBracketOrder(bracketData) {
     try {
-      // Validate instrument exists
-      if (!instrumentService.validateInstrument(orderData.symbol)) {
+      const { targetPrice, stopLossPrice, ...entryData } = bracketData;
+
+      this.validateOrder(entryData);
+      riskService.ensureOrderAllowed(entryData);
+
+      // Exit legs must sit on either side of the expected entry price
+      const referencePrice = entryData.orderStyle === ORDER_STYLES.LIMIT ?
+        entryData.price : instrumentService.getCurrentPrice(entryData.symbol);
+
+      if (entryData.orderType === 'BUY' && !(targetPrice > referencePrice && stopLossPrice < referencePrice)) {
+        throw new AppError(
+          `For BUY brackets the target must be above and the stop-loss below the entry price (₹${referencePrice})`,
+          HTTP_STATUS.BAD_REQUEST
+        );
+      }
+
+      if (entryData.orderType === 'SELL' && !(targetPrice < referencePrice && stopLossPrice > referencePrice)) {
         throw new AppError(
-          `Invalid instrument symbol: ${orderData.symbol}`,
+          `For SELL brackets the target must be below and the stop-loss above the entry price (₹${referencePrice})`,
           HTTP_STATUS.BAD_REQUEST
         );
       }
 
-      // Check market status (for demo, we'll allow trading anytime)
-      // if (!isMarketOpen()) {
-      //   throw new AppError('Market is currently closed', HTTP_STATUS.BAD_REQUEST);
-      // }
+      const requiredFunds = this.calculateRequiredFunds(entryData);
+      fundsService.ensureAvailable(entryData.userId, requiredFunds);
+      this.ensureSellableQuantity(entryData);
 
-      // Get current market price
-      const currentPrice = instrumentService.getCurrentPrice(orderData.symbol);
+      const exitType = entryData.orderType === 'BUY' ? 'SELL' : 'BUY';
 
-      // Validate limit order price
-      if (orderData.orderStyle === ORDER_STYLES.LIMIT) {
-        if (!orderData.price || orderData.price <= 0) {
-          throw new AppError('Price is required for LIMIT orders', HTTP_STATUS.BAD_REQUEST);
-        }
-      }
+      // Create the group: entry first, then the dormant exit legs linked to it
+      const entryOrder = this.createOrderRecord({
+        ...entryData,
+        legType: ORDER_LEG_TYPES.ENTRY
+      });
 
-      // Create order
-      const order = memoryStore.createOrder({
-        ...orderData,
-        status: ORDER_STATUSES.NEW
+      const targetOrder = this.createOrderRecord({
+        userId: entryData.userId,
+        symbol: entryData.symbol,
+        orderType: exitType,
+        orderStyle: ORDER_STYLES.LIMIT,
+        product: entryData.product,
+        quantity: entryData.quantity,
+        price: targetPrice,
+        parentOrderId: entryOrder.id,
+        legType: ORDER_LEG_TYPES.TARGET
       });
 
-      // Update status to PLACED
-      const placedOrder = memoryStore.updateOrderStatus(order.id, ORDER_STATUSES.PLACED);
+      const stopLossOrder = this.createOrderRecord({
+        userId: entryData.userId,
+        symbol: entryData.symbol,
+        orderType: exitType,
+        orderStyle: ORDER_STYLES.SL_M,
+        product: entryData.product,
+        quantity: entryData.quantity,
+        triggerPrice: stopLossPrice,
+        parentOrderId: entryOrder.id,
+        legType: ORDER_LEG_TYPES.STOP_LOSS
+      });
+
+      memoryStore.updateOrder(entryOrder.id, {
+        childOrderIds: [targetOrder.id, stopLossOrder.id]
+      });
+      this.blockOrderFunds(entryOrder.id, requiredFunds);
 
-      // Try to execute the order immediately
-      const executedOrder = await this.attemptOrderExecution(placedOrder.id);
+      // Place the entry (or queue it until the market opens); its fill activates the exit legs
+      if (isMarketOpen()) {
+        orderStateMachine.transition(entryOrder.id, ORDER_STATUSES.PLACED, {
+          actor: entryData.userId,
+          reason: 'Bracket entry placed'
+        });
+        await this.attemptOrderExecution(entryOrder.id);
+      } else {
+        this.queueAfterMarketOrder(entryOrder.id);
+      }
 
-      return executedOrder || placedOrder;
+      return {
+        order: memoryStore.getOrderById(entryOrder.id),
+        ...this.getLinkedOrders(entryOrder.id)
+      };
     } catch (error) {
       if (error instanceof AppError) {
         throw error;
       }
-      throw new AppError('Failed to place order', HTTP_STATUS.INTERNAL_SERVER_ERROR);
+      throw new AppError('Failed to place bracket order', HTTP_STATUS.INTERNAL_SERVER_ERROR);
+    }
+  }
+
+  /**
+   * Queue an order as an after-market order (AMO)
+   * It stays in NEW status, with its funds blocked, until the next open releases it
+   * @param {string} orderId - Order ID
+   * @returns {Object} Queued order
+   */
+  queueAfterMarketOrder(orderId) {
+    const order = memoryStore.updateOrder(orderId, {
+      amo: true,
+      queuedInSession: getMarketSession()
+    });
+
+    console.log(`🌙 Order ${orderId} queued as AMO (${order.queuedInSession} session)`);
+    return order;
+  }
+
+  /**
+   * Check whether an order is an after-market order still waiting for the open
+   * @param {Object} order - Order
+   * @returns {boolean} True if the order is queued
+   */
+  isQueuedAfterMarketOrder(order) {
+    return !!order.amo && order.status === ORDER_STATUSES.NEW;
+  }
+
+  /**
+   * Release queued after-market orders once the market opens, oldest first
+   * @returns {Array} Released orders
+   */
+  async releaseAfterMarketOrders() {
+    const queuedOrders = Array.from(memoryStore.orders.values())
+      .filter(order => this.isQueuedAfterMarketOrder(order))
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+
+    for (const order of queuedOrders) {
+      // An order may have been cancelled by an earlier release (e.g. its bracket group)
+      if (!this.isQueuedAfterMarketOrder(order)) {
+        continue;
+      }
+
+      memoryStore.updateOrder(order.id, { releasedAt: new Date() });
+      orderStateMachine.transition(order.id, ORDER_STATUSES.PLACED, { reason: 'After-market order released at open' });
+      await this.attemptOrderExecution(order.id);
+    }
+
+    if (queuedOrders.length > 0) {
+      console.log(`🌅 Released ${queuedOrders.length} after-market orders`);
+    }
+
+    return queuedOrders.map(order => memoryStore.getOrderById(order.id));
+  }
+
+  /**
+   * Resume trading when the market opens
+   * Queued after-market orders are released first, then every order left working
+   * while the market was closed is checked against the opening prices
+   */
+  async handleMarketOpen() {
+    try {
+      await this.releaseAfterMarketOrders();
+
+      const workingOrderIds = Array.from(memoryStore.orders.values())
+        .filter(order => OPEN_ORDER_STATUSES.includes(order.status))
+        .map(order => order.id);
+
+      for (const orderId of workingOrderIds) {
+        await this.attemptOrderExecution(orderId);
+      }
+    } catch (error) {
+      console.error('Error resuming orders at market open:', error);
+    }
+  }
+
+  /**
+   * Validate order data before it is created
+   * @param {Object} orderData - Order data
+   */
+  validateOrder(orderData) {
+    // Validate instrument exists
+    if (!instrumentService.validateInstrument(orderData.symbol)) {
+      throw new AppError(
+        `Invalid instrument symbol: ${orderData.symbol}`,
+        HTTP_STATUS.BAD_REQUEST
+      );
+    }
+
+    // Validate limit order price
+    if (getEffectiveOrderStyle(orderData) === ORDER_STYLES.LIMIT) {
+      if (!orderData.price || orderData.price <= 0) {
+        throw new AppError(`Price is required for ${orderData.orderStyle} orders`, HTTP_STATUS.BAD_REQUEST);
+      }
+    }
+
+    // Validate stop order trigger price; a trailing stop's trigger is derived from the market
+    if (orderData.orderStyle === ORDER_STYLES.TRAILING_STOP) {
+      this.validateTrailingOffset(orderData);
+    } else if (isStopOrder(orderData)) {
+      this.validateTriggerPrice(orderData);
+    }
+
+    // Iceberg orders show a slice of a priced order at a time
+    if (orderData.disclosedQuantity !== undefined) {
+      if (getEffectiveOrderStyle(orderData) !== ORDER_STYLES.LIMIT) {
+        throw new AppError('Disclosed quantity is only allowed for LIMIT and SL orders', HTTP_STATUS.BAD_REQUEST);
+      }
+      if (orderData.disclosedQuantity > orderData.quantity) {
+        throw new AppError('Disclosed quantity cannot exceed the order quantity', HTTP_STATUS.BAD_REQUEST);
+      }
+    }
+
+    // Intraday positions do not outlive the day, so neither do intraday orders
+    if (orderData.product === PRODUCT_TYPES.MIS && [ORDER_VALIDITIES.GTC, ORDER_VALIDITIES.GTD].includes(orderData.validity)) {
+      throw new AppError('MIS orders are valid for the day only (DAY or IOC)', HTTP_STATUS.BAD_REQUEST);
+    }
+
+    // Intraday orders for today stop at the square-off cut-off (queued after-market orders are for the next day)
+    if (orderData.product === PRODUCT_TYPES.MIS && !orderData.squareOff && isMarketOpen() && isPastSquareOffTime()) {
+      throw new AppError(
+        `MIS orders are not accepted after the square-off time (${config.intraday.squareOffTime} IST)`,
+        HTTP_STATUS.BAD_REQUEST
+      );
+    }
+
+    // GTD orders must still have a session left before they expire
+    if (orderData.validity === ORDER_VALIDITIES.GTD && calculateOrderExpiry(orderData) <= new Date()) {
+      throw new AppError('Valid till date must leave at least one trading session', HTTP_STATUS.BAD_REQUEST);
+    }
+  }
+
+  /**
+   * Create an order record in NEW status
+   * @param {Object} orderData - Order data
+   * @returns {Object} Created order
+   */
+  createOrderRecord(orderData) {
+    const validity = orderData.validity || config.trading.defaultValidity;
+
+    const order = memoryStore.createOrder({
+      ...orderData,
+      product: orderData.product || PRODUCT_TYPES.CNC,
+      validity,
+      expiresAt: calculateOrderExpiry({ ...orderData, validity }),
+      version: 1,
+      status: ORDER_STATUSES.NEW,
+      executedQuantity: 0,
+      remainingQuantity: orderData.quantity,
+      ...(isStopOrder(orderData) && { triggeredAt: null }),
+      ...(orderData.orderStyle === ORDER_STYLES.TRAILING_STOP && this.getInitialTrailingState(orderData)),
+      ...(orderData.disclosedQuantity && {
+        visibleQuantity: Math.min(orderData.disclosedQuantity, orderData.quantity),
+        sliceNumber: 1
+      })
+    });
+
+    orderStateMachine.recordCreation(order, orderData.userId);
+    return order;
+  }
+
+  /**
+   * Start a trailing stop off the current market price
+   * @param {Object} orderData - Trailing stop order data
+   * @returns {Object} Offset type, anchor price, trigger price and trigger history
+   */
+  getInitialTrailingState(orderData) {
+    const currentPrice = instrumentService.getCurrentPrice(orderData.symbol);
+    const trailingOffsetType = orderData.trailingOffsetType || TRAILING_OFFSET_TYPES.ABSOLUTE;
+    const triggerPrice = calculateTrailingTriggerPrice({ ...orderData, trailingOffsetType }, currentPrice);
+
+    return {
+      trailingOffsetType,
+      trailingAnchorPrice: currentPrice,
+      triggerPrice,
+      triggerHistory: [{ triggerPrice, marketPrice: currentPrice, movedAt: new Date() }]
+    };
+  }
+
+  /**
+   * Calculate the funds or margin to block for the unfilled part of an order
+   * CNC BUY orders block their full value and CNC SELL orders nothing. MIS orders block margin
+   * (value / leverage) on the part that would open or add to the intraday position.
+   * The estimated charges on the covered quantity are blocked with it.
+   * @param {Object} orderData - Order data
+   * @param {number} quantity - Quantity to cover (default full order quantity)
+   * @returns {number} Funds required
+   */
+  calculateRequiredFunds(orderData, quantity = orderData.quantity) {
+    if (orderData.product === PRODUCT_TYPES.MIS) {
+      quantity = this.getOpeningQuantity(orderData, quantity);
+    } else if (orderData.orderType !== 'BUY') {
+      return 0;
+    }
+
+    if (quantity <= 0) {
+      return 0;
+    }
+
+    const currentPrice = instrumentService.getCurrentPrice(orderData.symbol);
+    const price = estimateOrderPrice(orderData, currentPrice);
+    const margin = marginService.calculateMargin(orderData.symbol, orderData.product, price * quantity);
+    const charges = chargesService.calculateCharges({ ...orderData, quantity, price });
+
+    return Math.round((margin + charges.total) * 100) / 100;
+  }
+
+  /**
+   * Get how much of an MIS order would open or add to an intraday position
+   * The rest closes the opposite position left after the user's other working MIS orders on the same side
+   * @param {Object} orderData - MIS order data
+   * @param {number} quantity - Quantity to trade
+   * @returns {number} Opening quantity
+   */
+  getOpeningQuantity(orderData, quantity) {
+    const direction = orderData.orderType === 'BUY' ? 1 : -1;
+    const closableQuantity = Math.max(
+      0,
+      -direction * positionService.getPositionQuantity(orderData.userId, orderData.symbol) -
+        this.getCommittedQuantity(orderData.userId, orderData.symbol, orderData.orderType, PRODUCT_TYPES.MIS, orderData.id)
+    );
+
+    return Math.max(0, quantity - closableQuantity);
+  }
+
+  /**
+   * Check that a SELL order is covered by holdings not already promised to other orders
+   * @param {Object} orderData - Order data
+   * @param {number} quantity - Quantity to cover (default full order quantity)
+   */
+  ensureSellableQuantity(orderData, quantity = orderData.quantity) {
+    // Intraday sells may go short
+    if (orderData.orderType !== 'SELL' || orderData.product === PRODUCT_TYPES.MIS) {
+      return;
+    }
+
+    portfolioService.ensureHoldingQuantity(
+      orderData.userId,
+      orderData.symbol,
+      quantity,
+      this.getCommittedSellQuantity(orderData.userId, orderData.symbol)
+    );
+  }
+
+  /**
+   * Block funds for an order and record the amount on it
+   * @param {string} orderId - Order ID
+   * @param {number} amount - Amount to block
+   */
+  blockOrderFunds(orderId, amount) {
+    if (amount <= 0) {
+      return;
+    }
+
+    const order = memoryStore.getOrderById(orderId);
+    fundsService.blockFunds(order.userId, amount, orderId);
+    memoryStore.updateOrder(orderId, { blockedAmount: amount });
+  }
+
+  /**
+   * Release part or all of the funds blocked for an order
+   * @param {string} orderId - Order ID
+   * @param {number} amount - Amount to release (default everything still blocked)
+   */
+  releaseOrderFunds(orderId, amount) {
+    const order = memoryStore.getOrderById(orderId);
+    const blockedAmount = order.blockedAmount || 0;
+    const releaseAmount = Math.min(amount === undefined ? blockedAmount : amount, blockedAmount);
+
+    if (releaseAmount <= 0) {
+      return;
+    }
+
+    fundsService.releaseFunds(order.userId, releaseAmount, orderId);
+    memoryStore.updateOrder(orderId, {
+      blockedAmount: Math.round((blockedAmount - releaseAmount) * 100) / 100
+    });
+  }
+
+  /**
+   * Validate the trigger price of a stop order
+   * A stop-limit BUY must trigger at or below its limit price, a SELL at or above it
+   * @param {Object} orderData - Order data
+   */
+  validateTriggerPrice(orderData) {
+    if (!orderData.triggerPrice || orderData.triggerPrice <= 0) {
+      throw new AppError(`Trigger price is required for ${orderData.orderStyle} orders`, HTTP_STATUS.BAD_REQUEST);
+    }
+
+    if (orderData.orderStyle === ORDER_STYLES.SL) {
+      if (orderData.orderType === 'BUY' && orderData.triggerPrice > orderData.price) {
+        throw new AppError('Trigger price cannot be above limit price for SL BUY orders', HTTP_STATUS.BAD_REQUEST);
+      }
+      if (orderData.orderType === 'SELL' && orderData.triggerPrice < orderData.price) {
+        throw new AppError('Trigger price cannot be below limit price for SL SELL orders', HTTP_STATUS.BAD_REQUEST);
+      }
+    }
+  }
+
+  /**
+   * Validate the offset of a trailing stop
+   * The offset must leave a positive trigger price below the market for SELL orders
+   * @param {Object} orderData - Order data
+   */
+  validateTrailingOffset(orderData) {
+    if (!orderData.trailingOffset || orderData.trailingOffset <= 0) {
+      throw new AppError('Trailing offset is required for TRAILING_STOP orders', HTTP_STATUS.BAD_REQUEST);
+    }
+
+    if (orderData.trailingOffsetType === TRAILING_OFFSET_TYPES.PERCENT) {
+      if (orderData.trailingOffset >= 100) {
+        throw new AppError('Trailing offset must be below 100 percent', HTTP_STATUS.BAD_REQUEST);
+      }
+      return;
+    }
+
+    const currentPrice = instrumentService.getCurrentPrice(orderData.symbol);
+    if (orderData.orderType === 'SELL' && orderData.trailingOffset >= currentPrice) {
+      throw new AppError(
+        `Trailing offset must be below the current price (₹${currentPrice}) for SELL orders`,
+        HTTP_STATUS.BAD_REQUEST
+      );
     }
   }
 
@@ -80,6 +699,25 @@ class OrderService {
     }
   }
 
+  /**
+   * Get the orders linked to an order through a bracket group
+   * @param {string} orderId - Order ID (entry or exit leg)
+   * @returns {Object} Parent order and exit legs of the group
+   */
+  getLinkedOrders(orderId) {
+    const order = this.getOrderById(orderId);
+    const parentOrderId = order.parentOrderId || order.id;
+    const legs = memoryStore.getChildOrders(parentOrderId);
+
+    return {
+      parentOrder: order.parentOrderId ? memoryStore.getOrderById(parentOrderId) : null,
+      legs: {
+        target: legs.find(leg => leg.legType === ORDER_LEG_TYPES.TARGET) || null,
+        stopLoss: legs.find(leg => leg.legType === ORDER_LEG_TYPES.STOP_LOSS) || null
+      }
+    };
+  }
+
   /**
    * Get all orders for a user
    * @param {string} userId - User ID
@@ -92,7 +730,8 @@ class OrderService {
 
       // Apply filters
       if (filters.status) {
-        orders = orders.filter(order => order.status === filters.status);
+        const statuses = Array.isArray(filters.status) ? filters.status : [filters.status];
+        orders = orders.filter(order => statuses.includes(order.status));
       }
 
       if (filters.symbol) {
@@ -118,9 +757,11 @@ class OrderService {
    * Cancel an order
    * @param {string} orderId - Order ID
    * @param {string} userId - User ID
+   * @param {string} reason - Reason recorded in the order's timeline
+   * @param {string} actor - Who cancelled the order (default the user)
    * @returns {Object} Cancelled order
    */
-  cancelOrder(orderId, userId) {
+  async cancelOrder(orderId, userId, reason = 'Cancelled by user', actor = userId) {
     try {
       const order = this.getOrderById(orderId);
 
@@ -138,8 +779,24 @@ class OrderService {
         throw new AppError('Order is already cancelled', HTTP_STATUS.BAD_REQUEST);
       }
 
-      // Cancel the order
-      const cancelledOrder = memoryStore.updateOrderStatus(orderId, ORDER_STATUSES.CANCELLED);
+      if (order.status === ORDER_STATUSES.EXPIRED) {
+        throw new AppError('Cannot cancel expired order', HTTP_STATUS.BAD_REQUEST);
+      }
+
+      if (order.status === ORDER_STATUSES.REJECTED) {
+        throw new AppError('Cannot cancel rejected order', HTTP_STATUS.BAD_REQUEST);
+      }
+
+      // Cancel the order; a partially filled order only cancels its unfilled remainder
+      const cancelledOrder = this.closeRemainingQuantity(orderId, ORDER_STATUSES.CANCELLED, {
+        actor,
+        reason
+      });
+
+      // Cancelling a bracket entry settles its exit legs
+      if (order.legType === ORDER_LEG_TYPES.ENTRY) {
+        await this.syncOrderGroup(cancelledOrder);
+      }
       
       return cancelledOrder;
     } catch (error) {
@@ -151,92 +808,963 @@ class OrderService {
   }
 
   /**
-   * Attempt to execute an order
-   * @param {string} orderId - Order ID
-   * @returns {Object|null} Executed order or null if not executed
+   * Cancel every working order of a user, optionally narrowed by symbol, side and style
+   * Queued after-market orders are included; dormant bracket exit legs are settled with their entry
+   * @param {string} userId - User ID
+   * @param {Object} filters - Filter options (symbol, orderType, orderStyle)
+   * @param {string} reason - Reason recorded in each order's timeline
+   * @returns {Object} Cancelled orders and the orders that could not be cancelled
    */
-  async attemptOrderExecution(orderId) {
+  async cancelAllOrders(userId, filters = {}, reason = 'Cancelled by user (cancel all)') {
     try {
-      const order = memoryStore.getOrderById(orderId);
-      
-      if (!order || order.status !== ORDER_STATUSES.PLACED) {
-        return null;
-      }
+      const targetOrders = riskService.getWorkingOrders(userId)
+        .filter(order => !filters.symbol || order.symbol.toLowerCase() === filters.symbol.toLowerCase())
+        .filter(order => !filters.orderType || order.orderType === filters.orderType)
+        .filter(order => !filters.orderStyle || order.orderStyle === filters.orderStyle)
+        .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
 
-      const currentPrice = instrumentService.getCurrentPrice(order.symbol);
+      const cancelledOrders = [];
+      const failedOrders = [];
 
-      // Check if order can be executed
-      let canExecute = false;
-      
-      if (order.orderStyle === ORDER_STYLES.MARKET) {
-        // Market orders execute immediately
-        canExecute = true;
-      } else {
-        // Check limit order conditions
-        canExecute = canExecuteLimitOrder(order, currentPrice);
-      }
+      for (const { id } of targetOrders) {
+        // An earlier cancel may already have closed this order (e.g. the other leg of its bracket)
+        const { status } = memoryStore.getOrderById(id);
+        if (![ORDER_STATUSES.NEW, ...OPEN_ORDER_STATUSES].includes(status)) {
+          continue;
+        }
 
-      if (!canExecute) {
-        return null; // Order remains in PLACED status
+        try {
+          cancelledOrders.push(await this.cancelOrder(id, userId, reason));
+        } catch (error) {
+          failedOrders.push({ orderId: id, error: error.message });
+        }
       }
 
-      // Calculate execution price
-      const executionPrice = calculateExecutionPrice(order, currentPrice);
-      
-      // Execute the order
-      const executedOrder = memoryStore.updateOrderStatus(orderId, ORDER_STATUSES.EXECUTED, {
-        executedPrice: executionPrice,
-        executedQuantity: order.quantity
-      });
-
-      // Create trade record
-      const tradeData = {
-        userId: order.userId,
-        orderId: order.id,
-        symbol: order.symbol,
-        orderType: order.orderType,
-        quantity: order.quantity,
-        price: executionPrice
-      };
-
-      const trade = tradeService.createTrade(tradeData);
-
-      // Update portfolio
-      await portfolioService.updatePortfolioAfterTrade(
-        order.userId,
-        order.symbol,
-        order.quantity,
-        executionPrice,
-        order.orderType
-      );
+      console.log(`🧹 Cancelled ${cancelledOrders.length} working orders for ${userId}`);
 
-      console.log(`✅ Order ${orderId} executed at ₹${executionPrice} for ${order.quantity} shares of ${order.symbol}`);
-      
-      return executedOrder;
+      return { cancelledOrders, failedOrders };
     } catch (error) {
-      console.error(`❌ Failed to execute order ${orderId}:`, error.message);
-      return null;
+      if (error instanceof AppError) {
+        throw error;
+      }
+      throw new AppError('Failed to cancel orders', HTTP_STATUS.INTERNAL_SERVER_ERROR);
     }
   }
 
   /**
-   * Get order statistics for a user
+   * Amend a working order in place
+   * Keeps the order ID, bumps its version and records the change in the amendment history
+   * @param {string} orderId - Order ID
    * @param {string} userId - User ID
-   * @returns {Object} Order statistics
+   * @param {Object} changes - New values for price, quantity and/or triggerPrice
+   * @returns {Object} Amended order and the recorded amendment
    */
-  getOrderStats(userId) {
+  async modifyOrder(orderId, userId, changes) {
     try {
-      const orders = memoryStore.getAllOrders(userId);
+      const order = this.getOrderById(orderId);
+
+      // Verify order belongs to user
+      if (order.userId !== userId) {
+        throw new AppError('Unauthorized to modify this order', HTTP_STATUS.FORBIDDEN);
+      }
+
+      // A halt or kill switch stops amendments as well as new orders
+      riskService.ensureOrderAllowed(order, { rules: [RISK_RULES.TRADING_HALTED, RISK_RULES.KILL_SWITCH] });
+
+      // Only working orders can be amended
+      if (![ORDER_STATUSES.NEW, ...OPEN_ORDER_STATUSES].includes(order.status)) {
+        throw new AppError(`Cannot modify ${order.status.toLowerCase()} order`, HTTP_STATUS.BAD_REQUEST);
+      }
+
+      // An algo parent is steered by pausing, resuming or cancelling it
+      if (order.algo) {
+        throw new AppError('Algo orders cannot be modified; pause or cancel them instead', HTTP_STATUS.BAD_REQUEST);
+      }
+
+      const effectiveStyle = getEffectiveOrderStyle(order);
+
+      if (changes.price !== undefined && effectiveStyle !== ORDER_STYLES.LIMIT) {
+        throw new AppError(`Price cannot be modified for ${order.orderStyle} orders`, HTTP_STATUS.BAD_REQUEST);
+      }
+
+      if (changes.triggerPrice !== undefined) {
+        if (!isStopOrder(order) || order.orderStyle === ORDER_STYLES.TRAILING_STOP) {
+          throw new AppError(`Trigger price cannot be modified for ${order.orderStyle} orders`, HTTP_STATUS.BAD_REQUEST);
+        }
+        if (order.triggeredAt) {
+          throw new AppError('Trigger price cannot be modified after the order has triggered', HTTP_STATUS.BAD_REQUEST);
+        }
+      }
+
+      if (changes.quantity !== undefined && changes.quantity <= order.executedQuantity) {
+        throw new AppError(
+          `Quantity must be greater than the filled quantity (${order.executedQuantity})`,
+          HTTP_STATUS.BAD_REQUEST
+        );
+      }
+
+      if (changes.quantity !== undefined && order.disclosedQuantity && changes.quantity < order.disclosedQuantity) {
+        throw new AppError(
+          `Quantity cannot be below the disclosed quantity (${order.disclosedQuantity})`,
+          HTTP_STATUS.BAD_REQUEST
+        );
+      }
+
+      const previous = {
+        price: order.price,
+        quantity: order.quantity,
+        triggerPrice: order.triggerPrice
+      };
+      const updated = {
+        price: changes.price !== undefined ? changes.price : order.price,
+        quantity: changes.quantity !== undefined ? changes.quantity : order.quantity,
+        triggerPrice: changes.triggerPrice !== undefined ? changes.triggerPrice : order.triggerPrice
+      };
+
+      if (Object.keys(updated).every(field => updated[field] === previous[field])) {
+        throw new AppError('Nothing to modify: the new values match the current order', HTTP_STATUS.BAD_REQUEST);
+      }
+
+      if (isStopOrder(order)) {
+        this.validateTriggerPrice({ ...order, ...updated });
+      }
+
+      // The amended order has to pass the same pre-trade checks as a new one, without counting against itself
+      riskService.ensureOrderAllowed({ ...order, ...updated }, { excludeOrderId: orderId });
+
+      // Re-price the funds blocked for the unfilled quantity
+      const requiredFunds = this.calculateRequiredFunds(
+        { ...order, ...updated },
+        updated.quantity - order.executedQuantity
+      );
+      const fundsDifference = Math.round((requiredFunds - (order.blockedAmount || 0)) * 100) / 100;
+
+      if (fundsDifference > 0) {
+        fundsService.ensureAvailable(userId, fundsDifference);
+      }
+
+      // A larger SELL must still be covered by free holdings
+      const additionalQuantity = updated.quantity - previous.quantity;
+      if (additionalQuantity > 0) {
+        this.ensureSellableQuantity(order, additionalQuantity);
+      }
+
+      const version = (order.version || 1) + 1;
+
+      const remainingQuantity = updated.quantity - order.executedQuantity;
+
+      memoryStore.updateOrder(orderId, {
+        ...updated,
+        remainingQuantity,
+        version,
+        // The current iceberg slice never shows more than is left
+        ...(order.disclosedQuantity && {
+          visibleQuantity: Math.min(order.visibleQuantity || order.disclosedQuantity, remainingQuantity)
+        })
+      });
+
+      // Dormant bracket legs always cover the full entry quantity
+      if (order.legType === ORDER_LEG_TYPES.ENTRY && updated.quantity !== previous.quantity) {
+        memoryStore.getChildOrders(orderId)
+          .filter(leg => leg.status === ORDER_STATUSES.NEW)
+          .forEach(leg => memoryStore.updateOrder(leg.id, {
+            quantity: updated.quantity,
+            remainingQuantity: updated.quantity
+          }));
+      }
+
+      if (fundsDifference > 0) {
+        fundsService.blockFunds(userId, fundsDifference, orderId);
+        memoryStore.updateOrder(orderId, { blockedAmount: requiredFunds });
+      } else if (fundsDifference < 0) {
+        this.releaseOrderFunds(orderId, -fundsDifference);
+      }
+
+      const amendment = memoryStore.addOrderAmendment(orderId, {
+        version,
+        previous,
+        updated,
+        amendedBy: userId,
+        amendedAt: new Date()
+      });
+
+      console.log(`✏️ Order ${orderId} amended to version ${version}`);
+
+      // An amended order loses its place in the book and is matched again at its new terms
+      orderBookService.removeOrder(order);
+
+      // An amended price may now cross the market
+      const executedOrder = await this.attemptOrderExecution(orderId);
+
+      return {
+        order: executedOrder || memoryStore.getOrderById(orderId),
+        amendment
+      };
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+      throw new AppError('Failed to modify order', HTTP_STATUS.INTERNAL_SERVER_ERROR);
+    }
+  }
+
+  /**
+   * Get the amendment history of an order
+   * @param {string} orderId - Order ID
+   * @param {string} userId - User ID
+   * @returns {Object} Current version and list of amendments (oldest first)
+   */
+  getOrderHistory(orderId, userId) {
+    const order = this.getOrderById(orderId);
+
+    if (order.userId !== userId) {
+      throw new AppError('Access denied to this order', HTTP_STATUS.FORBIDDEN);
+    }
+
+    return {
+      orderId,
+      currentVersion: order.version || 1,
+      amendments: memoryStore.getOrderAmendments(orderId)
+    };
+  }
+
+  /**
+   * Get the status timeline of an order
+   * @param {string} orderId - Order ID
+   * @param {string} userId - User ID
+   * @returns {Object} Current status and every status transition (oldest first)
+   */
+  getOrderTimeline(orderId, userId) {
+    const order = this.getOrderById(orderId);
+
+    if (order.userId !== userId) {
+      throw new AppError('Access denied to this order', HTTP_STATUS.FORBIDDEN);
+    }
+
+    return {
+      orderId,
+      status: order.status,
+      timeline: orderStateMachine.getTimeline(orderId)
+    };
+  }
+
+  /**
+   * Withdraw whatever quantity of an order is still unfilled
+   * @param {string} orderId - Order ID
+   * @param {string} status - Final status, CANCELLED, EXPIRED or REJECTED (default CANCELLED)
+   * @param {Object} transition - { actor, reason } recorded in the order's timeline (default system)
+   * @returns {Object} Closed order
+   */
+  closeRemainingQuantity(orderId, status = ORDER_STATUSES.CANCELLED, transition = {}) {
+    const order = memoryStore.getOrderById(orderId);
+
+    // Check the move first, so an illegal one leaves funds and book untouched
+    orderStateMachine.ensureCanTransition(order, status);
+
+    // Nothing more will be bought, so the rest of the blocked funds are free again
+    this.releaseOrderFunds(orderId);
+    orderBookService.removeOrder(order);
+
+    // A closed algo parent sends no more slices
+    if (order.algo) {
+      memoryStore.updateOrder(orderId, {
+        algo: {
+          ...order.algo,
+          status: status === ORDER_STATUSES.EXPIRED ? ALGO_STATUSES.EXPIRED : ALGO_STATUSES.CANCELLED,
+          endedAt: new Date()
+        }
+      });
+    }
+
+    return orderStateMachine.transition(orderId, status, {
+      ...transition,
+      remainingQuantity: 0,
+      cancelledQuantity: order.remainingQuantity
+    });
+  }
+
+  /**
+   * Keep the orders of a bracket group consistent after a fill or cancel
+   * - Entry fully filled: both exit legs go live
+   * - Entry cancelled, expired or rejected: exit legs cover only what was filled, or are cancelled if nothing was
+   * - Exit leg filled: the other leg shrinks to the same remainder (one-cancels-other)
+   * @param {Object} order - Order that was just filled or cancelled
+   */
+  async syncOrderGroup(order) {
+    if (order.legType === ORDER_LEG_TYPES.ENTRY) {
+      const legs = memoryStore.getChildOrders(order.id)
+        .filter(leg => leg.status === ORDER_STATUSES.NEW);
+
+      const isClosed = [ORDER_STATUSES.CANCELLED, ORDER_STATUSES.EXPIRED, ORDER_STATUSES.REJECTED].includes(order.status);
+
+      if (isClosed && order.executedQuantity === 0) {
+        legs.forEach(leg => this.closeRemainingQuantity(leg.id, ORDER_STATUSES.CANCELLED, {
+          reason: `Bracket entry ${order.status.toLowerCase()} without a fill`
+        }));
+        return;
+      }
+
+      if (order.status === ORDER_STATUSES.EXECUTED || isClosed) {
+        for (const leg of legs) {
+          memoryStore.updateOrder(leg.id, { remainingQuantity: order.executedQuantity });
+          orderStateMachine.transition(leg.id, ORDER_STATUSES.PLACED, { reason: 'Bracket entry filled' });
+        }
+        for (const leg of legs) {
+          await this.attemptOrderExecution(leg.id);
+        }
+      }
+      return;
+    }
+
+    if (order.parentOrderId) {
+      const sibling = memoryStore.getChildOrders(order.parentOrderId)
+        .find(leg => leg.id !== order.id && OPEN_ORDER_STATUSES.includes(leg.status));
+
+      if (!sibling) {
+        return;
+      }
+
+      if (order.remainingQuantity === 0) {
+        this.closeRemainingQuantity(sibling.id, ORDER_STATUSES.CANCELLED, {
+          reason: `${order.legType} leg filled (one-cancels-other)`
+        });
+        console.log(`🔗 ${sibling.legType} leg ${sibling.id} cancelled after ${order.legType} leg filled`);
+      } else if (sibling.remainingQuantity > order.remainingQuantity) {
+        memoryStore.updateOrder(sibling.id, { remainingQuantity: order.remainingQuantity });
+      }
+    }
+  }
+
+  /**
+   * Attempt to execute an order
+   * The order first trades with other users' orders in the book; whatever is left
+   * trades against the simulated market price when the liquidity provider is enabled.
+   * Unfilled limit quantity rests in the book. Creates one trade per fill
+   * @param {string} orderId - Order ID
+   * @returns {Object|null} Filled order or null if nothing was filled
+   */
+  async attemptOrderExecution(orderId) {
+    try {
+      const order = memoryStore.getOrderById(orderId);
+      
+      // Algo parents never trade themselves; their child orders do
+      if (!order || !OPEN_ORDER_STATUSES.includes(order.status) || order.algo) {
+        return null;
+      }
+
+      // Nothing trades outside the normal session; working orders are picked up again at the open
+      if (!isMarketOpen()) {
+        return null;
+      }
+
+      const currentPrice = instrumentService.getCurrentPrice(order.symbol);
+
+      // Stop orders stay dormant until the market crosses their trigger price
+      if (isStopOrder(order) && !order.triggeredAt) {
+        if (!isStopTriggered(order, currentPrice)) {
+          orderBookService.addStopOrder(order);
+          return null; // Order remains dormant
+        }
+
+        orderBookService.removeOrder(order);
+        memoryStore.updateOrder(orderId, { triggeredAt: new Date() });
+        console.log(`🔔 ${order.orderStyle} order ${orderId} triggered at ₹${currentPrice} (trigger ₹${order.triggerPrice})`);
+      }
+
+      const isMarketOrder = getEffectiveOrderStyle(order) === ORDER_STYLES.MARKET;
+
+      let filled = await this.matchOrder(order, isMarketOrder);
+
+      if (config.trading.liquidityProvider && OPEN_ORDER_STATUSES.includes(order.status)) {
+        filled = await this.fillFromLiquidityProvider(order, isMarketOrder) || filled;
+      }
+
+      // A filled iceberg slice is replaced by the next one at the back of the queue
+      if (this.releaseNextSlice(order) && orderBookService.isResting(order)) {
+        orderBookService.addOrder(order);
+      }
+
+      if (OPEN_ORDER_STATUSES.includes(order.status)) {
+        if (isMarketOrder && !config.trading.liquidityProvider) {
+          // No one left to trade with at any price
+          this.closeRemainingQuantity(orderId, ORDER_STATUSES.CANCELLED, { reason: 'No matching orders' });
+          console.log(`⏹️ Market order ${orderId} cancelled ${order.cancelledQuantity} shares with no matching orders`);
+        } else if (isMarketOrder) {
+          // The liquidity provider fills the rest on later price changes
+          orderBookService.addMarketOrder(order);
+        } else if (!isMarketOrder && order.validity !== ORDER_VALIDITIES.IOC && !orderBookService.isResting(order)) {
+          orderBookService.addOrder(order);
+        }
+      } else {
+        orderBookService.removeOrder(order);
+      }
+
+      this.enforceImmediateOrCancel(orderId);
+
+      // Activate or cancel linked bracket legs
+      if (filled || order.legType === ORDER_LEG_TYPES.ENTRY) {
+        await this.syncOrderGroup(order);
+      }
+      
+      return filled ? order : null; // Order remains open unless it is IOC
+    } catch (error) {
+      console.error(`❌ Failed to execute order ${orderId}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Match an order against other users' resting orders in its symbol's book
+   * Trades happen at the resting order's price, best price first and oldest first within a price
+   * @param {Object} order - Incoming order
+   * @param {boolean} isMarketOrder - True if the order accepts any price
+   * @returns {boolean} True if anything was filled
+   */
+  async matchOrder(order, isMarketOrder) {
+    let filled = false;
+
+    while (OPEN_ORDER_STATUSES.includes(order.status)) {
+      const resting = orderBookService.findMatch(order, isMarketOrder);
+
+      if (!resting) {
+        break;
+      }
+
+      const fillQuantity = Math.min(this.getTradableQuantity(order), this.getTradableQuantity(resting));
+      const executionPrice = resting.price;
+
+      // Both sides of the match are applied in one transaction
+      let failedOrderId = order.id;
+      let filledResting;
+      memoryStore.beginTransaction();
+      try {
+        this.applyFill(order, fillQuantity, executionPrice, { counterpartyOrderId: resting.id });
+        failedOrderId = resting.id;
+        filledResting = this.applyFill(resting, fillQuantity, executionPrice, { counterpartyOrderId: order.id });
+        memoryStore.commitTransaction();
+      } catch (error) {
+        memoryStore.rollbackTransaction();
+        // A rejected resting order leaves the book and matching moves on to the next one
+        await this.rejectOrder(failedOrderId, error.message);
+        continue;
+      }
+
+      filled = true;
+
+      // The matched price becomes the last traded price
+      instrumentService.updatePrice(order.symbol, executionPrice);
+
+      if (!OPEN_ORDER_STATUSES.includes(filledResting.status)) {
+        orderBookService.removeOrder(filledResting);
+      } else if (this.releaseNextSlice(filledResting)) {
+        orderBookService.addOrder(filledResting);
+      }
+      await this.syncOrderGroup(filledResting);
+
+      // An incoming iceberg keeps matching with its next slice
+      this.releaseNextSlice(order);
+    }
+
+    return filled;
+  }
+
+  /**
+   * Get how much of an order can trade right now
+   * An iceberg order only trades what is left of its current slice
+   * @param {Object} order - Open order
+   * @returns {number} Tradable quantity
+   */
+  getTradableQuantity(order) {
+    if (!order.disclosedQuantity) {
+      return order.remainingQuantity;
+    }
+    return Math.min(order.visibleQuantity, order.remainingQuantity);
+  }
+
+  /**
+   * Release the next slice of an iceberg order once its current slice has filled
+   * @param {Object} order - Order
+   * @returns {boolean} True if a new slice was released
+   */
+  releaseNextSlice(order) {
+    if (!order.disclosedQuantity || order.visibleQuantity > 0 || !OPEN_ORDER_STATUSES.includes(order.status)) {
+      return false;
+    }
+
+    memoryStore.updateOrder(order.id, {
+      visibleQuantity: Math.min(order.disclosedQuantity, order.remainingQuantity),
+      sliceNumber: order.sliceNumber + 1
+    });
+
+    console.log(`🧊 Iceberg order ${order.id} released slice ${order.sliceNumber} (${order.visibleQuantity} of ${order.remainingQuantity} remaining shares)`);
+    return true;
+  }
+
+  /**
+   * Summarize how an order's quantity is split up
+   * @param {Object} order - Order
+   * @returns {Object} Total, disclosed, visible, filled, remaining and cancelled quantities
+   */
+  getQuantityBreakdown(order) {
+    return {
+      total: order.quantity,
+      // Orders without a disclosed quantity show all of it
+      disclosed: order.disclosedQuantity || order.quantity,
+      visible: this.getTradableQuantity(order),
+      filled: order.executedQuantity || 0,
+      remaining: order.remainingQuantity,
+      cancelled: order.cancelledQuantity || 0,
+      ...(order.disclosedQuantity && { currentSlice: order.sliceNumber })
+    };
+  }
+
+  /**
+   * Fill an order against the simulated market price (liquidity provider)
+   * Fills as much of the remaining quantity as the simulated liquidity allows
+   * @param {Object} order - Order to fill
+   * @param {boolean} isMarketOrder - True if the order accepts any price
+   * @returns {boolean} True if a fill was made
+   */
+  async fillFromLiquidityProvider(order, isMarketOrder) {
+    const currentPrice = instrumentService.getCurrentPrice(order.symbol);
+
+    // Limit orders only fill once the market price reaches their limit
+    if (!isMarketOrder && !canExecuteLimitOrder(order, currentPrice)) {
+      return false;
+    }
+
+    // Calculate fill size and execution price
+    const fillQuantity = Math.min(this.getTradableQuantity(order), config.trading.maxFillQuantity);
+    const executionPrice = calculateExecutionPrice(order, currentPrice);
+
+    // Apply the fill atomically: trade, cash, order and portfolio all change or none do
+    memoryStore.beginTransaction();
+    try {
+      this.applyFill(order, fillQuantity, executionPrice);
+      memoryStore.commitTransaction();
+    } catch (error) {
+      memoryStore.rollbackTransaction();
+      await this.rejectOrder(order.id, error.message);
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Record one fill of an order: trade, cash settlement, order progress and portfolio
+   * Runs synchronously inside a memory store transaction so a failure can be rolled back
+   * @param {Object} order - Order being filled
+   * @param {number} fillQuantity - Quantity filled
+   * @param {number} executionPrice - Fill price
+   * @param {Object} tradeDetails - Extra trade fields, e.g. counterpartyOrderId for book matches
+   * @returns {Object} Updated order
+   */
+  applyFill(order, fillQuantity, executionPrice, tradeDetails = {}) {
+    // Volume-weighted average price across all fills
+    const previousQuantity = order.executedQuantity || 0;
+    const executedQuantity = previousQuantity + fillQuantity;
+    const executedPrice = Math.round(
+      ((previousQuantity * (order.executedPrice || 0)) + (fillQuantity * executionPrice)) / executedQuantity * 100
+    ) / 100;
+    const remainingQuantity = order.remainingQuantity - fillQuantity;
+
+    // Check holdings before anything is written; a SELL realizes P&L against the average buy price,
+    // and an intraday fill that reduces the MIS position against the position's average price
+    // (the trade takes its charges off)
+    let realizedPnl;
+    if (order.product === PRODUCT_TYPES.MIS) {
+      realizedPnl = positionService.calculateRealizedPnl(order.userId, order.symbol, fillQuantity, executionPrice, order.orderType);
+    } else if (order.orderType === 'SELL') {
+      portfolioService.ensureHoldingQuantity(order.userId, order.symbol, fillQuantity);
+      const { averagePrice } = portfolioService.getHoldingBySymbol(order.userId, order.symbol);
+      realizedPnl = Math.round((executionPrice - averagePrice) * fillQuantity * 100) / 100;
+    }
+
+    // Create trade record for this fill
+    const tradeData = {
+      userId: order.userId,
+      orderId: order.id,
+      symbol: order.symbol,
+      orderType: order.orderType,
+      product: order.product,
+      quantity: fillQuantity,
+      price: executionPrice,
+      ...(realizedPnl !== undefined && { realizedPnl }),
+      ...(order.disclosedQuantity && { sliceNumber: order.sliceNumber }),
+      ...tradeDetails
+    };
+
+    const trade = tradeService.createTrade(tradeData);
+
+    // Settle cash: release this fill's share of the blocked funds, then debit or credit the trade
+    if (order.blockedAmount) {
+      this.releaseOrderFunds(order.id, Math.round(order.blockedAmount * fillQuantity / order.remainingQuantity * 100) / 100);
+    }
+    fundsService.settleTrade(trade);
+
+    // Update order with the fill
+    const filledOrder = orderStateMachine.transition(
+      order.id,
+      remainingQuantity === 0 ? ORDER_STATUSES.EXECUTED : ORDER_STATUSES.PARTIALLY_FILLED,
+      {
+        reason: `Filled ${fillQuantity} @ ₹${executionPrice}`,
+        executedPrice,
+        executedQuantity,
+        remainingQuantity
+      }
+    );
+
+    if (order.disclosedQuantity) {
+      memoryStore.updateOrder(order.id, { visibleQuantity: order.visibleQuantity - fillQuantity });
+    }
+
+    // Update holdings, or the positions book and its margin for intraday fills
+    const book = order.product === PRODUCT_TYPES.MIS ? positionService : portfolioService;
+    book.applyTrade(
+      order.userId,
+      order.symbol,
+      fillQuantity,
+      executionPrice,
+      order.orderType,
+      trade.charges.total
+    );
+
+    if (order.product === PRODUCT_TYPES.MIS) {
+      marginService.syncPositionMargin(order.userId, order.symbol);
+    }
+
+    console.log(`✅ Order ${order.id} filled ${fillQuantity} shares of ${order.symbol} at ₹${executionPrice} (${executedQuantity}/${order.quantity})`);
+
+    if (order.algoOrderId) {
+      this.applyAlgoChildFill(order, fillQuantity, executionPrice);
+    }
+
+    return filledOrder;
+  }
+
+  /**
+   * Roll a child order's fill up into its algo parent
+   * The parent's executed quantity and average price track its children; it completes when nothing is left
+   * @param {Object} child - Child order that was filled
+   * @param {number} fillQuantity - Quantity filled
+   * @param {number} executionPrice - Fill price
+   * @returns {Object} Updated parent order
+   */
+  applyAlgoChildFill(child, fillQuantity, executionPrice) {
+    const parent = memoryStore.getOrderById(child.algoOrderId);
+    const executedQuantity = parent.executedQuantity + fillQuantity;
+    const executionData = {
+      executedPrice: Math.round(
+        ((parent.executedQuantity * (parent.executedPrice || 0)) + (fillQuantity * executionPrice)) / executedQuantity * 100
+      ) / 100,
+      executedQuantity
+    };
+
+    // The parent may have been closed while the child was working; the fill still counts
+    if (!OPEN_ORDER_STATUSES.includes(parent.status)) {
+      return memoryStore.updateOrder(parent.id, executionData);
+    }
+
+    const remainingQuantity = parent.remainingQuantity - fillQuantity;
+
+    if (remainingQuantity === 0) {
+      memoryStore.updateOrder(parent.id, {
+        algo: { ...parent.algo, status: ALGO_STATUSES.COMPLETED, endedAt: new Date() }
+      });
+    }
+
+    return orderStateMachine.transition(
+      parent.id,
+      remainingQuantity === 0 ? ORDER_STATUSES.EXECUTED : ORDER_STATUSES.PARTIALLY_FILLED,
+      {
+        reason: `Child order ${child.id} filled ${fillQuantity} @ ₹${executionPrice}`,
+        ...executionData,
+        remainingQuantity
+      }
+    );
+  }
+
+  /**
+   * Reject an order that could not be executed, withdrawing its unfilled quantity
+   * @param {string} orderId - Order ID
+   * @param {string} reason - Why the order was rejected
+   * @returns {Object} Rejected order
+   */
+  async rejectOrder(orderId, reason) {
+    const order = this.closeRemainingQuantity(orderId, ORDER_STATUSES.REJECTED, { reason });
+    memoryStore.updateOrder(orderId, {
+      rejectionReason: reason,
+      rejectedAt: new Date()
+    });
+
+    console.error(`❌ Order ${orderId} rejected: ${reason}`);
+
+    if (order.legType === ORDER_LEG_TYPES.ENTRY) {
+      await this.syncOrderGroup(order);
+    }
+
+    return order;
+  }
+
+  /**
+   * Get the quantity of a symbol already promised to a user's open (or queued after-market) SELL orders
+   * @param {string} userId - User ID
+   * @param {string} symbol - Instrument symbol
+   * @param {string} product - Book the sells draw on: CNC holdings or the MIS position (default CNC)
+   * @param {string} excludeOrderId - Order to leave out, e.g. one being amended (optional)
+   * @returns {number} Committed quantity
+   */
+  getCommittedSellQuantity(userId, symbol, product = PRODUCT_TYPES.CNC, excludeOrderId = null) {
+    return this.getCommittedQuantity(userId, symbol, 'SELL', product, excludeOrderId);
+  }
+
+  /**
+   * Get the unfilled quantity of a user's open (or queued after-market or held) orders on one side of a symbol
+   * The two exit legs of a bracket are one-cancels-other, so each group counts once. Algo parents are left
+   * out: they commit nothing themselves, and each child order is checked as it is placed
+   * @param {string} userId - User ID
+   * @param {string} symbol - Instrument symbol
+   * @param {string} orderType - BUY or SELL
+   * @param {string} product - CNC or MIS
+   * @param {string} excludeOrderId - Order to leave out, e.g. one being amended (optional)
+   * @returns {number} Committed quantity
+   */
+  getCommittedQuantity(userId, symbol, orderType, product, excludeOrderId = null) {
+    const countedGroups = new Set();
+
+    return memoryStore.getAllOrders(userId)
+      .filter(order =>
+        order.symbol === symbol &&
+        order.orderType === orderType &&
+        order.product === product &&
+        order.id !== excludeOrderId &&
+        !order.algo &&
+        (OPEN_ORDER_STATUSES.includes(order.status) || (order.status === ORDER_STATUSES.NEW && !order.parentOrderId))
+      )
+      .reduce((sum, order) => {
+        if (order.parentOrderId) {
+          if (countedGroups.has(order.parentOrderId)) {
+            return sum;
+          }
+          countedGroups.add(order.parentOrderId);
+        }
+        return sum + order.remainingQuantity;
+      }, 0);
+  }
+
+  /**
+   * Cancel the unfilled part of an IOC order once it has had its execution attempt
+   * @param {string} orderId - Order ID
+   */
+  enforceImmediateOrCancel(orderId) {
+    const order = memoryStore.getOrderById(orderId);
+
+    if (order.validity === ORDER_VALIDITIES.IOC && OPEN_ORDER_STATUSES.includes(order.status)) {
+      this.closeRemainingQuantity(orderId, ORDER_STATUSES.CANCELLED, { reason: 'Unfilled IOC quantity' });
+      console.log(`⏹️ IOC order ${orderId} cancelled ${order.cancelledQuantity} unfilled shares`);
+    }
+  }
+
+  /**
+   * Expire orders whose validity has run out (run periodically by the scheduler)
+   * @param {Date} now - Current time (default now)
+   * @returns {Array} Array of expired orders
+   */
+  async expireOrders(now = new Date()) {
+    try {
+      const workingStatuses = [ORDER_STATUSES.NEW, ...OPEN_ORDER_STATUSES];
+      const dueOrders = Array.from(memoryStore.orders.values()).filter(order =>
+        workingStatuses.includes(order.status) && order.expiresAt && new Date(order.expiresAt) <= now
+      );
+
+      const expiredOrders = [];
+
+      for (const order of dueOrders) {
+        // A leg may already have been closed by its expiring entry
+        if (!workingStatuses.includes(order.status)) {
+          continue;
+        }
+
+        const expiredOrder = this.closeRemainingQuantity(order.id, ORDER_STATUSES.EXPIRED, {
+          reason: `${order.validity} validity ended`
+        });
+        if (order.legType === ORDER_LEG_TYPES.ENTRY) {
+          await this.syncOrderGroup(expiredOrder);
+        }
+        expiredOrders.push(expiredOrder);
+      }
+
+      if (expiredOrders.length > 0) {
+        console.log(`⌛ Expired ${expiredOrders.length} orders`);
+      }
+
+      return expiredOrders;
+    } catch (error) {
+      console.error('Error expiring orders:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Square off open intraday (MIS) positions once the cut-off time has passed (run periodically by the scheduler)
+   * Working MIS orders in the symbol are cancelled first, then the position is closed with a MARKET order.
+   * Positions whose square-off order is still working are left alone; a square-off that could not be placed
+   * is tried again on the next run.
+   * @param {Date} now - Current time (default now)
+   * @returns {Array} Square-off orders placed
+   */
+  async squareOffIntradayPositions(now = new Date()) {
+    if (!isMarketOpen(now) || !isPastSquareOffTime(now)) {
+      return [];
+    }
+
+    const squareOffOrders = [];
+
+    for (const position of positionService.getOpenPositions()) {
+      const order = await this.squareOffPosition(position, 'Intraday square-off');
+      if (order) {
+        squareOffOrders.push(order);
+      }
+    }
+
+    return squareOffOrders;
+  }
+
+  /**
+   * Enforce margin calls on intraday positions (run periodically by the scheduler)
+   * A user whose available margin falls below zero gets a margin call as a warning. If it is still short
+   * after margin.liquidationGraceMs, every open MIS position of the user is squared off. The call is
+   * resolved once margin is back at zero or above, or no intraday position is left.
+   * @param {Date} now - Current time (default now)
+   * @returns {Array} Liquidation orders placed
+   */
+  async enforceMarginCalls(now = new Date()) {
+    if (!isMarketOpen(now)) {
+      return [];
+    }
+
+    const openPositions = positionService.getOpenPositions();
+    const userIds = new Set([
+      ...openPositions.map(position => position.userId),
+      ...marginService.getOpenMarginCalls().map(marginCall => marginCall.userId)
+    ]);
+    const liquidationOrders = [];
+
+    for (const userId of userIds) {
+      const positions = openPositions.filter(position => position.userId === userId);
+      const availableMargin = fundsService.getAvailableBalance(userId);
+      const marginCall = marginService.getOpenMarginCall(userId);
+
+      if (availableMargin >= 0 || positions.length === 0) {
+        if (marginCall) {
+          marginService.resolveMarginCall(userId, now);
+        }
+        continue;
+      }
+
+      if (!marginCall) {
+        marginService.raiseMarginCall(userId, -availableMargin, now);
+        continue;
+      }
+
+      if (now < new Date(marginCall.liquidateAt)) {
+        continue;
+      }
+
+      const orders = [];
+      for (const position of positions) {
+        const order = await this.squareOffPosition(position, 'Margin call liquidation');
+        if (order) {
+          orders.push(order);
+        }
+      }
+
+      marginService.recordLiquidation(userId, orders, -availableMargin, now);
+      liquidationOrders.push(...orders);
+    }
+
+    return liquidationOrders;
+  }
+
+  /**
+   * Close an open intraday position with a MARKET order
+   * Working MIS orders in the symbol are cancelled first. Nothing is placed while an earlier square-off
+   * order for the position is still working; a square-off that could not be placed is logged, so the
+   * next scheduled run can try again.
+   * @param {Object} position - Open position
+   * @param {string} reason - Why the position is closed, recorded on the cancelled orders
+   * @returns {Object|null} Square-off order, or null if none was placed
+   */
+  async squareOffPosition(position, reason) {
+    const { userId, symbol } = position;
+
+    try {
+      const workingOrders = riskService.getWorkingOrders(userId).filter(order =>
+        order.symbol === symbol &&
+        order.product === PRODUCT_TYPES.MIS &&
+        !this.isQueuedAfterMarketOrder(order)
+      );
+
+      if (workingOrders.some(order => order.squareOff)) {
+        return null;
+      }
+
+      for (const order of workingOrders) {
+        if (OPEN_ORDER_STATUSES.includes(memoryStore.getOrderById(order.id).status)) {
+          await this.cancelOrder(order.id, userId, reason, ORDER_ACTORS.SYSTEM);
+        }
+      }
+
+      const quantity = positionService.getPositionQuantity(userId, symbol);
+      const order = await this.placeOrder({
+        userId,
+        symbol,
+        orderType: quantity > 0 ? 'SELL' : 'BUY',
+        orderStyle: ORDER_STYLES.MARKET,
+        product: PRODUCT_TYPES.MIS,
+        quantity: Math.abs(quantity),
+        squareOff: true
+      });
+
+      console.log(`🔚 Squared off ${quantity} ${symbol} (MIS) for ${userId} (${reason.toLowerCase()}): order ${order.id} ${order.status}`);
+
+      return order;
+    } catch (error) {
+      console.error(`❌ Square-off of ${symbol} (MIS) for ${userId} failed: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Get order statistics for a user
+   * @param {string} userId - User ID
+   * @returns {Object} Order statistics
+   */
+  getOrderStats(userId) {
+    try {
+      const orders = memoryStore.getAllOrders(userId);
 
       const stats = {
         totalOrders: orders.length,
         executedOrders: orders.filter(order => order.status === ORDER_STATUSES.EXECUTED).length,
         pendingOrders: orders.filter(order => order.status === ORDER_STATUSES.PLACED).length,
+        partiallyFilledOrders: orders.filter(order => order.status === ORDER_STATUSES.PARTIALLY_FILLED).length,
         cancelledOrders: orders.filter(order => order.status === ORDER_STATUSES.CANCELLED).length,
+        expiredOrders: orders.filter(order => order.status === ORDER_STATUSES.EXPIRED).length,
+        rejectedOrders: orders.filter(order => order.status === ORDER_STATUSES.REJECTED).length,
         buyOrders: orders.filter(order => order.orderType === 'BUY').length,
         sellOrders: orders.filter(order => order.orderType === 'SELL').length,
         marketOrders: orders.filter(order => order.orderStyle === ORDER_STYLES.MARKET).length,
-        limitOrders: orders.filter(order => order.orderStyle === ORDER_STYLES.LIMIT).length
+        limitOrders: orders.filter(order => order.orderStyle === ORDER_STYLES.LIMIT).length,
+        stopLossOrders: orders.filter(order => order.orderStyle === ORDER_STYLES.SL).length,
+        stopLossMarketOrders: orders.filter(order => order.orderStyle === ORDER_STYLES.SL_M).length,
+        trailingStopOrders: orders.filter(order => order.orderStyle === ORDER_STYLES.TRAILING_STOP).length,
+        icebergOrders: orders.filter(order => order.disclosedQuantity).length,
+        triggeredStopOrders: orders.filter(order => isStopOrder(order) && order.triggeredAt).length,
+        dormantStopOrders: orders.filter(order =>
+          isStopOrder(order) && !order.triggeredAt && order.status === ORDER_STATUSES.PLACED
+        ).length
       };
 
       // Calculate success rate
@@ -250,21 +1778,128 @@ class OrderService {
   }
 
   /**
-   * Process pending limit orders (background task simulation)
+   * Queue a symbol for evaluation after its price changed
+   * Checks run in the background once the current request has finished, one symbol at a time
+   * @param {string} symbol - Instrument symbol
+   */
+  scheduleTriggerCheck(symbol) {
+    this.pendingTriggerSymbols.add(symbol);
+
+    if (this.triggerCheckScheduled) {
+      return;
+    }
+
+    this.triggerCheckScheduled = true;
+    setImmediate(() => this.runTriggerChecks());
+  }
+
+  /**
+   * Drop the symbols queued for evaluation
+   * A run that is already scheduled stays scheduled and picks up whatever is queued after this
+   */
+  reset() {
+    this.pendingTriggerSymbols.clear();
+  }
+
+  /**
+   * Evaluate every queued symbol, including ones queued by fills made along the way
+   */
+  async runTriggerChecks() {
+    try {
+      while (this.pendingTriggerSymbols.size > 0) {
+        const [symbol] = this.pendingTriggerSymbols;
+        this.pendingTriggerSymbols.delete(symbol);
+        await this.processPendingOrdersForSymbol(symbol);
+      }
+    } catch (error) {
+      console.error('Error running price triggers:', error);
+    } finally {
+      this.triggerCheckScheduled = false;
+    }
+  }
+
+  /**
+   * Execute the pending orders of one symbol that the current price has reached
+   * Only stop orders whose trigger was crossed and limit orders whose limit was crossed
+   * are looked at, using the symbol's price-sorted indexes
+   * @param {string} symbol - Instrument symbol
+   * @returns {Array} Array of executed orders
+   */
+  async processPendingOrdersForSymbol(symbol) {
+    if (!isMarketOpen()) {
+      return [];
+    }
+
+    const currentPrice = instrumentService.getCurrentPrice(symbol);
+
+    // Trailing stops follow the move before anything is checked against their triggers
+    this.updateTrailingStops(symbol, currentPrice);
+
+    const orderIds = orderBookService.getCrossedOrderIds(symbol, currentPrice, config.trading.liquidityProvider);
+
+    const executedOrders = [];
+
+    for (const orderId of orderIds) {
+      const executedOrder = await this.attemptOrderExecution(orderId);
+      if (executedOrder) {
+        executedOrders.push(executedOrder);
+      }
+    }
+
+    return executedOrders;
+  }
+
+  /**
+   * Move the triggers of a symbol's dormant trailing stops after a favourable price move
+   * SELL stops ratchet up as the price makes new highs, BUY stops down as it makes new lows;
+   * they never move back, so a reversal through the trigger fires the order
+   * @param {string} symbol - Instrument symbol
+   * @param {number} currentPrice - New market price
+   * @returns {Array} Orders whose trigger moved
+   */
+  updateTrailingStops(symbol, currentPrice) {
+    const movedOrders = [];
+
+    for (const order of orderBookService.getTrailingStops(symbol)) {
+      const isBuy = order.orderType === 'BUY';
+      const isNewExtreme = isBuy ? currentPrice < order.trailingAnchorPrice : currentPrice > order.trailingAnchorPrice;
+
+      if (!isNewExtreme) {
+        continue;
+      }
+
+      const triggerPrice = calculateTrailingTriggerPrice(order, currentPrice);
+      const triggerMoved = isBuy ? triggerPrice < order.triggerPrice : triggerPrice > order.triggerPrice;
+
+      memoryStore.updateOrder(order.id, {
+        trailingAnchorPrice: currentPrice,
+        ...(triggerMoved && {
+          triggerPrice,
+          triggerHistory: [...order.triggerHistory, { triggerPrice, marketPrice: currentPrice, movedAt: new Date() }]
+        })
+      });
+
+      if (triggerMoved) {
+        orderBookService.addStopOrder(order);
+        movedOrders.push(order);
+        console.log(`🪜 Trailing stop ${order.id} trigger moved to ₹${triggerPrice} (market ₹${currentPrice})`);
+      }
+    }
+
+    return movedOrders;
+  }
+
+  /**
+   * Process pending and partially filled orders for every instrument
+   * Normally not needed, as price changes trigger the affected orders on their own
    * @returns {Array} Array of executed orders
    */
   async processPendingOrders() {
     try {
-      const allOrders = Array.from(memoryStore.orders.values());
-      const pendingOrders = allOrders.filter(order => order.status === ORDER_STATUSES.PLACED);
-      
       const executedOrders = [];
 
-      for (const order of pendingOrders) {
-        const executedOrder = await this.attemptOrderExecution(order.id);
-        if (executedOrder) {
-          executedOrders.push(executedOrder);
-        }
+      for (const instrument of memoryStore.getAllInstruments()) {
+        executedOrders.push(...await this.processPendingOrdersForSymbol(instrument.symbol));
       }
 
       return executedOrders;
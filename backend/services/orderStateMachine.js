@@ -0,0 +1,88 @@
+const memoryStore = require('../database/memoryStore');
+const { AppError } = require('../middleware/errorHandler');
+const { HTTP_STATUS, ORDER_STATUSES, ORDER_STATUS_TRANSITIONS, ORDER_ACTORS } = require('../utils/constants');
+
+class OrderStateMachine {
+  /**
+   * Check whether an order may move from one status to another
+   * @param {string} fromStatus - Current status
+   * @param {string} toStatus - Requested status
+   * @returns {boolean} True if the transition is allowed
+   */
+  canTransition(fromStatus, toStatus) {
+    return (ORDER_STATUS_TRANSITIONS[fromStatus] || []).includes(toStatus);
+  }
+
+  /**
+   * Reject a status change the state machine does not allow
+   * @param {Object} order - Order
+   * @param {string} toStatus - Requested status
+   */
+  ensureCanTransition(order, toStatus) {
+    if (!this.canTransition(order.status, toStatus)) {
+      throw new AppError(
+        `Invalid order status transition from ${order.status} to ${toStatus} for order ${order.id}`,
+        HTTP_STATUS.CONFLICT
+      );
+    }
+  }
+
+  /**
+   * Record the creation of an order as the first entry of its timeline
+   * @param {Object} order - Order just created in NEW status
+   * @param {string} actor - Who created the order
+   * @param {string} reason - Why the order was created
+   * @returns {Object} Recorded transition
+   */
+  recordCreation(order, actor, reason = 'Order created') {
+    return memoryStore.addOrderTransition(order.id, {
+      from: null,
+      to: ORDER_STATUSES.NEW,
+      actor,
+      reason,
+      at: order.createdAt
+    });
+  }
+
+  /**
+   * Move an order to a new status and record the transition
+   * @param {string} orderId - Order ID
+   * @param {string} toStatus - New status
+   * @param {Object} details - { actor, reason } plus execution data for the status update
+   * @returns {Object} Updated order
+   */
+  transition(orderId, toStatus, details = {}) {
+    const { actor = ORDER_ACTORS.SYSTEM, reason = null, ...executionData } = details;
+    const order = memoryStore.getOrderById(orderId);
+
+    if (!order) {
+      throw new AppError('Order not found', HTTP_STATUS.NOT_FOUND);
+    }
+
+    this.ensureCanTransition(order, toStatus);
+
+    const fromStatus = order.status;
+    const updatedOrder = memoryStore.updateOrderStatus(orderId, toStatus, executionData);
+
+    memoryStore.addOrderTransition(orderId, {
+      from: fromStatus,
+      to: toStatus,
+      actor,
+      reason,
+      at: updatedOrder.updatedAt
+    });
+
+    return updatedOrder;
+  }
+
+  /**
+   * Get the status transitions of an order
+   * @param {string} orderId - Order ID
+   * @returns {Array} Transitions (oldest first)
+   */
+  getTimeline(orderId) {
+    return memoryStore.getOrderTransitions(orderId);
+  }
+}
+
+module.exports = new OrderStateMachine();
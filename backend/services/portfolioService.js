@@ -2,6 +2,7 @@ const memoryStore = require('../database/memoryStore');
 const instrumentService = require('./instrumentService');
 const { AppError } = require('../middleware/errorHandler');
 const { formatCurrency, formatPercentage, calculatePortfolioMetrics } = require('../utils/helpers');
+const { cosmeticRandom } = require('../utils/random');
 const { HTTP_STATUS } = require('../utils/constants');
 
 class PortfolioService {
@@ -95,9 +96,25 @@ class PortfolioService {
    * @param {number} quantity - Trade quantity
    * @param {number} price - Trade price
    * @param {string} orderType - BUY or SELL
+   * @param {number} charges - Trade charges (default 0)
    * @returns {Object} Updated holding
    */
-  async updatePortfolioAfterTrade(userId, symbol, quantity, price, orderType) {
+  async updatePortfolioAfterTrade(userId, symbol, quantity, price, orderType, charges = 0) {
+    return this.applyTrade(userId, symbol, quantity, price, orderType, charges);
+  }
+
+  /**
+   * Apply a trade to the portfolio synchronously
+   * Used inside order execution so the update can be rolled back with the rest of the fill
+   * @param {string} userId - User ID
+   * @param {string} symbol - Instrument symbol
+   * @param {number} quantity - Trade quantity
+   * @param {number} price - Trade price
+   * @param {string} orderType - BUY or SELL
+   * @param {number} charges - Trade charges; on a BUY they are added to the cost of the holding (default 0)
+   * @returns {Object} Updated holding
+   */
+  applyTrade(userId, symbol, quantity, price, orderType, charges = 0) {
     try {
       // Validate instrument
       if (!instrumentService.validateInstrument(symbol)) {
@@ -106,17 +123,11 @@ class PortfolioService {
 
       // For SELL orders, check if user has enough quantity
       if (orderType === 'SELL') {
-        const currentHolding = this.getHoldingBySymbol(userId, symbol);
-        if (!currentHolding || currentHolding.quantity < quantity) {
-          throw new AppError(
-            `Insufficient quantity. Available: ${currentHolding ? currentHolding.quantity : 0}, Required: ${quantity}`,
-            HTTP_STATUS.BAD_REQUEST
-          );
-        }
+        this.ensureHoldingQuantity(userId, symbol, quantity);
       }
 
       // Update portfolio in memory store
-      const updatedHolding = memoryStore.updatePortfolio(userId, symbol, quantity, price, orderType);
+      const updatedHolding = memoryStore.updatePortfolio(userId, symbol, quantity, price, orderType, charges);
       
       console.log(`📊 Portfolio updated: ${orderType} ${quantity} shares of ${symbol} at ₹${price}`);
       
@@ -129,6 +140,25 @@ class PortfolioService {
     }
   }
 
+  /**
+   * Check that a user holds enough shares to sell
+   * @param {string} userId - User ID
+   * @param {string} symbol - Instrument symbol
+   * @param {number} quantity - Quantity to sell
+   * @param {number} committedQuantity - Quantity already promised to other open SELL orders
+   */
+  ensureHoldingQuantity(userId, symbol, quantity, committedQuantity = 0) {
+    const currentHolding = this.getHoldingBySymbol(userId, symbol);
+    const availableQuantity = (currentHolding ? currentHolding.quantity : 0) - committedQuantity;
+
+    if (availableQuantity < quantity) {
+      throw new AppError(
+        `Insufficient quantity. Available: ${Math.max(0, availableQuantity)}, Required: ${quantity}`,
+        HTTP_STATUS.BAD_REQUEST
+      );
+    }
+  }
+
   /**
    * Get portfolio performance analytics
    * @param {string} userId - User ID
@@ -287,7 +317,7 @@ class PortfolioService {
         date.setDate(date.getDate() - i);
         
         // Add random variation for simulation
-        const variation = (Math.random() - 0.5) * 0.1; // ±5% variation
+        const variation = (cosmeticRandom() - 0.5) * 0.1; // ±5% variation
         const simulatedValue = currentValue * (1 + variation);
         
         history.push({
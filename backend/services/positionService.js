@@ -0,0 +1,204 @@
+const memoryStore = require('../database/memoryStore');
+const instrumentService = require('./instrumentService');
+const { AppError } = require('../middleware/errorHandler');
+const { formatCurrency } = require('../utils/helpers');
+const { HTTP_STATUS, PRODUCT_TYPES } = require('../utils/constants');
+
+class PositionService {
+  /**
+   * Get the net intraday quantity of a user in a symbol
+   * @param {string} userId - User ID
+   * @param {string} symbol - Instrument symbol
+   * @returns {number} Net quantity (negative when short, 0 when flat or never traded)
+   */
+  getPositionQuantity(userId, symbol) {
+    const position = memoryStore.getPosition(userId, symbol);
+    return position ? position.quantity : 0;
+  }
+
+  /**
+   * Get the P&L a fill would realize by closing part of the intraday position
+   * @param {string} userId - User ID
+   * @param {string} symbol - Instrument symbol
+   * @param {number} quantity - Fill quantity
+   * @param {number} price - Fill price
+   * @param {string} orderType - BUY or SELL
+   * @returns {number|undefined} Realized P&L, or undefined if the fill only opens or adds to the position
+   */
+  calculateRealizedPnl(userId, symbol, quantity, price, orderType) {
+    return this.calculateClosingPnl(memoryStore.getPosition(userId, symbol), quantity, price, orderType);
+  }
+
+  /**
+   * Get the P&L a fill would realize against a position
+   * @param {Object|null} position - Position record (null when never traded)
+   * @param {number} quantity - Fill quantity
+   * @param {number} price - Fill price
+   * @param {string} orderType - BUY or SELL
+   * @returns {number|undefined} Realized P&L, or undefined if the fill only opens or adds to the position
+   */
+  calculateClosingPnl(position, quantity, price, orderType) {
+    const direction = orderType === 'BUY' ? 1 : -1;
+
+    if (!position || position.quantity === 0 || Math.sign(position.quantity) === direction) {
+      return undefined;
+    }
+
+    // A SELL closes longs and a BUY covers shorts, at most down to a flat position
+    const closingQuantity = Math.min(quantity, Math.abs(position.quantity));
+    return Math.round((price - position.averagePrice) * closingQuantity * Math.sign(position.quantity) * 100) / 100;
+  }
+
+  /**
+   * Work out where an intraday fill would leave a position, without saving anything
+   * Opening fills move the average price; closing fills realize P&L against it. A fill larger
+   * than the open position flips it, and the rest opens at the fill price.
+   * @param {Object|null} position - Position record (null when never traded)
+   * @param {number} quantity - Fill quantity
+   * @param {number} price - Fill price
+   * @param {string} orderType - BUY or SELL
+   * @returns {Object} { quantity, averagePrice, realizedPnl } with the P&L this fill realizes
+   */
+  projectTrade(position, quantity, price, orderType) {
+    const currentQuantity = position ? position.quantity : 0;
+    const signedQuantity = orderType === 'BUY' ? quantity : -quantity;
+    const newQuantity = currentQuantity + signedQuantity;
+
+    let averagePrice;
+    if (newQuantity === 0) {
+      averagePrice = 0;
+    } else if (currentQuantity === 0 || Math.sign(currentQuantity) === Math.sign(signedQuantity)) {
+      averagePrice = (Math.abs(currentQuantity) * (position ? position.averagePrice : 0) + quantity * price) / Math.abs(newQuantity);
+    } else if (Math.sign(newQuantity) === Math.sign(currentQuantity)) {
+      averagePrice = position.averagePrice;
+    } else {
+      averagePrice = price;
+    }
+
+    return {
+      quantity: newQuantity,
+      averagePrice: Math.round(averagePrice * 100) / 100,
+      realizedPnl: this.calculateClosingPnl(position, quantity, price, orderType) || 0
+    };
+  }
+
+  /**
+   * Apply an intraday fill to the positions book (see projectTrade)
+   * The fill's charges are booked as realized loss, so realized P&L is net of charges
+   * @param {string} userId - User ID
+   * @param {string} symbol - Instrument symbol
+   * @param {number} quantity - Fill quantity
+   * @param {number} price - Fill price
+   * @param {string} orderType - BUY or SELL
+   * @param {number} charges - Trade charges (default 0)
+   * @returns {Object} Updated position
+   */
+  applyTrade(userId, symbol, quantity, price, orderType, charges = 0) {
+    const position = memoryStore.getPosition(userId, symbol) || {
+      userId,
+      symbol,
+      product: PRODUCT_TYPES.MIS,
+      quantity: 0,
+      averagePrice: 0,
+      realizedPnl: 0,
+      buyQuantity: 0,
+      buyValue: 0,
+      sellQuantity: 0,
+      sellValue: 0,
+      charges: 0,
+      margin: 0
+    };
+
+    const { quantity: newQuantity, averagePrice, realizedPnl } = this.projectTrade(position, quantity, price, orderType);
+
+    const side = orderType === 'BUY' ? 'buy' : 'sell';
+    const updatedPosition = memoryStore.savePosition({
+      ...position,
+      quantity: newQuantity,
+      averagePrice,
+      realizedPnl: Math.round((position.realizedPnl + realizedPnl - charges) * 100) / 100,
+      charges: Math.round(((position.charges || 0) + charges) * 100) / 100,
+      [`${side}Quantity`]: position[`${side}Quantity`] + quantity,
+      [`${side}Value`]: Math.round((position[`${side}Value`] + quantity * price) * 100) / 100,
+      updatedAt: new Date()
+    });
+
+    console.log(`📒 Position updated: ${orderType} ${quantity} ${symbol} (MIS) at ₹${price}, net ${newQuantity}`);
+
+    return updatedPosition;
+  }
+
+  /**
+   * Mark a position's open quantity to the last traded price
+   * @param {Object} position - Position record
+   * @returns {number} Unrealized P&L
+   */
+  calculateUnrealizedPnl(position) {
+    const currentPrice = instrumentService.getCurrentPrice(position.symbol);
+    return Math.round((currentPrice - position.averagePrice) * position.quantity * 100) / 100;
+  }
+
+  /**
+   * Get the unrealized P&L of all of a user's intraday positions
+   * @param {string} userId - User ID
+   * @returns {number} Unrealized P&L (0 without open positions)
+   */
+  getUnrealizedPnl(userId) {
+    const unrealizedPnl = memoryStore.getPositions(userId)
+      .reduce((sum, position) => sum + this.calculateUnrealizedPnl(position), 0);
+
+    return Math.round(unrealizedPnl * 100) / 100;
+  }
+
+  /**
+   * Get open intraday positions of every user
+   * @returns {Array} Positions with a non-zero quantity
+   */
+  getOpenPositions() {
+    return memoryStore.getAllPositions().filter(position => position.quantity !== 0);
+  }
+
+  /**
+   * Get a user's intraday positions marked to the last traded price
+   * @param {string} userId - User ID
+   * @returns {Object} Positions (open first) and totals
+   */
+  getPositions(userId) {
+    try {
+      const positions = memoryStore.getPositions(userId)
+        .map(position => {
+          const currentPrice = instrumentService.getCurrentPrice(position.symbol);
+          const unrealizedPnl = this.calculateUnrealizedPnl(position);
+
+          return {
+            ...position,
+            side: position.quantity > 0 ? 'LONG' : position.quantity < 0 ? 'SHORT' : 'FLAT',
+            currentPrice,
+            unrealizedPnl,
+            totalPnl: Math.round((position.realizedPnl + unrealizedPnl) * 100) / 100,
+            formattedTotalPnl: formatCurrency(position.realizedPnl + unrealizedPnl)
+          };
+        })
+        .sort((a, b) => Math.abs(b.quantity) - Math.abs(a.quantity));
+
+      const realizedPnl = positions.reduce((sum, position) => sum + position.realizedPnl, 0);
+      const unrealizedPnl = positions.reduce((sum, position) => sum + position.unrealizedPnl, 0);
+      const charges = positions.reduce((sum, position) => sum + (position.charges || 0), 0);
+
+      return {
+        positions,
+        summary: {
+          openPositions: positions.filter(position => position.quantity !== 0).length,
+          realizedPnl: Math.round(realizedPnl * 100) / 100,
+          unrealizedPnl: Math.round(unrealizedPnl * 100) / 100,
+          totalPnl: Math.round((realizedPnl + unrealizedPnl) * 100) / 100,
+          charges: Math.round(charges * 100) / 100
+        }
+      };
+    } catch (error) {
+      throw new AppError('Failed to retrieve positions', HTTP_STATUS.INTERNAL_SERVER_ERROR);
+    }
+  }
+}
+
+module.exports = new PositionService();
@@ -0,0 +1,431 @@
+const config = require('../config/config');
+const memoryStore = require('../database/memoryStore');
+const instrumentService = require('./instrumentService');
+const positionService = require('./positionService');
+const { AppError } = require('../middleware/errorHandler');
+const { estimateOrderPrice, formatCurrency, getExchangeTime } = require('../utils/helpers');
+const {
+  HTTP_STATUS,
+  ORDER_STATUSES,
+  OPEN_ORDER_STATUSES,
+  PRODUCT_TYPES,
+  RISK_RULES,
+  LIMITS
+} = require('../utils/constants');
+
+class RiskService {
+  constructor() {
+    // Checks run in registration order; the first one that fails rejects the order
+    this.checks = [];
+
+    this.registerCheck(RISK_RULES.TRADING_HALTED, () => {
+      const halt = memoryStore.getTradingHalt();
+      return halt && `Trading is halted: ${halt.reason}`;
+    }, HTTP_STATUS.FORBIDDEN);
+
+    this.registerCheck(RISK_RULES.KILL_SWITCH, (orderData) => {
+      const killSwitch = memoryStore.getKillSwitch(orderData.userId);
+      return killSwitch && `Kill switch is active (${killSwitch.reason}); reset it to place new orders`;
+    }, HTTP_STATUS.FORBIDDEN);
+
+    this.registerCheck(RISK_RULES.MAX_ORDER_QUANTITY, (orderData, limits) =>
+      orderData.quantity > limits.maxOrderQuantity &&
+        `Order quantity ${orderData.quantity} exceeds the limit of ${limits.maxOrderQuantity}`
+    );
+
+    this.registerCheck(RISK_RULES.MAX_ORDER_VALUE, (orderData, limits, context) =>
+      context.orderValue > limits.maxOrderValue &&
+        `Order value ${formatCurrency(context.orderValue)} exceeds the limit of ${formatCurrency(limits.maxOrderValue)}`
+    );
+
+    this.registerCheck(RISK_RULES.MIN_ORDER_VALUE, (orderData, limits, context) =>
+      context.orderValue < limits.minOrderValue &&
+        `Order value ${formatCurrency(context.orderValue)} is below the minimum of ${formatCurrency(limits.minOrderValue)}`
+    );
+
+    this.registerCheck(RISK_RULES.PRICE_BAND, (orderData, limits, context) => {
+      const band = context.currentPrice * limits.priceBandPercent / 100;
+      const outsidePrice = [orderData.price, orderData.triggerPrice]
+        .find(price => price !== undefined && Math.abs(price - context.currentPrice) > band);
+
+      return outsidePrice !== undefined &&
+        `Price ₹${outsidePrice} is outside the ${limits.priceBandPercent}% band around the last traded price (₹${context.currentPrice})`;
+    });
+
+    this.registerCheck(RISK_RULES.MAX_OPEN_ORDERS, (orderData, limits, context) => {
+      const openOrders = this.getWorkingOrders(orderData.userId, context.excludeOrderId).length;
+
+      return openOrders >= limits.maxOpenOrders &&
+        `Open order limit reached (${openOrders} of ${limits.maxOpenOrders})`;
+    });
+
+    this.registerCheck(RISK_RULES.MAX_POSITION, (orderData, limits, context) => {
+      const position = this.getProjectedPosition(orderData, context.excludeOrderId);
+      if (position === null) {
+        return false;
+      }
+
+      // Orders that bring the position back towards flat always pass
+      const unfilledQuantity = this.getUnfilledQuantity(orderData);
+      const signedQuantity = orderData.orderType === 'BUY' ? unfilledQuantity : -unfilledQuantity;
+      const grows = Math.abs(position) > Math.abs(position - signedQuantity);
+
+      return grows && Math.abs(position) > limits.maxPositionQuantity &&
+        `${position < 0 ? 'Short position' : 'Position'} in ${orderData.symbol} would reach ${Math.abs(position)} shares, above the limit of ${limits.maxPositionQuantity}`;
+    });
+
+    this.registerCheck(RISK_RULES.DAILY_LOSS_LIMIT, (orderData, limits) => {
+      if (this.reducesPosition(orderData)) {
+        return false;
+      }
+
+      const realizedPnl = this.getDailyRealizedPnl(orderData.userId);
+
+      return -realizedPnl >= limits.dailyLossLimit &&
+        `Daily loss limit of ${formatCurrency(limits.dailyLossLimit)} reached (realized today: ${formatCurrency(realizedPnl)}); only orders that reduce positions are allowed`;
+    });
+  }
+
+  /**
+   * Add a check to the end of the chain
+   * @param {string} code - Rule code returned when the check rejects an order
+   * @param {Function} check - (orderData, limits, context) => failure message, or a falsy value to pass
+   * @param {number} statusCode - HTTP status of the rejection (default 400)
+   */
+  registerCheck(code, check, statusCode = HTTP_STATUS.BAD_REQUEST) {
+    this.checks.push({ code, check, statusCode });
+  }
+
+  /**
+   * Get the default limits that apply to users without overrides
+   * @returns {Object} Default limits
+   */
+  getDefaultLimits() {
+    return {
+      maxOrderQuantity: config.trading.maxOrderQuantity,
+      maxOrderValue: LIMITS.MAX_ORDER_VALUE,
+      minOrderValue: LIMITS.MIN_ORDER_VALUE,
+      ...config.risk
+    };
+  }
+
+  /**
+   * Get the limits that apply to a user: the defaults with the user's overrides on top
+   * @param {string} userId - User ID
+   * @returns {Object} Effective limits
+   */
+  getEffectiveLimits(userId) {
+    return {
+      ...this.getDefaultLimits(),
+      ...this.getOverrides(userId)
+    };
+  }
+
+  /**
+   * Get the limits an admin has overridden for a user
+   * @param {string} userId - User ID
+   * @returns {Object} Overridden limits only
+   */
+  getOverrides(userId) {
+    const record = memoryStore.getRiskLimits(userId);
+
+    if (!record) {
+      return {};
+    }
+
+    const { userId: ownerId, updatedAt, updatedBy, ...overrides } = record;
+    return overrides;
+  }
+
+  /**
+   * Run the check chain against an order without placing it
+   * @param {Object} orderData - Validated order data
+   * @param {Object} options - { rules?: codes of the checks to run (default all),
+   *   excludeOrderId?: working order being amended, left out of the open orders and the projected position }
+   * @returns {Array} Result per check: { code, passed, message?, statusCode? }
+   */
+  evaluate(orderData, options = {}) {
+    const limits = this.getEffectiveLimits(orderData.userId);
+    const currentPrice = instrumentService.getCurrentPrice(orderData.symbol);
+    const context = {
+      excludeOrderId: options.excludeOrderId,
+      currentPrice,
+      orderValue: Math.round(estimateOrderPrice(orderData, currentPrice) * orderData.quantity * 100) / 100
+    };
+
+    return this.checks
+      .filter(({ code }) => !options.rules || options.rules.includes(code))
+      .map(({ code, check, statusCode }) => {
+        const failure = check(orderData, limits, context);
+        return failure ? { code, passed: false, message: failure, statusCode } : { code, passed: true };
+      });
+  }
+
+  /**
+   * Reject an order that fails any risk check
+   * @param {Object} orderData - Validated order data
+   * @param {Object} options - Options passed to evaluate
+   */
+  ensureOrderAllowed(orderData, options = {}) {
+    const failure = this.evaluate(orderData, options).find(result => !result.passed);
+
+    if (failure) {
+      console.log(`🛡️ Risk check ${failure.code} rejected ${orderData.orderType} ${orderData.quantity} ${orderData.symbol} for ${orderData.userId}`);
+      throw new AppError(failure.message, failure.statusCode, failure.code);
+    }
+  }
+
+  /**
+   * Get a user's orders that are working or waiting to work
+   * Dormant bracket exit legs are left out, as they only go live once their entry fills
+   * @param {string} userId - User ID
+   * @param {string} excludeOrderId - Order to leave out (optional)
+   * @returns {Array} Working orders
+   */
+  getWorkingOrders(userId, excludeOrderId) {
+    return memoryStore.getAllOrders(userId).filter(order =>
+      order.id !== excludeOrderId && (
+        OPEN_ORDER_STATUSES.includes(order.status) ||
+        (order.status === ORDER_STATUSES.NEW && !order.parentOrderId)
+      )
+    );
+  }
+
+  /**
+   * Get the quantity of an order still to trade (all of it for a new order)
+   * @param {Object} orderData - Order data
+   * @returns {number} Unfilled quantity
+   */
+  getUnfilledQuantity(orderData) {
+    return orderData.quantity - (orderData.executedQuantity || 0);
+  }
+
+  /**
+   * Get the net position a user would hold in a symbol once their working orders and this order fill
+   * Holdings and the intraday position are added up. Delivery SELLs are capped by holdings and cannot
+   * add to a position, so they are not measured.
+   * @param {Object} orderData - Order data
+   * @param {string} excludeOrderId - Working order being amended, counted through orderData instead (optional)
+   * @returns {number|null} Net shares (negative when short), or null for a delivery SELL
+   */
+  getProjectedPosition(orderData, excludeOrderId) {
+    const { userId, symbol, orderType, product } = orderData;
+    const quantity = this.getUnfilledQuantity(orderData);
+
+    if (orderType === 'SELL' && product !== PRODUCT_TYPES.MIS) {
+      return null;
+    }
+
+    const intradayQuantity = positionService.getPositionQuantity(userId, symbol);
+    // Algo parents are measured through the child orders they send
+    const workingOrders = this.getWorkingOrders(userId, excludeOrderId).filter(order => order.symbol === symbol && !order.algo);
+
+    if (orderType === 'BUY') {
+      const holding = memoryStore.getPortfolio(userId).find(h => h.symbol === symbol);
+      const pendingBuyQuantity = workingOrders
+        .filter(order => order.orderType === 'BUY')
+        .reduce((sum, order) => sum + order.remainingQuantity, 0);
+
+      return (holding ? holding.quantity : 0) + intradayQuantity + pendingBuyQuantity + quantity;
+    }
+
+    const pendingSellQuantity = workingOrders
+      .filter(order => order.orderType === 'SELL' && order.product === PRODUCT_TYPES.MIS)
+      .reduce((sum, order) => sum + order.remainingQuantity, 0);
+
+    return intradayQuantity - pendingSellQuantity - quantity;
+  }
+
+  /**
+   * Check whether an order can only shrink a position: a delivery SELL, or an intraday order
+   * no larger than the open MIS position it trades against
+   * @param {Object} orderData - Order data
+   * @returns {boolean} True if the order reduces a position
+   */
+  reducesPosition(orderData) {
+    if (orderData.product !== PRODUCT_TYPES.MIS) {
+      return orderData.orderType === 'SELL';
+    }
+
+    const intradayQuantity = positionService.getPositionQuantity(orderData.userId, orderData.symbol);
+    return orderData.orderType === 'SELL' ?
+      orderData.quantity <= intradayQuantity :
+      orderData.quantity <= -intradayQuantity;
+  }
+
+  /**
+   * Get a user's realized profit or loss for the current exchange day
+   * @param {string} userId - User ID
+   * @param {Date} now - Current time (default now)
+   * @returns {number} Realized P&L (negative for a loss)
+   */
+  getDailyRealizedPnl(userId, now = new Date()) {
+    const today = getExchangeTime(now).dateKey;
+    const realizedPnl = memoryStore.getAllTrades(userId)
+      .filter(trade => trade.realizedPnl !== undefined && getExchangeTime(new Date(trade.executedAt)).dateKey === today)
+      .reduce((sum, trade) => sum + trade.realizedPnl, 0);
+
+    return Math.round(realizedPnl * 100) / 100;
+  }
+
+  /**
+   * Get a user's limits with current usage
+   * @param {string} userId - User ID
+   * @returns {Object} Effective limits, overridden limit names and usage
+   */
+  getRiskProfile(userId) {
+    try {
+      const record = memoryStore.getRiskLimits(userId);
+
+      return {
+        userId,
+        limits: this.getEffectiveLimits(userId),
+        overrides: Object.keys(this.getOverrides(userId)),
+        usage: {
+          openOrders: this.getWorkingOrders(userId).length,
+          dailyRealizedPnl: this.getDailyRealizedPnl(userId)
+        },
+        killSwitch: memoryStore.getKillSwitch(userId),
+        tradingHalt: this.getTradingHalt(),
+        rules: this.checks.map(({ code }) => code),
+        ...(record && { updatedAt: record.updatedAt, updatedBy: record.updatedBy })
+      };
+    } catch (error) {
+      throw new AppError('Failed to retrieve risk limits', HTTP_STATUS.INTERNAL_SERVER_ERROR);
+    }
+  }
+
+  /**
+   * Override some of a user's limits (admin only)
+   * Limits not given keep their current value
+   * @param {string} userId - User whose limits change
+   * @param {Object} limits - Limits to override
+   * @param {string} adminId - Admin making the change
+   * @returns {Object} Updated risk profile
+   */
+  setUserLimits(userId, limits, adminId) {
+    try {
+      const overrides = { ...this.getOverrides(userId), ...limits };
+      const effectiveLimits = { ...this.getDefaultLimits(), ...overrides };
+
+      if (effectiveLimits.minOrderValue > effectiveLimits.maxOrderValue) {
+        throw new AppError('Minimum order value cannot exceed the maximum order value', HTTP_STATUS.BAD_REQUEST);
+      }
+
+      memoryStore.saveRiskLimits(userId, { ...overrides, updatedBy: adminId });
+      console.log(`🛡️ Risk limits for ${userId} updated by ${adminId}: ${Object.keys(limits).join(', ')}`);
+
+      return this.getRiskProfile(userId);
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+      throw new AppError('Failed to update risk limits', HTTP_STATUS.INTERNAL_SERVER_ERROR);
+    }
+  }
+
+  /**
+   * Turn on a user's kill switch, blocking their new orders until it is reset
+   * @param {string} userId - User whose trading stops
+   * @param {Object} details - { reason, actor } (actor is the user or an admin)
+   * @returns {Object} Kill switch
+   */
+  activateKillSwitch(userId, { reason, actor }) {
+    if (memoryStore.getKillSwitch(userId)) {
+      throw new AppError('Kill switch is already active', HTTP_STATUS.CONFLICT);
+    }
+
+    const killSwitch = memoryStore.saveKillSwitch({
+      userId,
+      reason: reason || (actor === userId ? 'Activated by user' : 'Activated by admin'),
+      activatedBy: actor,
+      activatedAt: new Date()
+    });
+
+    console.log(`🛑 Kill switch activated for ${userId} by ${actor}: ${killSwitch.reason}`);
+    return killSwitch;
+  }
+
+  /**
+   * Turn off a user's kill switch
+   * A switch an admin activated can only be reset by an admin (/admin/kill-switch/:userId), not by the user
+   * @param {string} userId - User ID
+   * @param {string} actor - User or admin resetting the switch
+   * @returns {Object} Kill switch that was reset
+   */
+  resetKillSwitch(userId, actor) {
+    const killSwitch = memoryStore.getKillSwitch(userId);
+
+    if (!killSwitch) {
+      throw new AppError('Kill switch is not active', HTTP_STATUS.BAD_REQUEST);
+    }
+
+    if (actor === userId && killSwitch.activatedBy !== userId) {
+      throw new AppError('Kill switch was activated by an admin and can only be reset by an admin', HTTP_STATUS.FORBIDDEN);
+    }
+
+    memoryStore.deleteKillSwitch(userId);
+    console.log(`🟢 Kill switch for ${userId} reset by ${actor}`);
+
+    return { ...killSwitch, resetBy: actor, resetAt: new Date() };
+  }
+
+  /**
+   * Halt trading for every user (admin only); orders already working are left alone
+   * @param {string} adminId - Admin halting trading
+   * @param {string} reason - Why trading is halted
+   * @returns {Object} Trading halt
+   */
+  haltTrading(adminId, reason) {
+    if (memoryStore.getTradingHalt()) {
+      throw new AppError('Trading is already halted', HTTP_STATUS.CONFLICT);
+    }
+
+    const halt = memoryStore.setTradingHalt({ reason, haltedBy: adminId, haltedAt: new Date() });
+    console.log(`🛑 Trading halted by ${adminId}: ${reason}`);
+
+    return halt;
+  }
+
+  /**
+   * Get the global trading halt
+   * @returns {Object|null} Trading halt, or null if trading is allowed
+   */
+  getTradingHalt() {
+    return memoryStore.getTradingHalt();
+  }
+
+  /**
+   * Lift the global trading halt (admin only)
+   * @param {string} adminId - Admin resuming trading
+   * @returns {Object} Halt that was lifted
+   */
+  resumeTrading(adminId) {
+    const halt = memoryStore.getTradingHalt();
+
+    if (!halt) {
+      throw new AppError('Trading is not halted', HTTP_STATUS.BAD_REQUEST);
+    }
+
+    memoryStore.setTradingHalt(null);
+    console.log(`🟢 Trading resumed by ${adminId}`);
+
+    return { ...halt, resumedBy: adminId, resumedAt: new Date() };
+  }
+
+  /**
+   * Remove every override of a user's limits (admin only)
+   * @param {string} userId - User ID
+   * @returns {Object} Risk profile with the default limits
+   */
+  resetUserLimits(userId) {
+    try {
+      memoryStore.deleteRiskLimits(userId);
+      return this.getRiskProfile(userId);
+    } catch (error) {
+      throw new AppError('Failed to reset risk limits', HTTP_STATUS.INTERNAL_SERVER_ERROR);
+    }
+  }
+}
+
+module.exports = new RiskService();
@@ -0,0 +1,83 @@
+class SchedulerService {
+  constructor() {
+    this.jobs = new Map();
+  }
+
+  /**
+   * Register a recurring background job
+   * @param {string} name - Unique job name
+   * @param {number} intervalMs - Interval between runs in milliseconds
+   * @param {Function} task - Job to run (may be async)
+   */
+  register(name, intervalMs, task) {
+    if (this.jobs.has(name)) {
+      throw new Error(`Job '${name}' is already registered`);
+    }
+
+    this.jobs.set(name, { name, intervalMs, task, timer: null, running: false, lastRunAt: null });
+  }
+
+  /**
+   * Run a job once, skipping the run if the previous one is still in progress
+   * @param {string} name - Job name
+   */
+  async runJob(name) {
+    const job = this.jobs.get(name);
+
+    if (!job || job.running) {
+      return;
+    }
+
+    job.running = true;
+    try {
+      await job.task();
+      job.lastRunAt = new Date();
+    } catch (error) {
+      console.error(`❌ Scheduled job '${name}' failed:`, error.message);
+    } finally {
+      job.running = false;
+    }
+  }
+
+  /**
+   * Start all registered jobs
+   */
+  start() {
+    this.jobs.forEach(job => {
+      if (job.timer) {
+        return;
+      }
+
+      job.timer = setInterval(() => this.runJob(job.name), job.intervalMs);
+      // Background jobs should not keep the process alive on their own
+      job.timer.unref();
+    });
+
+    console.log(`⏱️ Scheduler started with ${this.jobs.size} jobs`);
+  }
+
+  /**
+   * Stop all running jobs
+   */
+  stop() {
+    this.jobs.forEach(job => {
+      clearInterval(job.timer);
+      job.timer = null;
+    });
+  }
+
+  /**
+   * Get status of registered jobs
+   * @returns {Array} Job status summary
+   */
+  getStatus() {
+    return Array.from(this.jobs.values()).map(job => ({
+      name: job.name,
+      intervalMs: job.intervalMs,
+      running: job.running,
+      lastRunAt: job.lastRunAt
+    }));
+  }
+}
+
+module.exports = new SchedulerService();
@@ -0,0 +1,53 @@
+const config = require('../config/config');
+const memoryStore = require('../database/memoryStore');
+const orderService = require('./orderService');
+const orderBookService = require('./orderBookService');
+const { AppError } = require('../middleware/errorHandler');
+const { seedRandom, getRandomSeed } = require('../utils/random');
+const { HTTP_STATUS } = require('../utils/constants');
+
+class SimulationService {
+  /**
+   * Get the state of the market simulation
+   * @returns {Object} Whether simulation mode is on, the seed of the current random sequence and the current prices
+   */
+  getStatus() {
+    return {
+      enabled: config.simulation.enabled,
+      seed: getRandomSeed(),
+      configuredSeed: config.simulation.seed,
+      prices: memoryStore.getAllInstruments().reduce((prices, instrument) => ({
+        ...prices,
+        [instrument.symbol]: instrument.lastTradedPrice
+      }), {})
+    };
+  }
+
+  /**
+   * Restart the simulation from a seed (simulation mode only)
+   * Every order, trade, holding, position and account is cleared, pending trigger checks are dropped,
+   * book time priority restarts and prices go back to their opening values, so replaying the same
+   * requests gives the same price paths and fills.
+   * @param {number} seed - Seed to restart from (default simulation.seed)
+   * @returns {Object} Simulation status
+   */
+  reset(seed = config.simulation.seed) {
+    if (!config.simulation.enabled) {
+      throw new AppError(
+        'Simulation mode is off; start the server with SIMULATION_MODE=true or SIMULATION_SEED set',
+        HTTP_STATUS.BAD_REQUEST
+      );
+    }
+
+    memoryStore.clearAllData();
+    orderBookService.reset();
+    orderService.reset();
+    seedRandom(seed);
+
+    console.log(`🎲 Simulation reset with seed ${seed}`);
+
+    return this.getStatus();
+  }
+}
+
+module.exports = new SimulationService();
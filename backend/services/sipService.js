@@ -0,0 +1,342 @@
+const memoryStore = require('../database/memoryStore');
+const instrumentService = require('./instrumentService');
+const orderService = require('./orderService');
+const { AppError } = require('../middleware/errorHandler');
+const { schemas } = require('../middleware/validation');
+const { formatCurrency, isMarketOpen } = require('../utils/helpers');
+const {
+  HTTP_STATUS,
+  ORDER_STYLES,
+  PRODUCT_TYPES,
+  SIP_FREQUENCIES,
+  SIP_STATUSES,
+  SIP_INSTALMENT_STATUSES
+} = require('../utils/constants');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class SipService {
+  /**
+   * Create a systematic investment plan
+   * The SIP buys a fixed amount or quantity of a symbol with a MARKET delivery (CNC) order on each due date,
+   * starting at startDate (default now)
+   * @param {string} userId - User ID
+   * @param {Object} sipData - { symbol, frequency, amount | quantity, startDate?, instalments? }
+   * @returns {Object} Created SIP
+   */
+  createSip(userId, sipData) {
+    try {
+      const { symbol, frequency, amount, quantity, instalments } = sipData;
+
+      if (!instrumentService.validateInstrument(symbol)) {
+        throw new AppError(`Invalid instrument symbol: ${symbol}`, HTTP_STATUS.BAD_REQUEST);
+      }
+
+      if (quantity) {
+        orderService.validateOrder(this.buildOrder({ userId, symbol }, quantity));
+      }
+
+      const startDate = sipData.startDate ? new Date(sipData.startDate) : new Date();
+
+      const sip = memoryStore.createSip({
+        userId,
+        symbol,
+        frequency,
+        ...(amount ? { amount } : { quantity }),
+        totalInstalments: instalments || null,
+        status: SIP_STATUSES.ACTIVE,
+        startDate,
+        // Due dates are counted in periods from the start date, so a late run does not shift the schedule
+        nextDueIndex: 0,
+        nextDueAt: startDate,
+        instalments: []
+      });
+
+      console.log(`🔁 SIP ${sip.id} created: ${amount ? formatCurrency(amount) : `${quantity} shares`} of ${symbol} ${frequency.toLowerCase()}`);
+
+      return sip;
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+      throw new AppError('Failed to create SIP', HTTP_STATUS.INTERNAL_SERVER_ERROR);
+    }
+  }
+
+  /**
+   * Get the due date a number of periods after a SIP's start date
+   * Monthly SIPs keep the day of the month of the start date; shorter months use their last day
+   * @param {Object} sip - SIP record
+   * @param {number} index - Periods since the start date
+   * @returns {Date} Due date
+   */
+  getDueDate(sip, index) {
+    const startDate = new Date(sip.startDate);
+
+    if (sip.frequency === SIP_FREQUENCIES.MONTHLY) {
+      const dueDate = new Date(startDate);
+      dueDate.setUTCDate(1);
+      dueDate.setUTCMonth(startDate.getUTCMonth() + index);
+
+      const lastDay = new Date(Date.UTC(dueDate.getUTCFullYear(), dueDate.getUTCMonth() + 1, 0)).getUTCDate();
+      dueDate.setUTCDate(Math.min(startDate.getUTCDate(), lastDay));
+
+      return dueDate;
+    }
+
+    const periodDays = sip.frequency === SIP_FREQUENCIES.WEEKLY ? 7 : 1;
+    return new Date(startDate.getTime() + index * periodDays * DAY_MS);
+  }
+
+  /**
+   * Get the first due date of a SIP after a moment
+   * @param {Object} sip - SIP record
+   * @param {Date} now - Moment to look from
+   * @returns {Object} { index, dueAt }
+   */
+  getNextDue(sip, now) {
+    let index = sip.nextDueIndex;
+
+    while (this.getDueDate(sip, index) <= now) {
+      index++;
+    }
+
+    return { index, dueAt: this.getDueDate(sip, index) };
+  }
+
+  /**
+   * Build the order of one instalment
+   * @param {Object} sip - SIP record (or { userId, symbol })
+   * @param {number} quantity - Quantity to buy
+   * @returns {Object} Order data with the createOrder defaults applied
+   */
+  buildOrder(sip, quantity) {
+    const { value } = schemas.createOrder.validate({
+      symbol: sip.symbol,
+      orderType: 'BUY',
+      orderStyle: ORDER_STYLES.MARKET,
+      product: PRODUCT_TYPES.CNC,
+      quantity
+    });
+
+    return { ...value, userId: sip.userId, ...(sip.id && { sipId: sip.id }) };
+  }
+
+  /**
+   * Place the instalments that have fallen due (run periodically by the scheduler)
+   * Instalments only run while the market is open; a due date that passes while it is closed runs at the next open.
+   * @param {Date} now - Current time (default now)
+   * @returns {Array} Instalments recorded
+   */
+  async runDueSips(now = new Date()) {
+    if (!isMarketOpen(now)) {
+      return [];
+    }
+
+    const dueSips = Array.from(memoryStore.sips.values())
+      .filter(sip => sip.status === SIP_STATUSES.ACTIVE && new Date(sip.nextDueAt) <= now);
+
+    const instalments = [];
+    for (const sip of dueSips) {
+      instalments.push(await this.runInstalment(sip, now));
+    }
+
+    return instalments;
+  }
+
+  /**
+   * Place one instalment of a SIP and move it on to its next due date
+   * Amount-based SIPs buy as many whole shares as the amount covers at the last traded price.
+   * A failure is recorded in the instalment history and does not stop the SIP. If several due dates
+   * were missed, one instalment is placed and the schedule resumes from the next future date.
+   * @param {Object} sip - Due SIP
+   * @param {Date} now - Current time
+   * @returns {Object} Recorded instalment
+   */
+  async runInstalment(sip, now) {
+    const price = instrumentService.getCurrentPrice(sip.symbol);
+    const quantity = sip.quantity || Math.floor(sip.amount / price);
+    const instalment = {
+      number: sip.instalments.length + 1,
+      dueAt: sip.nextDueAt,
+      runAt: now,
+      price,
+      quantity
+    };
+
+    try {
+      if (quantity < 1) {
+        throw new AppError(
+          `Amount ${formatCurrency(sip.amount)} is less than the price of one share (${formatCurrency(price)})`,
+          HTTP_STATUS.BAD_REQUEST
+        );
+      }
+
+      const order = await orderService.placeOrder(this.buildOrder(sip, quantity));
+
+      Object.assign(instalment, {
+        status: SIP_INSTALMENT_STATUSES.PLACED,
+        orderId: order.id,
+        orderStatus: order.status
+      });
+
+      console.log(`🔁 SIP ${sip.id} instalment ${instalment.number}: placed order ${order.id} for ${quantity} ${sip.symbol}`);
+    } catch (error) {
+      Object.assign(instalment, {
+        status: SIP_INSTALMENT_STATUSES.FAILED,
+        error: error.message
+      });
+
+      console.error(`❌ SIP ${sip.id} instalment ${instalment.number} failed: ${error.message}`);
+    }
+
+    const instalments = [...sip.instalments, instalment];
+    const next = this.getNextDue(sip, now);
+    const isComplete = sip.totalInstalments && instalments.length >= sip.totalInstalments;
+
+    memoryStore.updateSip(sip.id, {
+      instalments,
+      nextDueIndex: next.index,
+      nextDueAt: isComplete ? null : next.dueAt,
+      ...(isComplete && { status: SIP_STATUSES.COMPLETED, completedAt: now })
+    });
+
+    return instalment;
+  }
+
+  /**
+   * Get a SIP owned by a user
+   * @param {string} sipId - SIP ID
+   * @param {string} userId - User ID
+   * @returns {Object} SIP with its instalment history
+   */
+  getSip(sipId, userId) {
+    try {
+      const sip = memoryStore.getSipById(sipId);
+
+      if (!sip) {
+        throw new AppError('SIP not found', HTTP_STATUS.NOT_FOUND);
+      }
+
+      if (sip.userId !== userId) {
+        throw new AppError('Unauthorized to access this SIP', HTTP_STATUS.FORBIDDEN);
+      }
+
+      return sip;
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+      throw new AppError('Failed to retrieve SIP', HTTP_STATUS.INTERNAL_SERVER_ERROR);
+    }
+  }
+
+  /**
+   * Get all SIPs for a user
+   * @param {string} userId - User ID
+   * @param {Object} filters - Filter options (status, symbol)
+   * @returns {Array} SIPs (newest first)
+   */
+  getAllSips(userId, filters = {}) {
+    try {
+      let sips = memoryStore.getAllSips(userId);
+
+      if (filters.status) {
+        sips = sips.filter(sip => sip.status === filters.status);
+      }
+
+      if (filters.symbol) {
+        sips = sips.filter(sip => sip.symbol.toLowerCase() === filters.symbol.toLowerCase());
+      }
+
+      return sips.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    } catch (error) {
+      throw new AppError('Failed to retrieve SIPs', HTTP_STATUS.INTERNAL_SERVER_ERROR);
+    }
+  }
+
+  /**
+   * Pause an active SIP
+   * @param {string} sipId - SIP ID
+   * @param {string} userId - User ID
+   * @returns {Object} Paused SIP
+   */
+  pauseSip(sipId, userId) {
+    try {
+      const sip = this.getSip(sipId, userId);
+
+      if (sip.status !== SIP_STATUSES.ACTIVE) {
+        throw new AppError(`Cannot pause ${sip.status.toLowerCase()} SIP`, HTTP_STATUS.BAD_REQUEST);
+      }
+
+      return memoryStore.updateSip(sipId, {
+        status: SIP_STATUSES.PAUSED,
+        pausedAt: new Date()
+      });
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+      throw new AppError('Failed to pause SIP', HTTP_STATUS.INTERNAL_SERVER_ERROR);
+    }
+  }
+
+  /**
+   * Resume a paused SIP from its next due date; due dates missed while paused are skipped
+   * @param {string} sipId - SIP ID
+   * @param {string} userId - User ID
+   * @returns {Object} Resumed SIP
+   */
+  resumeSip(sipId, userId) {
+    try {
+      const sip = this.getSip(sipId, userId);
+
+      if (sip.status !== SIP_STATUSES.PAUSED) {
+        throw new AppError(`Cannot resume ${sip.status.toLowerCase()} SIP`, HTTP_STATUS.BAD_REQUEST);
+      }
+
+      const next = this.getNextDue(sip, new Date());
+
+      return memoryStore.updateSip(sipId, {
+        status: SIP_STATUSES.ACTIVE,
+        pausedAt: null,
+        nextDueIndex: next.index,
+        nextDueAt: next.dueAt
+      });
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+      throw new AppError('Failed to resume SIP', HTTP_STATUS.INTERNAL_SERVER_ERROR);
+    }
+  }
+
+  /**
+   * Cancel an active or paused SIP; orders already placed are not affected
+   * @param {string} sipId - SIP ID
+   * @param {string} userId - User ID
+   * @returns {Object} Cancelled SIP
+   */
+  cancelSip(sipId, userId) {
+    try {
+      const sip = this.getSip(sipId, userId);
+
+      if (![SIP_STATUSES.ACTIVE, SIP_STATUSES.PAUSED].includes(sip.status)) {
+        throw new AppError(`Cannot cancel ${sip.status.toLowerCase()} SIP`, HTTP_STATUS.BAD_REQUEST);
+      }
+
+      return memoryStore.updateSip(sipId, {
+        status: SIP_STATUSES.CANCELLED,
+        nextDueAt: null,
+        cancelledAt: new Date()
+      });
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+      throw new AppError('Failed to cancel SIP', HTTP_STATUS.INTERNAL_SERVER_ERROR);
+    }
+  }
+}
+
+module.exports = new SipService();
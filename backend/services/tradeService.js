@@ -1,25 +1,37 @@
 const memoryStore = require('../database/memoryStore');
+const chargesService = require('./chargesService');
 const { AppError } = require('../middleware/errorHandler');
 const { formatCurrency, generateTradeReference, paginate } = require('../utils/helpers');
-const { HTTP_STATUS } = require('../utils/constants');
+const { HTTP_STATUS, PRODUCT_TYPES } = require('../utils/constants');
 
 class TradeService {
   /**
-   * Create a new trade record
-   * @param {Object} tradeData - Trade data
+   * Create a new trade record with its charges
+   * The net amount is what the trade costs a buyer (value plus charges) or pays a seller (value less charges).
+   * Charges come off the P&L a trade realizes; an intraday trade realizes its charges as a loss even when
+   * it only opens a position.
+   * @param {Object} tradeData - Trade data (realizedPnl before charges, if any)
    * @returns {Object} Created trade
    */
   createTrade(tradeData) {
     try {
       // Calculate total amount
-      const totalAmount = tradeData.quantity * tradeData.price;
-      
+      const totalAmount = Math.round(tradeData.quantity * tradeData.price * 100) / 100;
+      const charges = chargesService.calculateCharges(tradeData, this.getBrokerageCharged(tradeData.userId, tradeData.orderId));
+      const netAmount = Math.round(
+        (tradeData.orderType === 'BUY' ? totalAmount + charges.total : totalAmount - charges.total) * 100
+      ) / 100;
+      const isRealizing = tradeData.realizedPnl !== undefined || tradeData.product === PRODUCT_TYPES.MIS;
+
       // Generate trade reference
       const tradeReference = generateTradeReference();
 
       const trade = memoryStore.createTrade({
         ...tradeData,
         totalAmount,
+        charges,
+        netAmount,
+        ...(isRealizing && { realizedPnl: Math.round(((tradeData.realizedPnl || 0) - charges.total) * 100) / 100 }),
         tradeReference,
         executedAt: new Date()
       });
@@ -32,6 +44,18 @@ class TradeService {
     }
   }
 
+  /**
+   * Get the brokerage already charged on the fills of an order, so its per-order cap holds across fills
+   * @param {string} userId - User ID
+   * @param {string} orderId - Order ID
+   * @returns {number} Brokerage charged so far
+   */
+  getBrokerageCharged(userId, orderId) {
+    return memoryStore.getAllTrades(userId)
+      .filter(trade => trade.orderId === orderId && trade.charges)
+      .reduce((sum, trade) => sum + trade.charges.brokerage, 0);
+  }
+
   /**
    * Get all trades for a user
    * @param {string} userId - User ID
@@ -132,17 +156,22 @@ class TradeService {
 
   /**
    * Get trades by order ID
+   * An order can be filled in several parts, so each trade is one fill
    * @param {string} orderId - Order ID
    * @param {string} userId - User ID
-   * @returns {Array} Array of trades for the order
+   * @returns {Array} Array of fills for the order (oldest first)
    */
   getTradesByOrderId(orderId, userId) {
     try {
       const trades = memoryStore.getAllTrades(userId);
       const orderTrades = trades.filter(trade => trade.orderId === orderId);
 
-      return orderTrades.map(trade => ({
+      // Sort by execution date (oldest first) so fills read in sequence
+      orderTrades.sort((a, b) => new Date(a.executedAt) - new Date(b.executedAt));
+
+      return orderTrades.map((trade, index) => ({
         ...trade,
+        fillNumber: index + 1,
         formattedAmount: formatCurrency(trade.totalAmount),
         formattedPrice: formatCurrency(trade.price)
       }));
@@ -195,6 +224,7 @@ class TradeService {
           sellTrades: 0,
           uniqueSymbols: 0,
           averageTradeSize: 0,
+          totalCharges: 0,
           largestTrade: null,
           smallestTrade: null,
           todayTrades: 0,
@@ -206,6 +236,7 @@ class TradeService {
       const totalTrades = trades.length;
       const totalVolume = trades.reduce((sum, trade) => sum + trade.quantity, 0);
       const totalValue = trades.reduce((sum, trade) => sum + trade.totalAmount, 0);
+      const totalCharges = trades.reduce((sum, trade) => sum + (trade.charges ? trade.charges.total : 0), 0);
       
       const buyTrades = trades.filter(trade => trade.orderType === 'BUY').length;
       const sellTrades = trades.filter(trade => trade.orderType === 'SELL').length;
@@ -248,6 +279,7 @@ class TradeService {
         sellTrades,
         uniqueSymbols,
         averageTradeSize: Math.round(averageTradeSize * 100) / 100,
+        totalCharges: Math.round(totalCharges * 100) / 100,
         largestTrade: largestTrade ? {
           id: largestTrade.id,
           symbol: largestTrade.symbol,
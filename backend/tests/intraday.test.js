@@ -0,0 +1,75 @@
+process.env.MARKET_ALWAYS_OPEN = 'true';
+
+const config = require('../config/config');
+const memoryStore = require('../database/memoryStore');
+const orderService = require('../services/orderService');
+const positionService = require('../services/positionService');
+const { schemas } = require('../middleware/validation');
+const { ORDER_STATUSES } = require('../utils/constants');
+
+const USER = 'user_001';
+
+// Monday 19 October 2026, 15:30 IST: past the 15:20 square-off cut-off
+const AFTER_CUT_OFF = new Date('2026-10-19T10:00:00Z');
+
+const placeMis = () => {
+  const { value } = schemas.createOrder.validate({
+    symbol: 'TCS',
+    orderType: 'BUY',
+    orderStyle: 'MARKET',
+    product: 'MIS',
+    quantity: 5
+  });
+  return orderService.placeOrder({ ...value, userId: USER });
+};
+
+// Let the trigger checks a price change starts in the background finish
+const flushTriggerChecks = async () => {
+  do {
+    await new Promise(resolve => setImmediate(resolve));
+  } while (orderService.triggerCheckScheduled);
+};
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  jest.restoreAllMocks();
+});
+
+beforeEach(() => {
+  // Fix the clock only; background trigger checks still need setImmediate
+  jest.useFakeTimers({ now: AFTER_CUT_OFF, doNotFake: ['nextTick', 'setImmediate'] });
+  memoryStore.clearAllData();
+});
+
+afterEach(async () => {
+  await flushTriggerChecks();
+  jest.useRealTimers();
+});
+
+describe('intraday square-off cut-off', () => {
+  test('an always-open market accepts MIS orders after the cut-off and keeps the positions', async () => {
+    const order = await placeMis();
+
+    expect(order).toMatchObject({ status: ORDER_STATUSES.EXECUTED, executedQuantity: 5 });
+    expect(positionService.getPositionQuantity(USER, 'TCS')).toBe(5);
+
+    expect(await orderService.squareOffIntradayPositions(new Date())).toEqual([]);
+    expect(positionService.getPositionQuantity(USER, 'TCS')).toBe(5);
+  });
+
+  test('a market with sessions refuses MIS orders after the cut-off', async () => {
+    // 15:25 IST, still inside the normal session
+    jest.setSystemTime(new Date('2026-10-19T09:55:00Z'));
+    config.market.alwaysOpen = false;
+
+    try {
+      await expect(placeMis()).rejects.toThrow('MIS orders are not accepted after the square-off time (15:20 IST)');
+    } finally {
+      config.market.alwaysOpen = true;
+    }
+  });
+});
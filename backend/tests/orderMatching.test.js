@@ -0,0 +1,212 @@
+process.env.MARKET_ALWAYS_OPEN = 'true';
+
+const config = require('../config/config');
+const memoryStore = require('../database/memoryStore');
+const orderService = require('../services/orderService');
+const orderBookService = require('../services/orderBookService');
+const instrumentService = require('../services/instrumentService');
+const fundsService = require('../services/fundsService');
+const portfolioService = require('../services/portfolioService');
+const { AppError } = require('../middleware/errorHandler');
+const { schemas } = require('../middleware/validation');
+const { ORDER_STATUSES, FUND_TRANSACTION_TYPES } = require('../utils/constants');
+
+const BUYER = 'user_001';
+const SELLER = 'user_002';
+
+const place = (userId, orderInput) => {
+  const { value } = schemas.createOrder.validate({ symbol: 'TCS', orderStyle: 'LIMIT', ...orderInput });
+  return orderService.placeOrder({ ...value, userId });
+};
+
+const sell = (userId, quantity, price) => place(userId, { orderType: 'SELL', quantity, price });
+const buy = (userId, quantity, price) => place(userId, { orderType: 'BUY', quantity, price });
+
+// Let the trigger checks a price change starts in the background finish
+const flushTriggerChecks = async () => {
+  do {
+    await new Promise(resolve => setImmediate(resolve));
+  } while (orderService.triggerCheckScheduled);
+};
+
+const getTrades = orderId => memoryStore.getAllTrades(BUYER)
+  .concat(memoryStore.getAllTrades(SELLER))
+  .filter(trade => trade.orderId === orderId);
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  jest.restoreAllMocks();
+});
+
+afterEach(flushTriggerChecks);
+
+beforeEach(() => {
+  memoryStore.clearAllData();
+  memoryStore.updatePortfolio(BUYER, 'TCS', 100, 3800, 'BUY');
+  memoryStore.updatePortfolio(SELLER, 'TCS', 100, 3800, 'BUY');
+});
+
+describe('order book matching', () => {
+  beforeEach(() => {
+    // Trade only between users, so every fill comes from the book
+    config.trading.liquidityProvider = false;
+  });
+
+  afterEach(async () => {
+    await flushTriggerChecks();
+    config.trading.liquidityProvider = true;
+  });
+
+  test('fills the best price first and the oldest order first within a price', async () => {
+    const highAsk = await sell(SELLER, 10, 3900);
+    const firstAsk = await sell(SELLER, 10, 3890);
+    const secondAsk = await sell(SELLER, 10, 3890);
+
+    expect(orderBookService.findMatch({ symbol: 'TCS', orderType: 'BUY', userId: BUYER, price: 3900 }, false).id)
+      .toBe(firstAsk.id);
+
+    const fills = [];
+    for (let i = 0; i < 3; i++) {
+      const order = await buy(BUYER, 10, 3900);
+      fills.push(getTrades(order.id).map(trade => [trade.counterpartyOrderId, trade.price]));
+    }
+
+    expect(fills).toEqual([
+      [[firstAsk.id, 3890]],
+      [[secondAsk.id, 3890]],
+      [[highAsk.id, 3900]]
+    ]);
+  });
+
+  test('skips the user\'s own resting orders', async () => {
+    const ownAsk = await sell(BUYER, 10, 3880);
+    const otherAsk = await sell(SELLER, 10, 3890);
+
+    expect(orderBookService.findMatch({ symbol: 'TCS', orderType: 'BUY', userId: BUYER, price: 3900 }, false).id)
+      .toBe(otherAsk.id);
+
+    const order = await buy(BUYER, 10, 3900);
+
+    expect(order.status).toBe(ORDER_STATUSES.EXECUTED);
+    expect(getTrades(order.id).map(trade => trade.counterpartyOrderId)).toEqual([otherAsk.id]);
+    expect(memoryStore.getOrderById(ownAsk.id)).toMatchObject({ status: ORDER_STATUSES.PLACED, remainingQuantity: 10 });
+    expect(orderBookService.isResting(memoryStore.getOrderById(ownAsk.id))).toBe(true);
+  });
+
+  test('fills one order partly against several resting orders', async () => {
+    const asks = [
+      await sell(SELLER, 5, 3890),
+      await sell(SELLER, 5, 3895),
+      await sell(SELLER, 5, 3900)
+    ];
+
+    const order = await buy(BUYER, 12, 3900);
+
+    expect(order).toMatchObject({ status: ORDER_STATUSES.EXECUTED, executedQuantity: 12, remainingQuantity: 0 });
+    expect(order.executedPrice).toBe(3893.75);
+    expect(getTrades(order.id).map(trade => [trade.quantity, trade.price])).toEqual([[5, 3890], [5, 3895], [2, 3900]]);
+
+    expect(memoryStore.getOrderById(asks[0].id).status).toBe(ORDER_STATUSES.EXECUTED);
+    expect(memoryStore.getOrderById(asks[1].id).status).toBe(ORDER_STATUSES.EXECUTED);
+    expect(memoryStore.getOrderById(asks[2].id)).toMatchObject({
+      status: ORDER_STATUSES.PARTIALLY_FILLED,
+      remainingQuantity: 3
+    });
+    expect(orderBookService.getDepth('TCS').asks).toMatchObject([{ price: 3900, quantity: 3, orders: 1 }]);
+  });
+
+  test('a match sets the last traded price', async () => {
+    await sell(SELLER, 10, 3895);
+    await buy(BUYER, 10, 3900);
+
+    expect(instrumentService.getCurrentPrice('TCS')).toBe(3895);
+  });
+
+  test('finds the pending orders a new price crosses', async () => {
+    const bids = [
+      await buy(BUYER, 1, 3850),
+      await buy(BUYER, 1, 3860),
+      await buy(BUYER, 1, 3870)
+    ];
+    const buyStop = await place(BUYER, { orderType: 'BUY', orderStyle: 'SL-M', quantity: 1, triggerPrice: 3950 });
+
+    expect(orderBookService.getCrossedOrderIds('TCS', 3860, true)).toEqual([bids[2].id, bids[1].id]);
+    expect(orderBookService.getCrossedOrderIds('TCS', 3960, false)).toEqual([buyStop.id]);
+    expect(orderBookService.getCrossedOrderIds('TCS', 3900, true)).toEqual([]);
+  });
+});
+
+describe('fill rollback', () => {
+  const getSettlements = userId => fundsService.getLedger(userId).filter(transaction =>
+    transaction.tradeId || [FUND_TRANSACTION_TYPES.DEBIT, FUND_TRANSACTION_TYPES.CREDIT].includes(transaction.type)
+  );
+
+  test('undoes the trade, ledger and holdings when settlement fails, and rejects the order', async () => {
+    const cashBalance = fundsService.getAccount(BUYER).cashBalance;
+    const settleTrade = fundsService.settleTrade.bind(fundsService);
+
+    // Settle for real, so there is something to roll back, then fail
+    const settleSpy = jest.spyOn(fundsService, 'settleTrade').mockImplementationOnce(trade => {
+      settleTrade(trade);
+      throw new AppError('Settlement failed', 400);
+    });
+
+    try {
+      const order = await place(BUYER, { symbol: 'INFY', orderType: 'BUY', orderStyle: 'MARKET', quantity: 5 });
+      const rejected = memoryStore.getOrderById(order.id);
+
+      expect(settleSpy).toHaveBeenCalledTimes(1);
+      expect(rejected).toMatchObject({ status: ORDER_STATUSES.REJECTED, rejectionReason: 'Settlement failed', executedQuantity: 0 });
+      expect(getTrades(order.id)).toHaveLength(0);
+      expect(getSettlements(BUYER)).toHaveLength(0);
+      expect(portfolioService.getHoldingBySymbol(BUYER, 'INFY')).toBeFalsy();
+      expect(fundsService.getAccount(BUYER)).toMatchObject({ cashBalance, blockedAmount: 0 });
+    } finally {
+      await flushTriggerChecks();
+      settleSpy.mockRestore();
+    }
+  });
+
+  test('undoes both sides of a match when the resting order\'s holdings are gone, and rejects it', async () => {
+    config.trading.liquidityProvider = false;
+    const ask = await sell(SELLER, 10, 3890);
+    const buyerCash = fundsService.getAccount(BUYER).cashBalance;
+    const sellerCash = fundsService.getAccount(SELLER).cashBalance;
+
+    // The seller's shares were sold elsewhere before the match
+    const holdingSpy = jest.spyOn(portfolioService, 'ensureHoldingQuantity').mockImplementation(() => {
+      throw new AppError('Insufficient quantity', 400);
+    });
+
+    try {
+      const order = await buy(BUYER, 10, 3900);
+
+      expect(memoryStore.getOrderById(ask.id)).toMatchObject({
+        status: ORDER_STATUSES.REJECTED,
+        rejectionReason: 'Insufficient quantity',
+        executedQuantity: 0
+      });
+      expect(orderBookService.isResting(memoryStore.getOrderById(ask.id))).toBe(false);
+
+      // The incoming order's half of the match is undone too; it keeps waiting in the book
+      expect(memoryStore.getOrderById(order.id)).toMatchObject({ status: ORDER_STATUSES.PLACED, executedQuantity: 0 });
+      expect(getTrades(order.id)).toHaveLength(0);
+      expect(getTrades(ask.id)).toHaveLength(0);
+      expect(getSettlements(BUYER)).toHaveLength(0);
+      expect(getSettlements(SELLER)).toHaveLength(0);
+      expect(fundsService.getAccount(BUYER).cashBalance).toBe(buyerCash);
+      expect(fundsService.getAccount(SELLER).cashBalance).toBe(sellerCash);
+      expect(portfolioService.getHoldingBySymbol(BUYER, 'TCS').quantity).toBe(100);
+      expect(portfolioService.getHoldingBySymbol(SELLER, 'TCS').quantity).toBe(100);
+      expect(instrumentService.getCurrentPrice('TCS')).toBe(3890.2);
+    } finally {
+      await flushTriggerChecks();
+      holdingSpy.mockRestore();
+      config.trading.liquidityProvider = true;
+    }
+  });
+});
@@ -0,0 +1,202 @@
+// Simulation mode has to be on before the config is loaded
+process.env.SIMULATION_SEED = '42';
+process.env.MARKET_ALWAYS_OPEN = 'true';
+
+const config = require('../config/config');
+const memoryStore = require('../database/memoryStore');
+const instrumentService = require('../services/instrumentService');
+const orderService = require('../services/orderService');
+const portfolioService = require('../services/portfolioService');
+const simulationService = require('../services/simulationService');
+const { calculateExecutionPrice, generatePriceVariation, generateTradeReference } = require('../utils/helpers');
+const { createSeededRandom, random, seedRandom, setRandomSource, getRandomSeed } = require('../utils/random');
+
+const marketOrder = { symbol: 'TCS', orderType: 'BUY', orderStyle: 'MARKET', quantity: 1 };
+
+const drawPrices = () => [
+  ...Array.from({ length: 5 }, () => generatePriceVariation(1000, 2)),
+  ...Array.from({ length: 5 }, () => calculateExecutionPrice(marketOrder, 1000))
+];
+
+const SYMBOLS = ['TCS', 'INFY', 'RELIANCE'];
+
+const getPrices = () => memoryStore.getAllInstruments().map(instrument => instrument.lastTradedPrice);
+
+// Tick prices through the instrument list, then trade a few market orders
+const runSession = async () => {
+  for (let i = 0; i < 25; i++) {
+    instrumentService.getAllInstruments();
+  }
+
+  const fills = [];
+  for (const symbol of SYMBOLS) {
+    const order = await orderService.placeOrder({
+      userId: 'user_001',
+      symbol,
+      orderType: 'BUY',
+      orderStyle: 'MARKET',
+      product: 'CNC',
+      validity: 'DAY',
+      quantity: 2
+    });
+    fills.push(order.executedPrice);
+  }
+
+  return { prices: getPrices(), fills };
+};
+
+// Leave a limit order resting below the market in each symbol, and return the books
+const restBids = async () => {
+  for (const symbol of SYMBOLS) {
+    await orderService.placeOrder({
+      userId: 'user_001',
+      symbol,
+      orderType: 'BUY',
+      orderStyle: 'LIMIT',
+      product: 'CNC',
+      validity: 'DAY',
+      quantity: 1,
+      price: Math.round(instrumentService.getCurrentPrice(symbol) * 0.95)
+    });
+  }
+
+  return SYMBOLS.map(symbol => memoryStore.getOrderBook(symbol).bids.map(entry => [entry.price, entry.sequence]));
+};
+
+// Let the trigger checks a price change starts in the background finish
+const flushTriggerChecks = async () => {
+  do {
+    await new Promise(resolve => setImmediate(resolve));
+  } while (orderService.triggerCheckScheduled);
+};
+
+describe('seedable random numbers', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('starts seeded from the config in simulation mode', () => {
+    expect(config.simulation.enabled).toBe(true);
+    expect(getRandomSeed()).toBe(42);
+  });
+
+  test('the same seed gives the same price variations and execution prices', () => {
+    seedRandom(7);
+    const first = drawPrices();
+    seedRandom(7);
+    const second = drawPrices();
+
+    expect(second).toEqual(first);
+    first.forEach(price => {
+      expect(price).toBeGreaterThanOrEqual(980);
+      expect(price).toBeLessThanOrEqual(1020);
+    });
+  });
+
+  test('a different seed gives a different sequence', () => {
+    seedRandom(7);
+    const first = drawPrices();
+    seedRandom(8);
+
+    expect(drawPrices()).not.toEqual(first);
+  });
+
+  test('trade references and the portfolio history do not draw from the market sequence', () => {
+    seedRandom(7);
+    const first = drawPrices();
+
+    seedRandom(7);
+    generateTradeReference();
+    portfolioService.getPortfolioValueHistory('user_001', 5);
+
+    expect(drawPrices()).toEqual(first);
+  });
+
+  test('a seeded generator draws numbers in [0, 1)', () => {
+    const next = createSeededRandom(123);
+    const draws = Array.from({ length: 1000 }, next);
+
+    expect(draws.every(value => value >= 0 && value < 1)).toBe(true);
+    expect(new Set(draws).size).toBeGreaterThan(990);
+  });
+
+  test('a plugged-in source replaces the generator', () => {
+    setRandomSource(() => 0.5);
+
+    expect(random()).toBe(0.5);
+    expect(getRandomSeed()).toBeNull();
+    // The midpoint means no variation and no slippage
+    expect(generatePriceVariation(1000, 2)).toBe(1000);
+    expect(calculateExecutionPrice(marketOrder, 1000)).toBe(1000);
+
+    seedRandom(42);
+  });
+});
+
+describe('simulationService.reset', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterEach(flushTriggerChecks);
+
+  test('restores the opening prices and replays the same price paths and fills', async () => {
+    simulationService.reset(42);
+    const openingPrices = getPrices();
+
+    const first = await runSession();
+    expect(first.prices).not.toEqual(openingPrices);
+
+    const status = simulationService.reset(42);
+    expect(status.seed).toBe(42);
+    expect(getPrices()).toEqual(openingPrices);
+    expect(memoryStore.getAllOrders('user_001')).toHaveLength(0);
+    expect(memoryStore.getAllTrades('user_001')).toHaveLength(0);
+
+    const second = await runSession();
+    expect(second).toEqual(first);
+  });
+
+  test('replays the same run after a reset with orders resting and a trigger check pending', async () => {
+    simulationService.reset(42);
+    const first = { ...(await runSession()), books: await restBids() };
+
+    // Move TCS onto the resting bid, then reset before the trigger check runs
+    instrumentService.updatePrice('TCS', first.books[0][0][0]);
+    expect(orderService.triggerCheckScheduled).toBe(true);
+    expect(orderService.pendingTriggerSymbols.has('TCS')).toBe(true);
+
+    simulationService.reset(42);
+    expect(orderService.pendingTriggerSymbols.size).toBe(0);
+    expect(memoryStore.getOrderBook('TCS').bids).toHaveLength(0);
+
+    const second = { ...(await runSession()), books: await restBids() };
+    expect(second).toEqual(first);
+  });
+
+  test('a different seed takes a different path', async () => {
+    simulationService.reset(42);
+    const first = await runSession();
+
+    simulationService.reset(43);
+    expect(await runSession()).not.toEqual(first);
+  });
+
+  test('is refused outside simulation mode', () => {
+    config.simulation.enabled = false;
+
+    try {
+      expect(() => simulationService.reset()).toThrow('Simulation mode is off');
+    } finally {
+      config.simulation.enabled = true;
+    }
+  });
+});
@@ -6,14 +6,221 @@ const ORDER_TYPES = {
 
 const ORDER_STYLES = {
   MARKET: 'MARKET',
-  LIMIT: 'LIMIT'
+  LIMIT: 'LIMIT',
+  SL: 'SL',     // Stop-limit: becomes a LIMIT order once triggered
+  SL_M: 'SL-M', // Stop-market: becomes a MARKET order once triggered
+  TRAILING_STOP: 'TRAILING_STOP' // Stop-market whose trigger follows the market
+};
+
+// Order styles that stay dormant until the trigger price is crossed
+const STOP_ORDER_STYLES = [
+  ORDER_STYLES.SL,
+  ORDER_STYLES.SL_M,
+  ORDER_STYLES.TRAILING_STOP
+];
+
+// How the trailing offset of a trailing stop is measured
+const TRAILING_OFFSET_TYPES = {
+  ABSOLUTE: 'ABSOLUTE', // Fixed amount in rupees
+  PERCENT: 'PERCENT'    // Percentage of the best price reached
 };
 
 const ORDER_STATUSES = {
   NEW: 'NEW',
   PLACED: 'PLACED',
+  PARTIALLY_FILLED: 'PARTIALLY_FILLED',
   EXECUTED: 'EXECUTED',
-  CANCELLED: 'CANCELLED'
+  CANCELLED: 'CANCELLED',
+  REJECTED: 'REJECTED',
+  EXPIRED: 'EXPIRED'
+};
+
+// Status changes the order state machine allows; terminal statuses allow none
+// A partially filled order stays PARTIALLY_FILLED through further fills until it is executed
+const ORDER_STATUS_TRANSITIONS = {
+  [ORDER_STATUSES.NEW]: [
+    ORDER_STATUSES.PLACED,
+    ORDER_STATUSES.CANCELLED,
+    ORDER_STATUSES.REJECTED,
+    ORDER_STATUSES.EXPIRED
+  ],
+  [ORDER_STATUSES.PLACED]: [
+    ORDER_STATUSES.PARTIALLY_FILLED,
+    ORDER_STATUSES.EXECUTED,
+    ORDER_STATUSES.CANCELLED,
+    ORDER_STATUSES.REJECTED,
+    ORDER_STATUSES.EXPIRED
+  ],
+  [ORDER_STATUSES.PARTIALLY_FILLED]: [
+    ORDER_STATUSES.PARTIALLY_FILLED,
+    ORDER_STATUSES.EXECUTED,
+    ORDER_STATUSES.CANCELLED,
+    ORDER_STATUSES.REJECTED,
+    ORDER_STATUSES.EXPIRED
+  ],
+  [ORDER_STATUSES.EXECUTED]: [],
+  [ORDER_STATUSES.CANCELLED]: [],
+  [ORDER_STATUSES.REJECTED]: [],
+  [ORDER_STATUSES.EXPIRED]: []
+};
+
+// Actor recorded for status changes made by the engine; user actions record the user's ID
+const ORDER_ACTORS = {
+  SYSTEM: 'SYSTEM'
+};
+
+// Statuses in which an order still has quantity waiting to be filled
+const OPEN_ORDER_STATUSES = [
+  ORDER_STATUSES.PLACED,
+  ORDER_STATUSES.PARTIALLY_FILLED
+];
+
+// Time-in-force of an order
+const ORDER_VALIDITIES = {
+  DAY: 'DAY', // Expires at the end of the trading session
+  IOC: 'IOC', // Immediate or cancel: unfilled quantity is cancelled right away
+  GTC: 'GTC', // Good till cancelled
+  GTD: 'GTD'  // Good till date: expires at the end of the session on validTill
+};
+
+// Product types: how a position is carried
+const PRODUCT_TYPES = {
+  CNC: 'CNC', // Delivery: BUY into holdings, SELL only what is held
+  MIS: 'MIS'  // Intraday: separate positions book, shorts allowed, squared off at the cut-off time
+};
+
+// Roles of the orders that make up a bracket order group
+const ORDER_LEG_TYPES = {
+  ENTRY: 'ENTRY',
+  TARGET: 'TARGET',
+  STOP_LOSS: 'STOP_LOSS'
+};
+
+// How a basket of orders is placed
+const BASKET_MODES = {
+  ALL_OR_NONE: 'ALL_OR_NONE', // Place every leg or none of them
+  BEST_EFFORT: 'BEST_EFFORT'  // Place every leg that can be placed
+};
+
+// Outcome of each leg of a basket
+const BASKET_LEG_STATUSES = {
+  PENDING: 'PENDING',     // Validated, not placed yet
+  PLACED: 'PLACED',
+  FAILED: 'FAILED',       // Failed validation or placement
+  SKIPPED: 'SKIPPED',     // Not placed because another leg of an all-or-none basket failed
+  CANCELLED: 'CANCELLED'  // Placed, then cancelled when an all-or-none basket was unwound
+};
+
+// Kinds of good-till-triggered (GTT) rule
+const GTT_TYPES = {
+  SINGLE: 'SINGLE', // One condition, one order
+  OCO: 'OCO'        // One condition above and one below the price; the first to be met wins
+};
+
+// Conditions a GTT leg sets on the last traded price
+const GTT_CONDITIONS = {
+  ABOVE: 'ABOVE', // Met when the price rises to the trigger price
+  BELOW: 'BELOW'  // Met when the price falls to the trigger price
+};
+
+const GTT_STATUSES = {
+  ACTIVE: 'ACTIVE',
+  TRIGGERED: 'TRIGGERED', // Condition met and order placed
+  FAILED: 'FAILED',       // Condition met but the order could not be placed
+  CANCELLED: 'CANCELLED',
+  EXPIRED: 'EXPIRED'
+};
+
+// How often a systematic investment plan (SIP) buys
+const SIP_FREQUENCIES = {
+  DAILY: 'DAILY',
+  WEEKLY: 'WEEKLY',
+  MONTHLY: 'MONTHLY'
+};
+
+const SIP_STATUSES = {
+  ACTIVE: 'ACTIVE',
+  PAUSED: 'PAUSED',       // No instalments until resumed; due dates missed meanwhile are skipped
+  CANCELLED: 'CANCELLED',
+  COMPLETED: 'COMPLETED'  // All requested instalments have run
+};
+
+// Outcome of one SIP instalment
+const SIP_INSTALMENT_STATUSES = {
+  PLACED: 'PLACED', // Order placed (see the order for its fills)
+  FAILED: 'FAILED'  // No order could be placed; the SIP carries on with the next due date
+};
+
+// Execution algorithms for large parent orders
+const ALGO_TYPES = {
+  TWAP: 'TWAP', // Even slices over the time window
+  VWAP: 'VWAP'  // Slices sized by the intraday volume profile
+};
+
+const ALGO_STATUSES = {
+  RUNNING: 'RUNNING',
+  PAUSED: 'PAUSED',       // No slices until resumed; slices due meanwhile are skipped and their quantity respread
+  COMPLETED: 'COMPLETED', // Parent order fully filled
+  CANCELLED: 'CANCELLED',
+  EXPIRED: 'EXPIRED'      // Window or validity ended with quantity unfilled
+};
+
+// Trading sessions of the exchange day (IST)
+const MARKET_SESSIONS = {
+  PRE_OPEN: 'PRE_OPEN',     // Orders are collected and released at the open
+  NORMAL: 'NORMAL',         // Continuous trading
+  POST_CLOSE: 'POST_CLOSE', // Orders are collected for the next trading day
+  CLOSED: 'CLOSED'
+};
+
+// Events emitted by the instrument and market services
+const MARKET_EVENTS = {
+  PRICE_CHANGED: 'priceChanged',
+  MARKET_OPENED: 'marketOpened'
+};
+
+// Pre-trade risk checks; the code is returned with every order a check rejects
+const RISK_RULES = {
+  TRADING_HALTED: 'TRADING_HALTED',     // Global halt set by an admin
+  KILL_SWITCH: 'KILL_SWITCH',           // The user's own kill switch is active
+  MAX_ORDER_QUANTITY: 'MAX_ORDER_QUANTITY',
+  MAX_ORDER_VALUE: 'MAX_ORDER_VALUE',
+  MIN_ORDER_VALUE: 'MIN_ORDER_VALUE',
+  PRICE_BAND: 'PRICE_BAND',             // Price too far from the LTP (fat-finger protection)
+  MAX_OPEN_ORDERS: 'MAX_OPEN_ORDERS',
+  MAX_POSITION: 'MAX_POSITION',         // Shares held plus pending buys, per symbol
+  DAILY_LOSS_LIMIT: 'DAILY_LOSS_LIMIT'  // Realized loss today; only position-reducing orders pass
+};
+
+// Why an order preview would be rejected, besides the risk rules
+const PREVIEW_REJECTIONS = {
+  ORDER_VALIDATION: 'ORDER_VALIDATION',         // The order itself is invalid (price, trigger, product rules)
+  INSUFFICIENT_FUNDS: 'INSUFFICIENT_FUNDS',     // Funds or margin needed exceed the available balance
+  INSUFFICIENT_HOLDINGS: 'INSUFFICIENT_HOLDINGS' // Delivery SELL for more shares than are free to sell
+};
+
+const USER_ROLES = {
+  TRADER: 'TRADER',
+  ADMIN: 'ADMIN'
+};
+
+// Entries in the cash funds ledger
+const FUND_TRANSACTION_TYPES = {
+  DEPOSIT: 'DEPOSIT',
+  WITHDRAWAL: 'WITHDRAWAL',
+  BLOCK: 'BLOCK',     // Funds reserved for an open BUY order
+  RELEASE: 'RELEASE', // Reserved funds returned to the available balance
+  DEBIT: 'DEBIT',     // Cash paid for a BUY fill (or an intraday loss)
+  CREDIT: 'CREDIT',   // Cash received for a SELL fill (or an intraday profit)
+  MARGIN_BLOCK: 'MARGIN_BLOCK',    // Margin held against an open intraday position
+  MARGIN_RELEASE: 'MARGIN_RELEASE' // Position margin returned as the position shrinks
+};
+
+// Lifecycle of a margin call on a user's intraday positions
+const MARGIN_CALL_STATUSES = {
+  WARNED: 'WARNED',           // Available margin fell below zero; positions are liquidated if it stays there
+  LIQUIDATING: 'LIQUIDATING', // Square-off orders placed for the open positions
+  RESOLVED: 'RESOLVED'        // Margin restored, or no intraday positions left
 };
 
 const EXCHANGES = {
@@ -35,6 +242,7 @@ const HTTP_STATUS = {
   UNAUTHORIZED: 401,
   FORBIDDEN: 403,
   NOT_FOUND: 404,
+  CONFLICT: 409,
   INTERNAL_SERVER_ERROR: 500
 };
 
@@ -42,7 +250,33 @@ const HTTP_STATUS = {
 const MESSAGES = {
   SUCCESS: {
     ORDER_CREATED: 'Order placed successfully',
+    ORDER_QUEUED: 'Market is closed; order queued as an after-market order',
+    BRACKET_ORDER_CREATED: 'Bracket order placed successfully',
+    BASKET_ORDER_CREATED: 'Basket order placed successfully',
+    ORDER_PREVIEWED: 'Order preview generated successfully',
+    ALGO_ORDER_CREATED: 'Algo order started successfully',
+    ALGO_ORDER_PAUSED: 'Algo order paused successfully',
+    ALGO_ORDER_RESUMED: 'Algo order resumed successfully',
+    BASKET_CANCELLED: 'Basket cancelled successfully',
+    GTT_CREATED: 'GTT rule created successfully',
+    GTT_MODIFIED: 'GTT rule modified successfully',
+    GTT_CANCELLED: 'GTT rule cancelled successfully',
+    SIP_CREATED: 'SIP created successfully',
+    SIP_PAUSED: 'SIP paused successfully',
+    SIP_RESUMED: 'SIP resumed successfully',
+    SIP_CANCELLED: 'SIP cancelled successfully',
+    RISK_LIMITS_UPDATED: 'Risk limits updated successfully',
+    RISK_LIMITS_RESET: 'Risk limits reset to defaults',
+    ORDERS_CANCELLED: 'Open orders cancelled successfully',
+    KILL_SWITCH_ACTIVATED: 'Kill switch activated; new orders are blocked',
+    KILL_SWITCH_RESET: 'Kill switch reset; trading resumed',
+    TRADING_HALTED: 'Trading halted for all users',
+    TRADING_RESUMED: 'Trading resumed for all users',
+    SIMULATION_RESET: 'Simulation reset successfully',
     ORDER_CANCELLED: 'Order cancelled successfully',
+    ORDER_MODIFIED: 'Order modified successfully',
+    FUNDS_DEPOSITED: 'Funds deposited successfully',
+    FUNDS_WITHDRAWN: 'Funds withdrawn successfully',
     DATA_RETRIEVED: 'Data retrieved successfully'
   },
   ERROR: {
@@ -67,7 +301,32 @@ const LIMITS = {
 module.exports = {
   ORDER_TYPES,
   ORDER_STYLES,
+  STOP_ORDER_STYLES,
+  TRAILING_OFFSET_TYPES,
   ORDER_STATUSES,
+  ORDER_STATUS_TRANSITIONS,
+  ORDER_ACTORS,
+  OPEN_ORDER_STATUSES,
+  ORDER_VALIDITIES,
+  PRODUCT_TYPES,
+  ORDER_LEG_TYPES,
+  BASKET_MODES,
+  BASKET_LEG_STATUSES,
+  GTT_TYPES,
+  GTT_CONDITIONS,
+  GTT_STATUSES,
+  SIP_FREQUENCIES,
+  SIP_STATUSES,
+  SIP_INSTALMENT_STATUSES,
+  ALGO_TYPES,
+  ALGO_STATUSES,
+  MARKET_SESSIONS,
+  MARKET_EVENTS,
+  RISK_RULES,
+  PREVIEW_REJECTIONS,
+  USER_ROLES,
+  FUND_TRANSACTION_TYPES,
+  MARGIN_CALL_STATUSES,
   EXCHANGES,
   INSTRUMENT_TYPES,
   HTTP_STATUS,
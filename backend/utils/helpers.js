@@ -1,4 +1,6 @@
-const { ORDER_STYLES } = require('./constants');
+const config = require('../config/config');
+const { ORDER_STYLES, STOP_ORDER_STYLES, ORDER_VALIDITIES, TRAILING_OFFSET_TYPES, MARKET_SESSIONS } = require('./constants');
+const { random, cosmeticRandom } = require('./random');
 
 /**
  * Generate random price variation for market simulation
@@ -7,11 +9,70 @@ const { ORDER_STYLES } = require('./constants');
  * @returns {number} - New price with random variation
  */
 const generatePriceVariation = (basePrice, maxVariationPercent = 2) => {
-  const variation = (Math.random() - 0.5) * 2 * (maxVariationPercent / 100);
+  const variation = (random() - 0.5) * 2 * (maxVariationPercent / 100);
   const newPrice = basePrice * (1 + variation);
   return Math.round(newPrice * 100) / 100; // Round to 2 decimal places
 };
 
+/**
+ * Check if order is a stop order (SL, SL-M or TRAILING_STOP)
+ * @param {object} order - Order object
+ * @returns {boolean} - Whether order waits for a trigger price
+ */
+const isStopOrder = (order) => {
+  return STOP_ORDER_STYLES.includes(order.orderStyle);
+};
+
+/**
+ * Get the style an order executes with
+ * Stop orders execute as LIMIT (SL) or MARKET (SL-M, TRAILING_STOP) once triggered
+ * @param {object} order - Order object
+ * @returns {string} - Effective order style
+ */
+const getEffectiveOrderStyle = (order) => {
+  if (order.orderStyle === ORDER_STYLES.SL) {
+    return ORDER_STYLES.LIMIT;
+  }
+  if (order.orderStyle === ORDER_STYLES.SL_M || order.orderStyle === ORDER_STYLES.TRAILING_STOP) {
+    return ORDER_STYLES.MARKET;
+  }
+  return order.orderStyle;
+};
+
+/**
+ * Calculate the trigger price of a trailing stop from the best price it has seen
+ * SELL stops trail below the highest price, BUY stops above the lowest price
+ * @param {object} order - Order object with trailingOffset and trailingOffsetType
+ * @param {number} anchorPrice - Best market price reached since the order was placed
+ * @returns {number} - Trigger price
+ */
+const calculateTrailingTriggerPrice = (order, anchorPrice) => {
+  const offset = order.trailingOffsetType === TRAILING_OFFSET_TYPES.PERCENT ?
+    anchorPrice * order.trailingOffset / 100 : order.trailingOffset;
+  const triggerPrice = order.orderType === 'BUY' ? anchorPrice + offset : anchorPrice - offset;
+  return Math.round(triggerPrice * 100) / 100;
+};
+
+/**
+ * Check if stop order trigger price has been crossed
+ * @param {object} order - Order object
+ * @param {number} currentMarketPrice - Current market price
+ * @returns {boolean} - Whether order should be triggered
+ */
+const isStopTriggered = (order, currentMarketPrice) => {
+  if (!isStopOrder(order)) {
+    return true; // Non-stop orders have no trigger
+  }
+
+  if (order.orderType === 'BUY') {
+    // Buy stop triggers when market price rises to the trigger price
+    return currentMarketPrice >= order.triggerPrice;
+  } else {
+    // Sell stop triggers when market price falls to the trigger price
+    return currentMarketPrice <= order.triggerPrice;
+  }
+};
+
 /**
  * Calculate order execution price
  * @param {object} order - Order object
@@ -19,9 +80,9 @@ const generatePriceVariation = (basePrice, maxVariationPercent = 2) => {
  * @returns {number} - Execution price
  */
 const calculateExecutionPrice = (order, currentMarketPrice) => {
-  if (order.orderStyle === ORDER_STYLES.MARKET) {
+  if (getEffectiveOrderStyle(order) === ORDER_STYLES.MARKET) {
     // Market orders execute at current market price (with small slippage simulation)
-    const slippage = (Math.random() - 0.5) * 0.002; // 0.1% max slippage
+    const slippage = (random() - 0.5) * 2 * config.trading.maxSlippagePercent / 100;
     return Math.round(currentMarketPrice * (1 + slippage) * 100) / 100;
   } else {
     // Limit orders execute at the specified price
@@ -29,6 +90,55 @@ const calculateExecutionPrice = (order, currentMarketPrice) => {
   }
 };
 
+/**
+ * Estimate the price an order would execute at under the slippage model of calculateExecutionPrice
+ * LIMIT-style orders fill at their limit price. MARKET-style orders fill around the current price,
+ * or around the trigger price for a stop that has not triggered yet, within the maximum slippage.
+ * @param {object} order - Order object
+ * @param {number} currentMarketPrice - Current market price
+ * @returns {object} - { price: expected price, bestPrice, worstPrice }
+ */
+const estimateExecutionPrice = (order, currentMarketPrice) => {
+  if (getEffectiveOrderStyle(order) === ORDER_STYLES.LIMIT) {
+    return { price: order.price, bestPrice: order.price, worstPrice: order.price };
+  }
+
+  let referencePrice = currentMarketPrice;
+  if (isStopOrder(order) && !order.triggeredAt && !isStopTriggered(order, currentMarketPrice)) {
+    referencePrice = order.orderStyle === ORDER_STYLES.TRAILING_STOP && !order.triggerPrice ?
+      calculateTrailingTriggerPrice(order, currentMarketPrice) : order.triggerPrice;
+  }
+
+  // Slippage works against a BUY when the price rises and against a SELL when it falls
+  const slippage = config.trading.maxSlippagePercent / 100 * (order.orderType === 'BUY' ? 1 : -1);
+
+  return {
+    price: referencePrice,
+    bestPrice: Math.round(referencePrice * (1 - slippage) * 100) / 100,
+    worstPrice: Math.round(referencePrice * (1 + slippage) * 100) / 100
+  };
+};
+
+/**
+ * Estimate the per-share price an order will execute at, for blocking funds
+ * LIMIT-style orders use their limit price, MARKET-style orders the current
+ * (or trigger) price plus a safety buffer
+ * @param {object} order - Order object
+ * @param {number} currentMarketPrice - Current market price
+ * @returns {number} - Estimated price per share
+ */
+const estimateOrderPrice = (order, currentMarketPrice) => {
+  if (getEffectiveOrderStyle(order) === ORDER_STYLES.LIMIT) {
+    return order.price;
+  }
+
+  // A trailing stop not placed yet would start trailing the current price
+  const triggerPrice = order.orderStyle === ORDER_STYLES.TRAILING_STOP && !order.triggerPrice ?
+    calculateTrailingTriggerPrice(order, currentMarketPrice) : order.triggerPrice;
+  const referencePrice = Math.max(currentMarketPrice, triggerPrice || 0);
+  return Math.round(referencePrice * (1 + config.funds.marketOrderBuffer) * 100) / 100;
+};
+
 /**
  * Check if limit order can be executed
  * @param {object} order - Order object
@@ -36,7 +146,7 @@ const calculateExecutionPrice = (order, currentMarketPrice) => {
  * @returns {boolean} - Whether order can be executed
  */
 const canExecuteLimitOrder = (order, currentMarketPrice) => {
-  if (order.orderStyle !== ORDER_STYLES.LIMIT) {
+  if (getEffectiveOrderStyle(order) !== ORDER_STYLES.LIMIT) {
     return true; // Market orders can always be executed
   }
 
@@ -74,16 +184,151 @@ const formatPercentage = (percentage) => {
 };
 
 /**
- * Validate if market is open (simulation)
+ * Get the exchange (IST) calendar date and time of day of a moment
+ * @param {Date} date - Moment in time
+ * @returns {object} - { dateKey: 'YYYY-MM-DD', dayOfWeek, minutes since midnight }
+ */
+const getExchangeTime = (date) => {
+  const localDate = new Date(date.getTime() + config.market.utcOffsetMinutes * 60 * 1000);
+
+  return {
+    dateKey: localDate.toISOString().split('T')[0],
+    dayOfWeek: localDate.getUTCDay(),
+    minutes: localDate.getUTCHours() * 60 + localDate.getUTCMinutes()
+  };
+};
+
+/**
+ * Convert an 'HH:mm' session time to minutes since midnight
+ * @param {string} time - Time of day
+ * @returns {number} - Minutes since midnight
+ */
+const toMinutes = (time) => {
+  const [hour, minute] = time.split(':').map(Number);
+  return hour * 60 + minute;
+};
+
+/**
+ * Check if the exchange trades on the IST calendar day of a date
+ * @param {Date} date - Any moment on the day
+ * @returns {boolean} - False on weekends and holidays
+ */
+const isTradingDay = (date) => {
+  const { dateKey, dayOfWeek } = getExchangeTime(date);
+  return config.market.tradingDays.includes(dayOfWeek) && !config.market.holidays.includes(dateKey);
+};
+
+/**
+ * Get the trading session in progress at a moment
+ * @param {Date} date - Moment in time (default now)
+ * @returns {string} - PRE_OPEN, NORMAL, POST_CLOSE or CLOSED
+ */
+const getMarketSession = (date = new Date()) => {
+  if (!isTradingDay(date)) {
+    return MARKET_SESSIONS.CLOSED;
+  }
+
+  const { minutes } = getExchangeTime(date);
+  const { preOpen, normal, postClose } = config.market.sessions;
+  const isWithin = session => minutes >= toMinutes(session.start) && minutes < toMinutes(session.end);
+
+  if (isWithin(preOpen)) {
+    return MARKET_SESSIONS.PRE_OPEN;
+  }
+  if (isWithin(normal)) {
+    return MARKET_SESSIONS.NORMAL;
+  }
+  if (isWithin(postClose)) {
+    return MARKET_SESSIONS.POST_CLOSE;
+  }
+  return MARKET_SESSIONS.CLOSED;
+};
+
+/**
+ * Check if the market is open for continuous trading (normal session on a trading day)
+ * @param {Date} date - Moment in time (default now)
  * @returns {boolean} - Whether market is open
  */
-const isMarketOpen = () => {
-  const now = new Date();
-  const hour = now.getHours();
-  
-  // Simulate market hours (9:15 AM to 3:30 PM IST)
-  // For demo purposes, we'll assume market is always open
-  return hour >= 9 && hour < 16;
+const isMarketOpen = (date = new Date()) => {
+  return config.market.alwaysOpen || getMarketSession(date) === MARKET_SESSIONS.NORMAL;
+};
+
+/**
+ * Check if intraday (MIS) positions are due for square-off: a trading day at or after the cut-off time
+ * A market that is always open has no close to square off before, so the cut-off never passes
+ * @param {Date} date - Moment in time (default now)
+ * @returns {boolean} - Whether the square-off cut-off has passed
+ */
+const isPastSquareOffTime = (date = new Date()) => {
+  if (config.market.alwaysOpen) {
+    return false;
+  }
+
+  return isTradingDay(date) && getExchangeTime(date).minutes >= toMinutes(config.intraday.squareOffTime);
+};
+
+/**
+ * Get a session time on the IST calendar day of a date
+ * @param {Date} date - Any moment on the day
+ * @param {string} time - Time of day ('HH:mm', IST)
+ * @returns {Date} - That time on that day
+ */
+const getExchangeDateTime = (date, time) => {
+  const offsetMs = config.market.utcOffsetMinutes * 60 * 1000;
+  const [year, month, day] = getExchangeTime(date).dateKey.split('-').map(Number);
+  const minutes = toMinutes(time);
+
+  return new Date(Date.UTC(year, month - 1, day, Math.floor(minutes / 60), minutes % 60) - offsetMs);
+};
+
+/**
+ * Get the end of the trading session on the IST calendar day of a date
+ * @param {Date} date - Any moment on the day
+ * @returns {Date} - Session close time on that day
+ */
+const getSessionCloseTime = (date) => {
+  return getExchangeDateTime(date, config.market.sessions.normal.end);
+};
+
+/**
+ * Get the next time the normal session opens, skipping weekends and holidays
+ * @param {Date} date - Moment to look from (default now)
+ * @returns {Date} - Next session open time after the moment
+ */
+const getNextMarketOpen = (date = new Date()) => {
+  let day = date;
+
+  // A year of calendar days is more than enough to find a trading day
+  for (let i = 0; i < 366; i++) {
+    const openTime = getExchangeDateTime(day, config.market.sessions.normal.start);
+    if (isTradingDay(day) && openTime > date) {
+      return openTime;
+    }
+    day = new Date(day.getTime() + 24 * 60 * 60 * 1000);
+  }
+
+  return null;
+};
+
+/**
+ * Calculate when an order expires based on its validity
+ * @param {object} order - Order object with validity and validTill
+ * @param {Date} placedAt - Time the order is placed (default now)
+ * @returns {Date|null} - Expiry time, or null if the order never expires
+ */
+const calculateOrderExpiry = (order, placedAt = new Date()) => {
+  if (order.validity === ORDER_VALIDITIES.DAY) {
+    const closeTime = getSessionCloseTime(placedAt);
+    // Orders placed after the close, or on a holiday, are good for the next trading session
+    return isTradingDay(placedAt) && placedAt < closeTime ?
+      closeTime : getSessionCloseTime(getNextMarketOpen(placedAt));
+  }
+
+  if (order.validity === ORDER_VALIDITIES.GTD) {
+    return getSessionCloseTime(new Date(order.validTill));
+  }
+
+  return null; // GTC orders persist, IOC orders never rest
 };
 
 /**
@@ -92,7 +337,7 @@ const isMarketOpen = () => {
  */
 const generateTradeReference = () => {
   const timestamp = Date.now().toString(36);
-  const randomStr = Math.random().toString(36).substring(2, 8);
+  const randomStr = cosmeticRandom().toString(36).substring(2, 8);
   return `TXN${timestamp}${randomStr}`.toUpperCase();
 };
 
@@ -144,11 +389,25 @@ const paginate = (data, page = 1, limit = 10) => {
 
 module.exports = {
   generatePriceVariation,
+  isStopOrder,
+  getEffectiveOrderStyle,
+  calculateTrailingTriggerPrice,
+  isStopTriggered,
   calculateExecutionPrice,
+  estimateExecutionPrice,
+  estimateOrderPrice,
   canExecuteLimitOrder,
   formatCurrency,
   formatPercentage,
+  getExchangeTime,
+  toMinutes,
+  isTradingDay,
+  getMarketSession,
   isMarketOpen,
+  isPastSquareOffTime,
+  getSessionCloseTime,
+  getNextMarketOpen,
+  calculateOrderExpiry,
   generateTradeReference,
   calculatePortfolioMetrics,
   paginate
@@ -0,0 +1,68 @@
+const config = require('../config/config');
+
+/**
+ * Create a seeded pseudo-random number generator (mulberry32)
+ * @param {number} seed - Seed (used as an unsigned 32-bit integer)
+ * @returns {Function} - Generator returning numbers in [0, 1); the same seed always gives the same sequence
+ */
+const createSeededRandom = (seed) => {
+  let state = seed >>> 0;
+
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let value = state;
+    value = Math.imul(value ^ (value >>> 15), value | 1);
+    value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+    return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Source of the market simulation (price ticks and MARKET fill slippage); seeded in simulation mode
+let source = config.simulation.enabled ? createSeededRandom(config.simulation.seed) : Math.random;
+let seed = config.simulation.enabled ? config.simulation.seed : null;
+
+/**
+ * Draw a random number from the market simulation source
+ * @returns {number} - Number in [0, 1)
+ */
+const random = () => source();
+
+/**
+ * Draw a random number for cosmetic values that do not move the market (trade references, chart filler)
+ * Never taken from the simulation source, so these draws cannot shift a seeded run
+ * @returns {number} - Number in [0, 1)
+ */
+const cosmeticRandom = () => Math.random();
+
+/**
+ * Restart the random sequence from a seed
+ * @param {number} newSeed - Seed
+ */
+const seedRandom = (newSeed) => {
+  seed = newSeed;
+  source = createSeededRandom(newSeed);
+};
+
+/**
+ * Plug in another source of random numbers (e.g. a fixed sequence in tests)
+ * @param {Function} randomSource - Function returning numbers in [0, 1)
+ */
+const setRandomSource = (randomSource) => {
+  seed = null;
+  source = randomSource;
+};
+
+/**
+ * Get the seed the current sequence started from
+ * @returns {number|null} - Seed, or null when the source is not seeded
+ */
+const getRandomSeed = () => seed;
+
+module.exports = {
+  createSeededRandom,
+  random,
+  cosmeticRandom,
+  seedRandom,
+  setRandomSource,
+  getRandomSeed
+};